@@ -17,6 +17,9 @@ class LayerProcessor(
     private val logger: KSPLogger,
     private val options: Map<String, String>
 ) : SymbolProcessor {
+
+    /** KDoc "@param name 설명" 한 줄 — 함수·줄마다 다시 컴파일하지 않도록 한 번만 생성 */
+    private val paramDocPattern = Regex("""^@param\s+(\w+)\s+(.+)$""")
     
     override fun process(resolver: Resolver): List<KSAnnotated> {
         val layerPackage = options["layer.package"] ?: "com.hana.orchestrator.layer"
@@ -156,11 +159,25 @@ class LayerProcessor(
             else -> "string" // 기본값
         }
         
+        // KDoc @param 설명 추출 (편집기 도움말용): "@param name 설명" → name to 설명
+        val paramDocs = funcDocString.orEmpty().lines()
+            .map { it.trim() }
+            .mapNotNull { paramDocPattern.find(it) }
+            .associate { it.groupValues[1] to it.groupValues[2].trim() }
+
         // 파라미터 정보 자동 추출
         val parameters = func.parameters.map { param ->
             val paramName = param.name?.asString() ?: ""
             val paramTypeResolved = param.type.resolve()
             val paramTypeName = paramTypeResolved.declaration.qualifiedName?.asString() ?: "Any"
+            // List 는 원소 타입까지 표기 (예: List<String>) — 편집기 위젯 선택용
+            val elementTypeName = paramTypeResolved.arguments.firstOrNull()?.type?.resolve()
+                ?.declaration?.simpleName?.asString()
+            val displayType = if (paramTypeName == "kotlin.collections.List" && elementTypeName != null) {
+                "List<$elementTypeName>"
+            } else {
+                paramTypeName.replace("kotlin.", "")
+            }
             
             // 기본값 추출 시도
             val defaultValue: String? = if (param.hasDefault) {
@@ -175,7 +192,8 @@ class LayerProcessor(
             
             ParameterInfo(
                 name = paramName,
-                type = paramTypeName.replace("kotlin.", ""),
+                type = displayType,
+                description = paramDocs[paramName] ?: "",
                 required = !param.hasDefault,
                 defaultValue = defaultValue
             )
@@ -219,7 +237,7 @@ class LayerProcessor(
                 functionDetailsBuilder.add("%S to ParameterInfo(\n", param.name)
                 functionDetailsBuilder.indent()
                 functionDetailsBuilder.add("type = %S,\n", param.type)
-                functionDetailsBuilder.add("description = %S,\n", "")
+                functionDetailsBuilder.add("description = %S,\n", param.description)
                 functionDetailsBuilder.add("required = %L,\n", param.required)
                 if (param.defaultValue != null) {
                     functionDetailsBuilder.add("defaultValue = %S\n", param.defaultValue)
@@ -292,6 +310,7 @@ class LayerProcessor(
     data class ParameterInfo(
         val name: String,
         val type: String,
+        val description: String,
         val required: Boolean,
         val defaultValue: String?
     )
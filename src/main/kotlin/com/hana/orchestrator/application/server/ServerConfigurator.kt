@@ -13,6 +13,7 @@ import com.hana.orchestrator.presentation.controller.HealthController
 import com.hana.orchestrator.presentation.controller.LayerController
 import com.hana.orchestrator.presentation.controller.McpController
 import com.hana.orchestrator.presentation.controller.MetricsController
+import com.hana.orchestrator.presentation.controller.ReasoningTraceController
 import com.hana.orchestrator.presentation.controller.ServiceController
 import com.hana.orchestrator.presentation.controller.ExecutionWebSocketController
 import com.hana.orchestrator.orchestrator.TreeRepository
@@ -89,6 +90,7 @@ class ServerConfigurator(
                 ApprovalController(orchestrator.approvalGate).configureRoutes(this)
                 ClarificationController(orchestrator.clarificationGate).configureRoutes(this)
                 MetricsController(orchestrator).configureRoutes(this)
+                ReasoningTraceController().configureRoutes(this)
                 SessionController(orchestrator).configureRoutes(this)
                 McpController(orchestrator, jobRepository, jobScheduler).configureRoutes(this)
             }
@@ -7,5 +7,6 @@ package com.hana.orchestrator.domain.dto
 data class ChatDto(
     val message: String,
     val context: Map<String, String> = emptyMap(),
-    val mode: String = "reactive"   // "reactive" (기본) | "tree" (레거시)
+    val mode: String = "reactive",  // "reactive" (기본) | "tree" (레거시)
+    val executionId: String? = null // 호출자가 미리 정한 실행 ID (없으면 서버 생성)
 )
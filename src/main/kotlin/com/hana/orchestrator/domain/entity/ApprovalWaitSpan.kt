@@ -0,0 +1,14 @@
+package com.hana.orchestrator.domain.entity
+
+import kotlinx.serialization.Serializable
+
+/**
+ * 노드 실행 중 사용자 승인을 기다린 구간 (실행 타임라인 표시용)
+ * @param approved 최종 승인 여부 (거절·타임아웃이면 false)
+ */
+@Serializable
+data class ApprovalWaitSpan(
+    val startedAt: Long,
+    val endedAt: Long,
+    val approved: Boolean
+)
@@ -1,6 +1,7 @@
 package com.hana.orchestrator.domain.entity
 
 import kotlinx.coroutines.CompletableDeferred
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * 실행 컨텍스트 - 전체 실행 상태 추적
@@ -10,12 +11,18 @@ import kotlinx.coroutines.CompletableDeferred
  * - 캡슐화: nodeResults는 private으로 보호
  * - SRP: 상태 추적과 조회만 담당
  * - DRY: 캐싱 로직을 공통화
+ *
+ * 병렬 자식 노드가 동시에 기록하고 상태 스냅샷(emitNodeStatus)이 동시에 읽으므로
+ * 맵은 ConcurrentHashMap, 기록·캐시 계산은 cacheLock 으로 직렬화
  */
-class ExecutionContext {
-    private val nodeResults = mutableMapOf<String, NodeExecutionResult>()
+class ExecutionContext(
+    /** 포크 실행: nodeId → 이전 실행 결과 (해당 노드는 레이어 호출 없이 이 결과로 성공 처리) */
+    val pinnedResults: Map<String, String> = emptyMap()
+) {
+    private val nodeResults = ConcurrentHashMap<String, NodeExecutionResult>()
 
     /** {{nodeId:X}} 대기 지원 — 노드 완료 시 결과 전달 */
-    private val nodeDeferreds = mutableMapOf<String, CompletableDeferred<String>>()
+    private val nodeDeferreds = ConcurrentHashMap<String, CompletableDeferred<String>>()
 
     /** 실행 전 모든 노드 ID 등록. {{nodeId:X}} 참조 노드가 완료될 때까지 대기 가능 */
     fun registerNodes(nodeIds: Iterable<String>) {
@@ -31,7 +38,8 @@ class ExecutionContext {
     suspend fun awaitNodeResult(nodeId: String): String =
         nodeDeferreds[nodeId]?.await() ?: ""
     
-    // 캐싱된 계산 프로퍼티들
+    // 캐싱된 계산 프로퍼티들 — 기록과 계산이 엇갈려 낡은 목록이 캐시되지 않도록 cacheLock 아래에서만 접근
+    private val cacheLock = Any()
     private var _completedNodes: List<NodeExecutionResult>? = null
     private var _failedNodes: List<NodeExecutionResult>? = null
     private var _runningNodes: List<NodeExecutionResult>? = null
@@ -74,9 +82,9 @@ class ExecutionContext {
         status: NodeStatus,
         getCache: () -> List<NodeExecutionResult>?,
         setCache: (List<NodeExecutionResult>) -> Unit
-    ): List<NodeExecutionResult> {
+    ): List<NodeExecutionResult> = synchronized(cacheLock) {
         val cached = getCache()
-        return if (cached != null) {
+        if (cached != null) {
             cached
         } else {
             val computed = nodeResults.values.filter { it.status == status }
@@ -89,8 +97,10 @@ class ExecutionContext {
      * 노드 결과 기록 (캐시 무효화)
      */
     fun recordResult(result: NodeExecutionResult) {
-        nodeResults[result.nodeId] = result
-        invalidateCache()
+        synchronized(cacheLock) {
+            nodeResults[result.nodeId] = result
+            invalidateCache()
+        }
     }
     
     /**
@@ -103,9 +113,13 @@ class ExecutionContext {
         depth: Int = 0,
         parentNodeId: String? = null,
         result: String? = null,
-        error: String? = null
+        error: String? = null,
+        approvalWaits: List<ApprovalWaitSpan> = emptyList()
     ): NodeExecutionResult {
+        // 직전 RUNNING 기록이 있으면 그 시각을 시작 시각으로 이어받음 (타임라인용)
+        val startedAt = nodeResults[node.id]?.takeIf { it.isRunning }?.timestamp
         val nodeResult = NodeExecutionResult.fromNode(node, status, depth, parentNodeId, result, error)
+            .copy(startedAt = startedAt, approvalWaits = approvalWaits)
         recordResult(nodeResult)
         return nodeResult
     }
@@ -18,20 +18,31 @@ data class ExecutionHistory(
     val status: ExecutionStatus,
     val logs: MutableList<String> = mutableListOf(),
     val executionTree: ExecutionTreeResponse? = null,  // ReAct 미니트리 체인 (직렬화 가능)
-    val nodeResults: List<NodeResultSummary> = emptyList()  // 노드별 실행 결과 요약 (레이어 단위 메트릭용)
+    val nodeResults: List<NodeResultSummary> = emptyList(),  // 노드별 실행 결과 요약 (레이어 단위 메트릭용)
+    val mode: String = MODE_REACTIVE  // 재실행 시 같은 경로로 다시 제출하기 위한 실행 모드
 ) {
     companion object {
+        const val MODE_REACTIVE = "reactive"        // /chat (기본)
+        const val MODE_TREE = "tree"                // /chat mode=tree (레거시)
+        const val MODE_CUSTOM_TREE = "custom-tree"  // 트리 편집기 /tree/execute
+
         /**
          * 실행 시작 이력 생성
          */
-        fun createRunning(id: String, query: String, startTime: Long = System.currentTimeMillis()): ExecutionHistory {
+        fun createRunning(
+            id: String,
+            query: String,
+            startTime: Long = System.currentTimeMillis(),
+            mode: String = MODE_REACTIVE
+        ): ExecutionHistory {
             return ExecutionHistory(
                 id = id,
                 query = query,
                 result = ExecutionResult(result = ""),
                 startTime = startTime,
                 status = ExecutionStatus.RUNNING,
-                logs = mutableListOf()
+                logs = mutableListOf(),
+                mode = mode
             )
         }
         
@@ -46,7 +57,8 @@ data class ExecutionHistory(
             startTime: Long,
             endTime: Long = System.currentTimeMillis(),
             logs: MutableList<String> = mutableListOf(),
-            executionTree: ExecutionTreeResponse? = null
+            executionTree: ExecutionTreeResponse? = null,
+            mode: String = MODE_REACTIVE
         ): ExecutionHistory {
             val status = determineStatusFromResult(result)
             return ExecutionHistory(
@@ -58,7 +70,8 @@ data class ExecutionHistory(
                 status = status,
                 logs = logs,
                 executionTree = executionTree,
-                nodeResults = result.nodeResults
+                nodeResults = result.nodeResults,
+                mode = mode
             )
         }
         
@@ -71,7 +84,8 @@ data class ExecutionHistory(
             error: String?,
             startTime: Long,
             endTime: Long = System.currentTimeMillis(),
-            logs: MutableList<String> = mutableListOf()
+            logs: MutableList<String> = mutableListOf(),
+            mode: String = MODE_REACTIVE
         ): ExecutionHistory {
             return ExecutionHistory(
                 id = id,
@@ -80,7 +94,8 @@ data class ExecutionHistory(
                 startTime = startTime,
                 endTime = endTime,
                 status = ExecutionStatus.FAILED,
-                logs = logs
+                logs = logs,
+                mode = mode
             )
         }
 
@@ -92,7 +107,8 @@ data class ExecutionHistory(
             query: String,
             startTime: Long,
             endTime: Long = System.currentTimeMillis(),
-            logs: MutableList<String> = mutableListOf()
+            logs: MutableList<String> = mutableListOf(),
+            mode: String = MODE_REACTIVE
         ): ExecutionHistory {
             return ExecutionHistory(
                 id = id,
@@ -101,7 +117,8 @@ data class ExecutionHistory(
                 startTime = startTime,
                 endTime = endTime,
                 status = ExecutionStatus.CANCELLED,
-                logs = logs
+                logs = logs,
+                mode = mode
             )
         }
 
@@ -14,7 +14,9 @@ data class NodeExecutionResult(
     val timestamp: Long = System.currentTimeMillis(),
     val retryCount: Int = 0,
     val depth: Int = 0,
-    val parentNodeId: String? = null
+    val parentNodeId: String? = null,
+    val startedAt: Long? = null,  // RUNNING 기록 시각 (timestamp 는 마지막 기록 = 종료 시각)
+    val approvalWaits: List<ApprovalWaitSpan> = emptyList()
 ) {
     companion object {
         /**
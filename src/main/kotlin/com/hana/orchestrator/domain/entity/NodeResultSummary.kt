@@ -1,6 +1,7 @@
 package com.hana.orchestrator.domain.entity
 
 import kotlinx.serialization.Serializable
+import kotlinx.serialization.Transient
 
 /**
  * 노드 실행 결과 요약 — 실행 이력과 함께 persist되는 경량 모델
@@ -11,5 +12,18 @@ data class NodeResultSummary(
     val layerName: String,
     val function: String,
     val status: String,       // NodeStatus.name: "SUCCESS" | "FAILED" | "SKIPPED"
-    val error: String? = null
-)
+    val error: String? = null,
+    val nodeId: String? = null,   // executionTree 노드 id (실행 비교 시 노드 정렬용)
+    val result: String? = null,   // 결과 앞부분 (MAX_RESULT_CHARS 까지) — 표시용, 잘리지 않았으면 포크 고정 입력으로도 사용
+    val resultTruncated: Boolean = false,  // result 가 잘렸으면 true — 포크 고정은 전체 결과 파일(HistoryRepository.loadFullResults)로
+    @Transient val fullResult: String? = null,  // 잘린 경우의 전체 결과 — 이력 본문 대신 별도 파일로 저장
+    val startedAt: Long? = null,  // 이하 실행 타임라인용 (이전 이력에는 없음)
+    val endedAt: Long? = null,
+    val args: Map<String, String> = emptyMap(),  // 값은 MAX_ARG_CHARS 까지 문자열화
+    val approvalWaits: List<ApprovalWaitSpan> = emptyList()
+) {
+    companion object {
+        const val MAX_RESULT_CHARS = 2000
+        const val MAX_ARG_CHARS = 2_000
+    }
+}
@@ -8,6 +8,7 @@ import kotlinx.serialization.Serializable
  *
  * query만 있으면 → ReAct 루프 실행
  * treeId도 있으면 → 저장된 트리 직접 실행 (LLM 스킵)
+ * triggers 가 있으면 시간 스케줄과 별개로 이벤트(선행 작업 종료·트리 갱신·메트릭 임계)로도 실행
  */
 @Serializable
 data class ScheduledJob(
@@ -19,9 +20,49 @@ data class ScheduledJob(
     val enabled: Boolean = true,
     val lastRunAt: Long? = null,
     val nextRunAt: Long? = null,
-    val lastStatus: String? = null,  // "SUCCESS" | "FAILED" | "CANCELLED"
+    val lastStatus: String? = null,  // "SUCCESS" | "FAILED" | "CANCELLED" | "SKIPPED"(값 없는 파라미터)
     val includeMetrics: Boolean = false,  // true면 실행 직전 메트릭 스냅샷을 쿼리에 주입
-    val autoApprove: Boolean = false      // true면 모든 승인 게이트 자동 통과 (무인 실행용)
+    val autoApprove: Boolean = false,     // true면 모든 승인 게이트 자동 통과 (무인 실행용)
+    val triggers: List<JobTrigger> = emptyList(),
+    val params: Map<String, String> = emptyMap()  // 쿼리·트리 args 의 {{이름}} 기본값 — 수동 실행 시 덮어쓰기 가능
+)
+
+/** 이벤트 트리거 — JobScheduler 가 조건 충족 시 작업을 실행 */
+@Serializable
+sealed class JobTrigger {
+    /**
+     * 선행 작업 종료 시 실행 — on: "SUCCESS" | "FAILED" | "ANY"
+     * passResult=true 면 선행 실행의 최종 결과를 쿼리 앞에 붙여 전달 (파이프라인 단계 연결용)
+     */
+    @Serializable
+    @SerialName("afterJob")
+    data class AfterJob(val jobId: String, val on: String = "SUCCESS", val passResult: Boolean = false) : JobTrigger()
+
+    /** 저장 트리의 새 버전이 저장되면 실행 (복원 포함) */
+    @Serializable
+    @SerialName("treeUpdated")
+    data class TreeUpdated(val treeId: String) : JobTrigger()
+
+    /** 메트릭이 임계값을 넘는 순간 1회 실행 (조건이 거짓 → 참으로 바뀔 때) — op: "<" | "<=" | ">" | ">=" */
+    @Serializable
+    @SerialName("metric")
+    data class Metric(val metric: String, val op: String = "<", val threshold: Double) : JobTrigger()
+}
+
+/**
+ * 스케줄 작업 1회 실행 기록 (.hana/jobs/{jobId}.runs.jsonl)
+ * executionId 로 실행 이력·트리를 찾아감 — 실행 전에 실패하면 null
+ */
+@Serializable
+data class JobRun(
+    val jobId: String,
+    val executionId: String? = null,
+    val startedAt: Long,
+    val endedAt: Long,
+    val status: String,              // ScheduledJob.lastStatus 와 동일 값
+    val error: String? = null,
+    val triggeredBy: String? = null, // "schedule" | "manual" | 트리거 설명 (예: "afterJob: 개선 SUCCESS")
+    val params: Map<String, String> = emptyMap()  // 이번 회차에만 덮어쓴 파라미터
 )
 
 @Serializable
@@ -41,6 +82,19 @@ sealed class JobSchedule {
     @SerialName("daily")
     data class Daily(val hour: Int, val minute: Int = 0) : JobSchedule()
 
+    /**
+     * cron 표현식 (분 시 일 월 요일) — 예: "30 2 * * MON-FRI", "0/15 9-18 * * 1-5"
+     * timezone: IANA ID (예: "Asia/Seoul"), null 이면 서버 기본 타임존
+     */
+    @Serializable
+    @SerialName("cron")
+    data class Cron(val expression: String, val timezone: String? = null) : JobSchedule()
+
+    /** 시간 스케줄 없음 — triggers 로만 실행 (수동 실행은 가능) */
+    @Serializable
+    @SerialName("event")
+    data object Event : JobSchedule()
+
     /** 완료 직후 재실행 (루프) — delayMs: 다음 실행까지 대기 시간 */
     @Serializable
     @SerialName("loop")
@@ -17,12 +17,14 @@ enum class ApprovalKind {
  * @param path 작업 대상 경로 또는 "layerName.function" 형태의 식별자
  * @param oldContent 변경 전 내용 (diff 표시용, null이면 diff 없이 newContent만 표시)
  * @param newContent 변경 후 내용 또는 실행할 args 텍스트
+ * @param contentArg newContent 를 담는 args 키. 지정 시 승인자가 일부 hunk만 승인하면 이 인자가 그 내용으로 교체됨
  */
 data class ApprovalPreview(
     val path: String,
     val oldContent: String?,
     val newContent: String,
-    val kind: ApprovalKind = ApprovalKind.EXECUTION
+    val kind: ApprovalKind = ApprovalKind.EXECUTION,
+    val contentArg: String? = null
 )
 
 /**
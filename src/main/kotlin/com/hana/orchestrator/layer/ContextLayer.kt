@@ -40,7 +40,7 @@ class ContextLayer : CommonLayerInterface {
      */
     @LayerFunction
     suspend fun get(key: String): String {
-        return storeFor(key)[key] ?: "ERROR: 키 없음: \"$key\". context.list()로 가용 키 확인"
+        return storeFor(key)[key] ?: "$MISSING_KEY: \"$key\". context.list()로 가용 키 확인"
     }
 
     /**
@@ -60,7 +60,7 @@ class ContextLayer : CommonLayerInterface {
     @LayerFunction
     suspend fun delete(key: String): String {
         return if (storeFor(key).remove(key) != null) "OK: 삭제 완료 (key=\"$key\")"
-        else "ERROR: 키 없음: \"$key\""
+        else "$MISSING_KEY: \"$key\""
     }
 
     /**
@@ -116,6 +116,9 @@ class ContextLayer : CommonLayerInterface {
     }
 
     companion object {
+        /** 키가 없을 때 get/delete 결과 접두어 — 플레이스홀더 치환 쪽에서 저장값과 구분용 */
+        const val MISSING_KEY = "ERROR: 키 없음"
+
         /** 세션 저장소 — layer:*, rules:*, interface:* 키. 앱 재시작 전까지 유지 */
         private val sessionStore = ConcurrentHashMap<String, String>()
         /** 실행 저장소 — 나머지 키. 실행 완료 후 clearExecution()으로 정리 */
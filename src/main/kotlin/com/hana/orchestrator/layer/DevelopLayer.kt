@@ -44,6 +44,12 @@ class DevelopLayer(
     private val candidateLayerDir: File
         get() = File(projectRoot, ".hana/candidates")
 
+    /**
+     * 승인자가 일부 hunk만 승인한 후보 내용을 applyLayerCandidate 에 넘기는 내부 인자 키
+     * LLM 에 노출되는 함수 시그니처에는 없음 — ApprovalPolicy 가 승인 후 채움 (approvalPreview.contentArg)
+     */
+    private val approvedContentArg = "approvedContent"
+
     /**
      * 레이어 이름 정규화 — LLM 이 보내는 다양한 표기를 PascalCase 로 통일.
      *
@@ -288,12 +294,19 @@ END
      * @return "SUCCESS: ..." 또는 "ERROR: ..."
      */
     @LayerFunction
-    suspend fun applyLayerCandidate(layerName: String): String {
+    suspend fun applyLayerCandidate(layerName: String): String = applyCandidate(layerName, approvedContent = "")
+
+    /**
+     * @param approvedContent 승인자가 일부 hunk만 승인한 후보 내용 (비어 있으면 후보 파일 그대로 적용)
+     */
+    private suspend fun applyCandidate(layerName: String, approvedContent: String): String {
         val normalized = normalizeLayerName(layerName)
         val candidateFile = File(candidateLayerDir, "${normalized}Layer.candidate.kt")
         if (!candidateFile.exists()) {
             return "ERROR: 후보 없음: ${candidateFile.relativeTo(projectRoot).path}. improveLayer()를 먼저 실행하세요."
         }
+        // 부분 승인: 승인된 hunk만 반영한 내용으로 후보 교체 후 동일한 검증 절차 진행
+        if (approvedContent.isNotBlank()) candidateFile.writeText(approvedContent)
 
         val sourceFile = File(layerDir, "${normalized}Layer.kt")
         val backupFile = File(layerDir, "${normalized}Layer.kt.bak")
@@ -821,8 +834,24 @@ $functionBlocks
      * - READ_ONLY : 조회·후보 생성만 — 원본 미수정
      * - FILE      : 실제 소스 파일 쓰기 (apply/develop)
      * - EXECUTION : 런타임 변경 (hotLoad, reload 등)
+     * applyLayerCandidate 는 원본 ↔ 후보 diff 를 보여주고 hunk 단위 부분 승인 허용
+     * (승인 내용 인자가 이미 들어 있으면 그 내용이 실제로 적용되므로 파일 대신 그것을 보여줌)
      */
     override suspend fun approvalPreview(function: String, args: Map<String, Any>): ApprovalPreview {
+        if (function == "applyLayerCandidate") {
+            val normalized = normalizeLayerName(args["layerName"] as? String ?: "")
+            val candidateFile = File(candidateLayerDir, "${normalized}Layer.candidate.kt")
+            val sourceFile = File(layerDir, "${normalized}Layer.kt")
+            if (candidateFile.exists()) {
+                return ApprovalPreview(
+                    path = sourceFile.relativeTo(projectRoot).path,
+                    oldContent = sourceFile.takeIf { it.exists() }?.readText(),
+                    newContent = (args[approvedContentArg] as? String)?.takeIf { it.isNotBlank() } ?: candidateFile.readText(),
+                    kind = ApprovalKind.FILE,
+                    contentArg = approvedContentArg
+                )
+            }
+        }
         val kind = when (function) {
             "readLayerExample", "readLayerInterface", "readLayerFactory",
             "listLayers", "listCandidates", "listLayerCandidates",
@@ -897,7 +926,7 @@ $functionBlocks
             }
             "applyLayerCandidate" -> {
                 val layerName = args["layerName"] as? String ?: return "ERROR: layerName 필수"
-                applyLayerCandidate(layerName)
+                applyCandidate(layerName, args[approvedContentArg] as? String ?: "")
             }
             "rejectLayerCandidate" -> {
                 val layerName = args["layerName"] as? String ?: return "ERROR: layerName 필수"
@@ -144,7 +144,7 @@ class FileSystemLayer : CommonLayerInterface {
                 val content = args["content"] as? String ?: ""
                 val resolvedPath = resolveWritePath(path)
                 val oldContent = try { File(resolvedPath).takeIf { it.exists() }?.readText() } catch (e: Exception) { null }
-                ApprovalPreview(path = resolvedPath, oldContent = oldContent, newContent = content, kind = ApprovalKind.FILE)
+                ApprovalPreview(path = resolvedPath, oldContent = oldContent, newContent = content, kind = ApprovalKind.FILE, contentArg = "content")
             }
             // 읽기 전용 — 승인 불필요
             "readFile", "listDirectory", "findFile", "findFiles", "searchContent", "findRelevantFiles" ->
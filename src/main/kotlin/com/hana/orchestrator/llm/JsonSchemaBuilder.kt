@@ -200,6 +200,14 @@ internal object JsonSchemaBuilder {
                 "tree" to buildExecutionTreeSchema(availableLayerNames),
                 "result" to createStringProperty("finish 시 최종 결과 (execute_tree/ask일 때는 빈 문자열)"),
                 "question" to createStringProperty("ask 시 사용자에게 할 구체적인 질문"),
+                "answerType" to createStringProperty(
+                    description = "ask 시 답변 형식: text(자유 입력), choice(options 중 선택), yesno(예/아니오), file(파일 선택)",
+                    enum = listOf("text", "choice", "yesno", "file")
+                ),
+                "options" to createArrayProperty(
+                    "answerType=choice 일 때 선택지 목록",
+                    JsonObject(mapOf("type" to JsonPrimitive("string")))
+                ),
                 "reasoning" to createStringProperty("이 결정의 이유")
             )
         )
@@ -254,7 +254,10 @@ fan-in — 두 노드(A·B)의 결과를 C 하나에 합칠 때: A에 "id" 부
 {"action":"finish","result":"(사용자에게 전달할 최종 답변)","reasoning":"완료 이유"}
 
 사용자에게 추가 정보가 필요할 때:
-{"action":"ask","question":"(사용자에게 할 구체적인 질문)","result":"","reasoning":"질문 이유"}""".trimIndent()
+{"action":"ask","question":"(사용자에게 할 구체적인 질문)","result":"","reasoning":"질문 이유"}
+
+선택지가 정해진 질문이면 answerType 으로 답변 형식을 지정 (choice: options 중 택1, yesno: 예/아니오, file: 사용자가 파일 선택):
+{"action":"ask","question":"어느 환경에 배포할까요?","answerType":"choice","options":["dev","staging","prod"],"result":"","reasoning":"대상 환경 불명확"}""".trimIndent()
     }
 
     fun buildTreeReviewPrompt(
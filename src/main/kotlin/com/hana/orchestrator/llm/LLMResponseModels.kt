@@ -42,7 +42,7 @@ data class ReActStep(
  * LLM이 결정한 다음 ReAct 액션
  * action == "execute_tree" : tree (미니트리) 실행 — TreeExecutor 위임
  * action == "finish"       : result 사용 (최종 답변)
- * action == "ask"          : 사용자에게 추가 정보 요청 — question 필드 사용
+ * action == "ask"          : 사용자에게 추가 정보 요청 — question (+ answerType, options) 필드 사용
  */
 @Serializable
 data class ReActDecision(
@@ -50,5 +50,7 @@ data class ReActDecision(
     val tree: LLMTreeResponse? = null,               // execute_tree 전용 미니트리 (LLM JSON 파싱용)
     val result: String = "",                         // finish 전용 최종 결과
     val reasoning: String = "",
-    val question: String = ""                        // ask 전용: 사용자에게 할 질문
+    val question: String = "",                       // ask 전용: 사용자에게 할 질문
+    val answerType: String = "text",                 // ask 전용: "text" | "choice" | "yesno" | "file"
+    val options: List<String> = emptyList()          // ask + choice 전용: 선택지
 )
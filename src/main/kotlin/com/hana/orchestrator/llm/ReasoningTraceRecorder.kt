@@ -34,7 +34,8 @@ object ReasoningTraceRecorder {
         val extractedJson: String,      // JsonExtractor가 뽑아낸 JSON 텍스트
         val parsedDecision: String?,    // ReActDecision JSON 직렬화 (null = 파싱 실패)
         val parseError: String?,        // 파싱 실패 시 메시지
-        val latencyMs: Long
+        val latencyMs: Long,
+        val startedAt: Long = 0         // LLM 호출 시작 시각 (실행 타임라인용, 기록 시각 - latency)
     )
 
     @Serializable
@@ -74,7 +75,8 @@ object ReasoningTraceRecorder {
                     extractedJson = extractedJson,
                     parsedDecision = parsedDecision,
                     parseError = parseError,
-                    latencyMs = latencyMs
+                    latencyMs = latencyMs,
+                    startedAt = System.currentTimeMillis() - latencyMs
                 )
             )
         }
@@ -1,7 +1,9 @@
 package com.hana.orchestrator.orchestrator
 
+import com.hana.orchestrator.domain.entity.ApprovalWaitSpan
 import com.hana.orchestrator.layer.ApprovalKind
 import kotlinx.coroutines.CompletableDeferred
+import kotlinx.coroutines.currentCoroutineContext
 import kotlinx.coroutines.withTimeoutOrNull
 import kotlinx.coroutines.flow.MutableSharedFlow
 import kotlinx.coroutines.flow.SharedFlow
@@ -9,6 +11,9 @@ import kotlinx.coroutines.flow.asSharedFlow
 import kotlinx.serialization.Serializable
 import java.util.UUID
 import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
+import kotlin.coroutines.AbstractCoroutineContextElement
+import kotlin.coroutines.CoroutineContext
 
 /**
  * 파일 쓰기 승인 게이트
@@ -23,109 +28,166 @@ class ApprovalGate {
         val id: String,
         val path: String,
         val diff: String,
-        val kind: ApprovalKind = ApprovalKind.EXECUTION
+        val kind: ApprovalKind = ApprovalKind.EXECUTION,
+        val executionId: String? = null,
+        val requestedAt: Long = System.currentTimeMillis(),
+        val editable: Boolean = false,  // true면 승인자가 부분 패치·직접 수정으로 내용을 바꿔 승인 가능
+        val newContent: String? = null  // editable 일 때만: 수정 모드 편집기 초기값
     )
 
+    /** 승인자가 내용을 바꾼 방식 — label 은 실행 로그·레이어 결과 문구에 공통으로 쓰는 감사 문구 */
+    @Serializable
+    enum class Modification(val label: String) {
+        PARTIAL("일부 hunk만 승인"),
+        EDITED("내용을 직접 수정해 승인")
+    }
+
+    /**
+     * 승인 결과 — content 가 있으면 원래 내용 대신 이 내용으로 실행
+     * @param modification 사람이 내용을 바꾼 방식 (제안 그대로 승인이면 null)
+     */
+    data class ApprovalDecision(
+        val approved: Boolean,
+        val content: String? = null,
+        val modification: Modification? = null
+    )
+
+    /** 승인 요청 종료 알림 (승인·거절·타임아웃) — 다른 탭/인박스에서 항목 제거용 */
+    @Serializable
+    data class ApprovalResolved(
+        val type: String = "APPROVAL_RESOLVED",
+        val id: String,
+        val approved: Boolean,
+        val modification: Modification? = null
+    )
+
+    /**
+     * 승인 요청을 발생시킨 실행 ID를 코루틴 컨텍스트로 전달
+     * 레이어 시그니처를 바꾸지 않고 ApprovalRequest.executionId 를 채우기 위함
+     */
+    class ExecutionTag(val executionId: String) : AbstractCoroutineContextElement(Key) {
+        companion object Key : CoroutineContext.Key<ExecutionTag>
+    }
+
+    /**
+     * 노드 하나의 승인 대기 구간 수집기 — TreeExecutor 가 레이어 호출을 이 컨텍스트로 감쌈
+     * 실행 타임라인에서 "승인 대기" 구간을 노드 막대와 구분해 보여주기 위함
+     */
+    class WaitMeter : AbstractCoroutineContextElement(Key) {
+        val spans = CopyOnWriteArrayList<ApprovalWaitSpan>()
+        companion object Key : CoroutineContext.Key<WaitMeter>
+    }
+
     private data class PendingApproval(
         val request: ApprovalRequest,
-        val deferred: CompletableDeferred<Boolean>
+        val oldContent: String?,
+        val deferred: CompletableDeferred<ApprovalDecision>
     )
 
     private val _requests = MutableSharedFlow<ApprovalRequest>(replay = 0, extraBufferCapacity = 10)
     val requests: SharedFlow<ApprovalRequest> = _requests.asSharedFlow()
 
+    private val _resolutions = MutableSharedFlow<ApprovalResolved>(replay = 0, extraBufferCapacity = 10)
+    val resolutions: SharedFlow<ApprovalResolved> = _resolutions.asSharedFlow()
+
     private val pending = ConcurrentHashMap<String, PendingApproval>()
 
+    /**
+     * 승인·거절·수정 승인 내역을 실행 로그에 남기는 함수 (Orchestrator 가 historyManager.addLogTo 주입)
+     * 레벨: 승인 SUCCESS, 거절·수정 승인 WARN — 로그 레벨 필터로 찾을 수 있도록
+     */
+    private var auditLog: ((executionId: String, message: String, level: LogLevel) -> Unit)? = null
+
+    fun wireAuditLog(log: (executionId: String, message: String, level: LogLevel) -> Unit) {
+        auditLog = log
+    }
+
+    /** 스케줄러 무인 실행(autoApprove) 중인 실행 ID — 해당 실행의 승인 요청만 자동 통과 (동시에 도는 다른 실행은 그대로 대기) */
+    private val scheduledBypass = ConcurrentHashMap.newKeySet<String>()
+
+    fun beginScheduledBypass(executionId: String) {
+        scheduledBypass.add(executionId)
+    }
+
+    fun endScheduledBypass(executionId: String) {
+        scheduledBypass.remove(executionId)
+    }
+
+    /** 현재 코루틴의 실행(ExecutionTag)이 무인 실행 중인지 */
+    suspend fun isScheduledBypass(): Boolean =
+        currentCoroutineContext()[ExecutionTag]?.executionId?.let { it in scheduledBypass } ?: false
+
     /**
      * 승인 요청: 사용자가 approve/reject 할 때까지 suspend됨
      * autoApprove=true면 즉시 true 반환 (야간 자율실행 등)
      * 타임아웃(기본 5분) 초과 시 자동 거절
-     * @return true=승인, false=거절(또는 타임아웃)
+     * @param editable true면 승인자가 FILE diff 의 일부 hunk만 골라 승인 가능 (결과 content 로 전달)
+     * @return 승인 여부 + 부분 승인 시 적용할 내용
      */
-    /** 스케줄러가 무인 실행 중일 때 true — 모든 승인 요청을 자동 통과 */
-    @Volatile var scheduledBypass: Boolean = false
-
     suspend fun requestApproval(
         path: String,
         oldContent: String?,
         newContent: String,
         autoApprove: Boolean = false,
         timeoutMs: Long = 5 * 60 * 1000L,
-        kind: ApprovalKind = ApprovalKind.EXECUTION
-    ): Boolean {
-        if (autoApprove || scheduledBypass) return true
+        kind: ApprovalKind = ApprovalKind.EXECUTION,
+        editable: Boolean = false
+    ): ApprovalDecision {
+        if (autoApprove || isScheduledBypass()) return ApprovalDecision(true)
         val id = UUID.randomUUID().toString().take(8)
-        val diff = if (kind == ApprovalKind.FILE) buildDiff(oldContent ?: "", newContent, path) else newContent
-        val request = ApprovalRequest(id = id, path = path, diff = diff, kind = kind)
-        val deferred = CompletableDeferred<Boolean>()
-        pending[id] = PendingApproval(request, deferred)
+        val diff = if (kind == ApprovalKind.FILE) UnifiedDiff.diff(oldContent ?: "", newContent, path) else newContent
+        val executionId = currentCoroutineContext()[ExecutionTag]?.executionId
+        val waitMeter = currentCoroutineContext()[WaitMeter]
+        val request = ApprovalRequest(
+            id = id, path = path, diff = diff, kind = kind, executionId = executionId,
+            editable = editable && kind == ApprovalKind.FILE,
+            newContent = newContent.takeIf { editable && kind == ApprovalKind.FILE }
+        )
+        val deferred = CompletableDeferred<ApprovalDecision>()
+        pending[id] = PendingApproval(request, oldContent, deferred)
         _requests.emit(request)
+        var decision = ApprovalDecision(false)
         return try {
-            withTimeoutOrNull(timeoutMs) { deferred.await() } ?: false
+            val resolved = withTimeoutOrNull(timeoutMs) { deferred.await() }
+            decision = resolved ?: ApprovalDecision(false)
+            val modification = decision.modification
+            if (executionId != null) {
+                when {
+                    resolved == null -> auditLog?.invoke(executionId, "⏱️ 승인 대기 시간 초과로 거절: $path", LogLevel.WARN)
+                    !decision.approved -> auditLog?.invoke(executionId, "⛔ 승인자가 거절: $path", LogLevel.WARN)
+                    modification != null -> auditLog?.invoke(executionId, "✏️ 승인자가 ${modification.label}: $path", LogLevel.WARN)
+                    else -> auditLog?.invoke(executionId, "✅ 승인: $path", LogLevel.SUCCESS)
+                }
+            }
+            decision
         } finally {
             pending.remove(id)
+            waitMeter?.spans?.add(ApprovalWaitSpan(request.requestedAt, System.currentTimeMillis(), decision.approved))
+            _resolutions.tryEmit(ApprovalResolved(id = id, approved = decision.approved, modification = decision.modification))
         }
     }
 
-    /** 승인 */
-    fun approve(id: String): Boolean = pending[id]?.deferred?.complete(true) ?: false
-
-    /** 거절 */
-    fun reject(id: String): Boolean = pending[id]?.deferred?.complete(false) ?: false
-
-    /** 대기 중인 승인 요청 목록 */
-    fun getPending(): List<ApprovalRequest> = pending.values.map { it.request }
-
     /**
-     * 단순 unified diff 생성
-     * 첫 번째 변경점부터 마지막 변경점까지 + 컨텍스트 3줄
+     * 승인
+     * - patch: 원본에 그 패치(승인자가 고른 hunk만)를 적용한 내용으로 실행
+     * - content: 승인자가 직접 수정한 내용으로 실행
+     * 결과가 제안 내용과 같으면 (수정 모드에서 손대지 않았거나 모든 hunk 선택) 그대로 승인으로 처리
+     * @throws IllegalArgumentException 편집 불가 요청, patch·content 동시 지정, 패치가 원본과 맞지 않을 때
      */
-    private fun buildDiff(oldContent: String, newContent: String, path: String): String {
-        if (oldContent == newContent) return "(변경 없음)"
-
-        val oldLines = oldContent.lines()
-        val newLines = newContent.lines()
-
-        // 첫 번째 차이점
-        var firstDiff = 0
-        while (firstDiff < oldLines.size && firstDiff < newLines.size &&
-            oldLines[firstDiff] == newLines[firstDiff]) {
-            firstDiff++
-        }
-
-        // 마지막 차이점
-        var lastDiffOld = oldLines.size - 1
-        var lastDiffNew = newLines.size - 1
-        while (lastDiffOld >= firstDiff && lastDiffNew >= firstDiff &&
-            oldLines[lastDiffOld] == newLines[lastDiffNew]) {
-            lastDiffOld--
-            lastDiffNew--
-        }
-
-        val context = 3
-        val contextStart = maxOf(0, firstDiff - context)
-        val sb = StringBuilder()
-        sb.append("--- $path (기존)\n")
-        sb.append("+++ $path (변경)\n")
-        sb.append("@@ -${contextStart + 1} +${contextStart + 1} @@\n")
-
-        if (contextStart > 0) sb.append("...\n")
+    fun approve(id: String, patch: String? = null, content: String? = null): Boolean {
+        val entry = pending[id] ?: return false
+        if (patch == null && content == null) return entry.deferred.complete(ApprovalDecision(true))
+        require(entry.request.editable) { "수정 승인을 지원하지 않는 요청입니다: ${entry.request.path}" }
+        require(patch == null || content == null) { "patch 와 content 는 함께 지정할 수 없습니다" }
+        val modified = content ?: UnifiedDiff.apply(entry.oldContent ?: "", patch!!)
+        if (modified == entry.request.newContent) return entry.deferred.complete(ApprovalDecision(true))
+        val modification = if (content != null) Modification.EDITED else Modification.PARTIAL
+        return entry.deferred.complete(ApprovalDecision(true, modified, modification))
+    }
 
-        for (i in contextStart until firstDiff) {
-            sb.append("  ${oldLines[i]}\n")
-        }
-        for (i in firstDiff..lastDiffOld) {
-            sb.append("- ${oldLines[i]}\n")
-        }
-        for (i in firstDiff..lastDiffNew) {
-            sb.append("+ ${newLines[i]}\n")
-        }
-        val contextEndOld = minOf(oldLines.size - 1, lastDiffOld + context)
-        for (i in lastDiffOld + 1..contextEndOld) {
-            sb.append("  ${oldLines[i]}\n")
-        }
-        if (contextEndOld < oldLines.size - 1) sb.append("...\n")
+    /** 거절 */
+    fun reject(id: String): Boolean = pending[id]?.deferred?.complete(ApprovalDecision(false)) ?: false
 
-        return sb.toString()
-    }
+    /** 대기 중인 승인 요청 목록 (오래된 순) */
+    fun getPending(): List<ApprovalRequest> = pending.values.map { it.request }.sortedBy { it.requestedAt }
 }
@@ -10,35 +10,42 @@ import com.hana.orchestrator.layer.CommonLayerInterface
  * 정책 우선순위: 레이어 선언(approvalPreview.kind) > scheduledBypass > 사용자 확인
  *
  * - READ_ONLY → 항상 게이트 스킵 (LLM 설정 무관)
- * - scheduledBypass → 스케줄 작업 무인 실행 시 모든 게이트 스킵
+ * - scheduledBypass → 스케줄 작업 무인 실행 시 그 실행의 모든 게이트 스킵
  * - 그 외 → 사용자 승인 대기
  */
 class ApprovalPolicy(private val gate: ApprovalGate?) {
 
     /**
      * 레이어 실행을 승인 정책으로 감싸는 Around Advice.
-     * READ_ONLY 선언 레이어는 gate 없이 즉시 action() 호출.
+     * READ_ONLY 선언 레이어는 gate 없이 즉시 action(args) 호출.
+     * 부분 승인으로 내용이 바뀌면 preview.contentArg 인자를 그 내용으로 교체해 실행.
      */
     suspend fun guard(
         layer: CommonLayerInterface,
         layerName: String,
         function: String,
         args: Map<String, Any>,
-        action: suspend () -> String
+        action: suspend (Map<String, Any>) -> String
     ): String {
-        if (gate == null || gate.scheduledBypass) return action()
+        if (gate == null || gate.isScheduledBypass()) return action(args)
 
         val preview = layer.approvalPreview(function, args)
-        if (preview.kind == ApprovalKind.READ_ONLY) return action()
+        if (preview.kind == ApprovalKind.READ_ONLY) return action(args)
 
         val displayPath = if (preview.path == function) "$layerName.$function" else preview.path
-        val approved = gate.requestApproval(
+        val decision = gate.requestApproval(
             path = displayPath,
             oldContent = preview.oldContent,
             newContent = preview.newContent,
-            kind = preview.kind
+            kind = preview.kind,
+            editable = preview.contentArg != null
         )
-        return if (approved) action()
-        else "REJECTED: 사용자가 실행을 거절했습니다: $layerName.$function"
+        if (!decision.approved) return "REJECTED: 사용자가 실행을 거절했습니다: $layerName.$function"
+        val contentArg = preview.contentArg
+        if (decision.content == null || contentArg == null) return action(args)
+        // 사람이 바꾼 내용으로 실행했음을 결과에 명시 — ReAct 루프가 제안 원문 기준으로 판단하지 않도록
+        val result = action(args + (contentArg to decision.content))
+        val how = (decision.modification ?: ApprovalGate.Modification.EDITED).label
+        return "$result\n[승인자 수정] 사용자가 $how 했습니다 — 제안 원문이 아닌 수정된 내용이 적용됨: $displayPath"
     }
 }
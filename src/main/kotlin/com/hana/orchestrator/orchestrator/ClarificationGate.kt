@@ -21,11 +21,26 @@ class ClarificationGate {
     /** 스케줄러 무인 실행 중 — "ask" 액션을 빈 문자열로 자동 통과 (루프 진행 유지) */
     @Volatile var scheduledBypass: Boolean = false
 
+    /**
+     * @param answerType 답변 형식: "text" | "choice"(options 중 택1) | "yesno" | "file"(파일 선택)
+     * @param executionId 질문한 실행 (인박스에서 실행 이력으로 이동용)
+     */
     @Serializable
     data class ClarificationRequest(
         val type: String = "CLARIFICATION_REQUIRED",
         val id: String,
-        val question: String
+        val question: String,
+        val answerType: String = "text",
+        val options: List<String> = emptyList(),
+        val executionId: String? = null,
+        val requestedAt: Long = System.currentTimeMillis()
+    )
+
+    /** 질문 종료 알림 (답변·타임아웃) — 다른 탭/인박스에서 항목 제거용 */
+    @Serializable
+    data class ClarificationResolved(
+        val type: String = "CLARIFICATION_RESOLVED",
+        val id: String
     )
 
     private data class PendingClarification(
@@ -36,21 +51,38 @@ class ClarificationGate {
     private val _requests = MutableSharedFlow<ClarificationRequest>(replay = 0, extraBufferCapacity = 10)
     val requests: SharedFlow<ClarificationRequest> = _requests.asSharedFlow()
 
+    private val _resolutions = MutableSharedFlow<ClarificationResolved>(replay = 0, extraBufferCapacity = 10)
+    val resolutions: SharedFlow<ClarificationResolved> = _resolutions.asSharedFlow()
+
     private val pending = ConcurrentHashMap<String, PendingClarification>()
 
     /**
      * 질문 요청: 사용자가 answer()를 호출할 때까지 suspend됨
      * scheduledBypass=true면 즉시 자율 실행 안내 메시지 반환 (무인 실행 — LLM이 스스로 결정)
      * timeoutMs 초과 시 빈 문자열 반환 (기본 5분)
+     * choice 인데 options 가 비어 있으면 text 로 처리
      * @return 사용자 답변 문자열
      */
-    suspend fun requestClarification(question: String, timeoutMs: Long = 5 * 60 * 1000L): String {
+    suspend fun requestClarification(
+        question: String,
+        executionId: String? = null,
+        answerType: String = "text",
+        options: List<String> = emptyList(),
+        timeoutMs: Long = 5 * 60 * 1000L
+    ): String {
         if (scheduledBypass) {
             logger.info("📅 [ClarificationGate] bypass — 자율 실행 모드: $question")
             return "[자율 실행] 사용자 확인 없이 자율 실행 중입니다. 스스로 가장 합리적인 선택을 결정하고 즉시 진행하세요. 추가 질문 없이 직접 실행하세요."
         }
         val id = UUID.randomUUID().toString().take(8)
-        val request = ClarificationRequest(id = id, question = question)
+        val type = answerType.lowercase().takeIf { it in ANSWER_TYPES } ?: "text"
+        val request = ClarificationRequest(
+            id = id,
+            question = question,
+            answerType = if (type == "choice" && options.isEmpty()) "text" else type,
+            options = options,
+            executionId = executionId
+        )
         val deferred = CompletableDeferred<String>()
         pending[id] = PendingClarification(request, deferred)
         _requests.emit(request)
@@ -61,12 +93,17 @@ class ClarificationGate {
             }
         } finally {
             pending.remove(id)
+            _resolutions.tryEmit(ClarificationResolved(id = id))
         }
     }
 
     /** 사용자 답변 제출 */
     fun answer(id: String, answer: String): Boolean = pending[id]?.deferred?.complete(answer) ?: false
 
-    /** 대기 중인 질문 목록 */
-    fun getPending(): List<ClarificationRequest> = pending.values.map { it.request }
+    /** 대기 중인 질문 목록 (오래된 순) */
+    fun getPending(): List<ClarificationRequest> = pending.values.map { it.request }.sortedBy { it.requestedAt }
+
+    companion object {
+        val ANSWER_TYPES = setOf("text", "choice", "yesno", "file")
+    }
 }
@@ -0,0 +1,114 @@
+package com.hana.orchestrator.orchestrator
+
+import java.time.ZonedDateTime
+import java.time.temporal.ChronoUnit
+
+/**
+ * 5필드 cron 표현식 (분 시 일 월 요일) — 스케줄러 JobSchedule.Cron 용
+ * 지원: *, 목록(1,15), 범위(9-18), 간격(`*`/15, 9-18/2), 월·요일 이름(JAN, MON-FRI), 요일 0·7=일요일
+ * 일·요일이 둘 다 지정되면 표준 cron 과 같이 둘 중 하나만 맞아도 실행
+ * SRP: 표현식 파싱과 다음 실행 시각 계산만 담당 (타임존은 호출자가 ZonedDateTime 으로 전달)
+ */
+class CronExpression private constructor(
+    val expression: String,
+    private val minutes: Set<Int>,
+    private val hours: Set<Int>,
+    private val daysOfMonth: Set<Int>,
+    private val months: Set<Int>,
+    private val daysOfWeek: Set<Int>,   // 0=일 ... 6=토
+    private val domRestricted: Boolean,
+    private val dowRestricted: Boolean
+) {
+    companion object {
+        private val MONTH_NAMES = listOf("JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC")
+        private val DOW_NAMES = listOf("SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT")
+        private val MACROS = mapOf(
+            "@hourly" to "0 * * * *",
+            "@daily" to "0 0 * * *",
+            "@weekly" to "0 0 * * 0",
+            "@monthly" to "0 0 1 * *"
+        )
+
+        /**
+         * 다음 실행 시각 탐색 범위 (년) — 가장 드문 2월 29일도 최대 8년 간격(2096→2104)이라 여유 1년을 더함
+         * 이 안에 없으면 2월 30일처럼 영원히 안 맞는 식
+         */
+        private const val SEARCH_YEARS = 9L
+
+        /**
+         * @throws IllegalArgumentException 필드 개수·값 범위·문법 오류
+         */
+        fun parse(expression: String): CronExpression {
+            val normalized = MACROS[expression.trim().lowercase()] ?: expression.trim()
+            val fields = normalized.split(Regex("\\s+"))
+            require(fields.size == 5) { "cron 표현식은 '분 시 일 월 요일' 5개 필드여야 합니다: $expression" }
+            val dows = parseField(fields[4], 0, 7, DOW_NAMES, "요일").map { if (it == 7) 0 else it }.toSet()
+            return CronExpression(
+                expression = expression.trim(),
+                minutes = parseField(fields[0], 0, 59, null, "분"),
+                hours = parseField(fields[1], 0, 23, null, "시"),
+                daysOfMonth = parseField(fields[2], 1, 31, null, "일"),
+                months = parseField(fields[3], 1, 12, MONTH_NAMES, "월", nameOffset = 1),
+                daysOfWeek = dows,
+                domRestricted = fields[2] != "*",
+                dowRestricted = fields[4] != "*"
+            )
+        }
+
+        private fun parseField(field: String, min: Int, max: Int, names: List<String>?, label: String, nameOffset: Int = 0): Set<Int> {
+            fun value(token: String): Int {
+                val named = names?.indexOf(token.uppercase())?.takeIf { it >= 0 }?.plus(nameOffset)
+                val v = named ?: token.toIntOrNull() ?: throw IllegalArgumentException("$label 필드 값이 올바르지 않습니다: $token")
+                require(v in min..max) { "$label 필드 값은 $min~$max 범위여야 합니다: $token" }
+                return v
+            }
+            val result = sortedSetOf<Int>()
+            for (part in field.split(",")) {
+                val (rangePart, stepPart) = part.split("/", limit = 2).let { it[0] to it.getOrNull(1) }
+                val step = stepPart?.let { s -> s.toIntOrNull()?.takeIf { it > 0 } ?: throw IllegalArgumentException("$label 필드 간격이 올바르지 않습니다: $part") } ?: 1
+                val (from, to) = when {
+                    rangePart == "*" -> min to max
+                    rangePart.contains("-") -> rangePart.split("-", limit = 2).let { value(it[0]) to value(it[1]) }
+                    else -> value(rangePart).let { it to (if (stepPart != null) max else it) }
+                }
+                require(from <= to) { "$label 필드 범위가 거꾸로입니다: $part" }
+                for (v in from..to step step) result.add(v)
+            }
+            return result
+        }
+    }
+
+    /**
+     * after 보다 뒤(분 단위)의 첫 실행 시각, SEARCH_YEARS 안에 없으면 null (= 영원히 안 맞는 식)
+     * 월·일·시가 안 맞으면 그 단위째 건너뛰므로 반복 횟수는 탐색 기간의 일 수 정도
+     */
+    fun next(after: ZonedDateTime): ZonedDateTime? {
+        var t = after.truncatedTo(ChronoUnit.MINUTES).plusMinutes(1)
+        val limit = after.plusYears(SEARCH_YEARS)
+        while (!t.isAfter(limit)) {
+            when {
+                t.monthValue !in months ->
+                    t = t.withDayOfMonth(1).truncatedTo(ChronoUnit.DAYS).plusMonths(1)
+                !dayMatches(t) ->
+                    t = t.truncatedTo(ChronoUnit.DAYS).plusDays(1)
+                t.hour !in hours ->
+                    t = t.truncatedTo(ChronoUnit.HOURS).plusHours(1)
+                t.minute !in minutes ->
+                    t = t.plusMinutes(1)
+                else -> return t
+            }
+        }
+        return null
+    }
+
+    private fun dayMatches(t: ZonedDateTime): Boolean {
+        val dom = t.dayOfMonth in daysOfMonth
+        val dow = (t.dayOfWeek.value % 7) in daysOfWeek
+        return when {
+            domRestricted && dowRestricted -> dom || dow
+            domRestricted -> dom
+            dowRestricted -> dow
+            else -> true
+        }
+    }
+}
@@ -3,6 +3,36 @@ package com.hana.orchestrator.orchestrator
 import com.hana.orchestrator.domain.entity.ExecutionHistory
 import com.hana.orchestrator.domain.entity.ExecutionResult
 
+/**
+ * 실행 이력 검색 조건 (모든 조건 AND)
+ * @param text query/result/error/logs 전문 검색 (대소문자 무시)
+ * @param statuses ExecutionStatus 이름 (소문자 허용), 비어 있으면 전체
+ * @param function 실행 트리에 포함된 "layer.function" (부분 일치)
+ * @param cursor 이전 페이지의 nextCursor ("startTime:id") — 지정 시 offset 무시
+ */
+data class ExecutionSearchFilter(
+    val text: String? = null,
+    val statuses: Set<String> = emptySet(),
+    val from: Long? = null,
+    val to: Long? = null,
+    val function: String? = null,
+    val cursor: String? = null,
+    val offset: Int = 0,
+    val limit: Int = 20
+)
+
+/**
+ * 실행 로그 레벨 — 로그 줄은 "[HH:mm:ss.SSS] [LEVEL] [node:id] 메시지" 형식 (대시보드 로그 뷰어가 파싱)
+ */
+enum class LogLevel { INFO, SUCCESS, WARN, ERROR }
+
+data class ExecutionSearchPage(
+    val items: List<ExecutionHistory>,
+    val nextCursor: String?,
+    val total: Int,
+    val functions: List<String>  // 필터 선택지: 전체 이력에 등장한 layer.function
+)
+
 /**
  * 실행 이력 관리 책임
  * SRP: 실행 이력 저장, 조회만 담당
@@ -54,6 +84,72 @@ class ExecutionHistoryManager(
         return executionHistory.takeLast(limit).reversed()
     }
     
+    /**
+     * 실행 이력 검색 (메모리 + 파일 색인, 최신순)
+     * 정렬 키는 (startTime, id) 내림차순 — cursor 는 마지막 항목의 "startTime:id"
+     * 필터·정렬은 색인으로 하고, 본문은 돌려줄 페이지만 로드
+     */
+    fun search(filter: ExecutionSearchFilter): ExecutionSearchPage {
+        // 파일 색인 위에 메모리(최신 상태·실행 중) 이력을 덮어씀
+        val inMemory = LinkedHashMap<String, ExecutionHistory>()
+        executionHistory.toList().forEach { inMemory[it.id] = it }
+        currentExecutions.values.forEach { inMemory[it.id] = it }
+        val byId = LinkedHashMap<String, HistoryIndexEntry>()
+        historyRepository.indexEntries().forEach { byId[it.id] = it }
+        inMemory.values.forEach { byId[it.id] = HistoryRepository.indexEntryOf(it) }
+        val all = byId.values.sortedWith(compareByDescending<HistoryIndexEntry> { it.startTime }.thenByDescending { it.id })
+
+        val text = filter.text?.trim()?.lowercase()?.takeIf { it.isNotEmpty() }
+        val statuses = filter.statuses.map { it.uppercase() }.toSet()
+        val function = filter.function?.trim()?.lowercase()?.takeIf { it.isNotEmpty() }
+        val fileTextMatches = text?.let { t -> historyRepository.idsMatchingText(t) { matchesText(it, t) } }
+        val matched = all.filter { e ->
+            (statuses.isEmpty() || e.status.name in statuses) &&
+                (filter.from == null || e.startTime >= filter.from) &&
+                (filter.to == null || e.startTime <= filter.to) &&
+                (text == null || inMemory[e.id]?.let { matchesText(it, text) } ?: (fileTextMatches?.contains(e.id) == true)) &&
+                (function == null || e.functions.any { it.lowercase().contains(function) })
+        }
+
+        val start = filter.cursor?.let { cursor ->
+            val (time, id) = cursor.split(":", limit = 2).let { (it[0].toLongOrNull() ?: 0L) to it.getOrElse(1) { "" } }
+            matched.indexOfFirst { it.startTime < time || (it.startTime == time && it.id < id) }.let { if (it < 0) matched.size else it }
+        } ?: filter.offset.coerceIn(0, matched.size)
+        val limit = filter.limit.coerceIn(1, 100)
+        val pageEntries = matched.drop(start).take(limit)
+        val page = pageEntries.mapNotNull { inMemory[it.id] ?: historyRepository.load(it.id) }
+        val nextCursor = if (start + pageEntries.size < matched.size) pageEntries.lastOrNull()?.let { "${it.startTime}:${it.id}" } else null
+
+        // 함수 필터 후보는 첫 페이지에서만 (다음 페이지는 클라이언트가 기존 목록 유지)
+        val firstPage = filter.cursor == null && filter.offset == 0
+        return ExecutionSearchPage(
+            items = page,
+            nextCursor = nextCursor,
+            total = matched.size,
+            functions = if (firstPage) all.flatMap { it.functions }.distinct().sorted() else emptyList()
+        )
+    }
+
+    private fun matchesText(h: ExecutionHistory, text: String): Boolean =
+        h.id.lowercase() == text ||
+            h.query.lowercase().contains(text) ||
+            h.result.result.lowercase().contains(text) ||
+            (h.result.error?.lowercase()?.contains(text) ?: false) ||
+            h.logs.toList().any { it.lowercase().contains(text) }
+
+    /**
+     * 단건 조회 (실행 중 → 메모리 → 파일 순)
+     */
+    fun findHistory(id: String): ExecutionHistory? =
+        currentExecutions[id]
+            ?: executionHistory.lastOrNull { it.id == id }
+            ?: historyRepository.load(id)
+
+    /**
+     * 잘린 노드 결과의 전체 본문 (nodeId → 결과) — 포크 시 고정 입력용
+     */
+    fun findFullNodeResults(id: String): Map<String, String> = historyRepository.loadFullResults(id)
+
     /**
      * 실행 이력 삭제 (메모리 + 파일)
      */
@@ -80,13 +176,15 @@ class ExecutionHistoryManager(
     
     /**
      * 실행 로그 추가 (executionId 지정)
+     * @param nodeId 트리 노드에서 나온 로그면 해당 노드 id — 뷰어에서 노드별로 묶어 보기용
      */
-    fun addLogTo(executionId: String, message: String) {
+    fun addLogTo(executionId: String, message: String, level: LogLevel = LogLevel.INFO, nodeId: String? = null) {
         val current = currentExecutions[executionId] ?: return
         val timeStr = java.time.Instant.ofEpochMilli(System.currentTimeMillis())
             .atZone(java.time.ZoneId.systemDefault())
             .format(java.time.format.DateTimeFormatter.ofPattern("HH:mm:ss.SSS"))
-        current.logs.add("[$timeStr] $message")
+        val nodeTag = if (nodeId != null) " [node:$nodeId]" else ""
+        current.logs.add("[$timeStr] [${level.name}]$nodeTag $message")
     }
 
     /**
@@ -5,8 +5,11 @@ import com.hana.orchestrator.domain.entity.ExecutionTree
 import com.hana.orchestrator.domain.entity.ExecutionContext
 import com.hana.orchestrator.domain.entity.ExecutionResult
 import com.hana.orchestrator.domain.entity.NodeExecutionResult
+import com.hana.orchestrator.presentation.model.execution.NodeResultState
+import com.hana.orchestrator.presentation.model.execution.NodeStatusUpdate
 import com.hana.orchestrator.presentation.model.execution.ProgressUpdate
 import com.hana.orchestrator.presentation.model.execution.ExecutionPhase
+import com.hana.orchestrator.presentation.model.execution.StepProgress
 import kotlinx.coroutines.flow.MutableSharedFlow
 import kotlinx.coroutines.flow.SharedFlow
 import kotlinx.coroutines.flow.asSharedFlow
@@ -26,6 +29,10 @@ class ExecutionStatePublisher {
     // 진행 상태 업데이트를 위한 Flow
     private val _progressUpdates = MutableSharedFlow<ProgressUpdate>(replay = 1, extraBufferCapacity = 10)
     val progressUpdates: SharedFlow<ProgressUpdate> = _progressUpdates.asSharedFlow()
+
+    // 노드 상태 업데이트를 위한 Flow
+    private val _nodeStatusUpdates = MutableSharedFlow<NodeStatusUpdate>(extraBufferCapacity = 64)
+    val nodeStatusUpdates: SharedFlow<NodeStatusUpdate> = _nodeStatusUpdates.asSharedFlow()
     
     /**
      * 실행 상태 업데이트를 Flow에 emit
@@ -62,7 +69,15 @@ class ExecutionStatePublisher {
     /**
      * 진행 상태 업데이트 emit
      */
-    suspend fun emitProgress(executionId: String, phase: ExecutionPhase, message: String, progress: Int, elapsedMs: Long, query: String? = null) {
+    suspend fun emitProgress(
+        executionId: String,
+        phase: ExecutionPhase,
+        message: String,
+        progress: Int,
+        elapsedMs: Long,
+        query: String? = null,
+        stepDetail: StepProgress? = null
+    ) {
         _progressUpdates.emit(
             ProgressUpdate(
                 executionId = executionId,
@@ -70,7 +85,8 @@ class ExecutionStatePublisher {
                 message = message,
                 progress = progress,
                 elapsedMs = elapsedMs,
-                query = query
+                query = query,
+                stepDetail = stepDetail
             )
         )
     }
@@ -83,4 +99,15 @@ class ExecutionStatePublisher {
             emitProgress(executionId, phase, message, progress, elapsedMs, query)
         }
     }
+
+    /**
+     * 노드 상태 스냅샷 emit (노드 RUNNING/완료 시점마다)
+     */
+    suspend fun emitNodeStatus(executionId: String, context: ExecutionContext) {
+        if (executionId.isBlank()) return
+        val nodeResults = context.getAllResults().mapValues { (_, nr) ->
+            NodeResultState(nodeId = nr.nodeId, status = nr.status.name, result = nr.result, error = nr.error)
+        }
+        _nodeStatusUpdates.emit(NodeStatusUpdate(executionId, nodeResults))
+    }
 }
@@ -1,8 +1,12 @@
 package com.hana.orchestrator.orchestrator
 
 import com.hana.orchestrator.layer.LayerDescription
+import com.hana.orchestrator.layer.ParameterInfo
 import com.hana.orchestrator.domain.entity.ExecutionTree
 import com.hana.orchestrator.domain.entity.ExecutionNode
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.jsonArray
+import kotlinx.serialization.json.jsonPrimitive
 
 /**
  * ExecutionTree의 유효성을 검증하고 자동으로 수정하는 클래스
@@ -45,6 +49,9 @@ class ExecutionTreeValidator(
         val cycleErrors = detectDagCycles(tree)
         errors.addAll(cycleErrors)
 
+        // 트리에 없는 노드를 {{nodeId:X}}로 참조하면 빈 문자열로 치환되므로 사전 차단
+        errors.addAll(detectDanglingReferences(tree))
+
         // 각 루트 노드 검증 및 수정
         val fixedRootNodes = tree.rootNodes.mapIndexed { index, rootNode ->
             // 트리 깊이 검증
@@ -90,7 +97,6 @@ class ExecutionTreeValidator(
      * 엣지 방향: "이 노드가 저 노드에 의존" (저 노드가 먼저 완료되어야 이 노드 실행 가능)
      */
     private fun detectDagCycles(tree: ExecutionTree): List<String> {
-        val nodeIdRegex = Regex("""\{\{nodeId:([^}]+)\}\}""")
 
         // 의존성 그래프 구축: deps[id] = 이 노드가 의존하는 노드 ID 집합
         val deps = mutableMapOf<String, MutableSet<String>>()
@@ -122,8 +128,65 @@ class ExecutionTreeValidator(
         return errors
     }
 
+    /**
+     * 존재하지 않는 노드 ID 참조({{nodeId:X}}) 감지
+     */
+    private fun detectDanglingReferences(tree: ExecutionTree): List<String> {
+        val allNodes = tree.allNodes()
+        val ids = allNodes.map { it.id }.toSet()
+        return allNodes.flatMap { node ->
+            node.args.values.filterIsInstance<String>()
+                .flatMap { v -> nodeIdRegex.findAll(v).map { it.groupValues[1].trim() } }
+                .filter { it !in ids }
+                .map { "노드 ${node.layerName}.${node.function} 가 존재하지 않는 노드 '$it' 를 참조합니다." }
+        }
+    }
+
     companion object {
         private const val MAX_TREE_DEPTH = 10
+        /** {{nodeId:X}} / {{nodeId:X|json.path}} — group 1 = 참조 노드 ID */
+        private val nodeIdRegex = Regex("""\{\{nodeId:([^}|]+)(?:\|[^}]*)?\}\}""")
+
+        /**
+         * 문자열 arg → 선언 타입(ParameterInfo.type) 그대로 변환 — 레이어가 `as? Int` 처럼 정확한 타입으로 읽으므로
+         * Int 는 Int, Long 은 Long, Float 는 Float, List<Int> 는 원소까지 Int 로 맞춤
+         * 플레이스홀더({{...}})나 변환 불가 값은 원문 유지 — 실행 시점 치환 및 레이어 측 파싱에 맡김
+         * 트리 검증과 레이어 함수 단건 실행(/layers/{layerName}/execute)이 같이 사용
+         */
+        fun coerceArgs(args: Map<String, Any>, params: Map<String, ParameterInfo>): Map<String, Any> =
+            args.mapValues { (name, value) ->
+                val raw = value as? String ?: return@mapValues value
+                val type = params[name]?.type ?: return@mapValues value
+                if (raw.contains("{{")) return@mapValues value
+                if (type.contains("List")) {
+                    val elementType = type.substringAfter("<", "").substringBefore(">")
+                    val items = parseListArg(raw) ?: return@mapValues value
+                    items.map { coerceScalar(it, elementType) ?: it }
+                } else {
+                    coerceScalar(raw, type) ?: value
+                }
+            }
+
+        /** 스칼라 변환 — 지원하지 않는 타입이거나 변환 실패면 null */
+        private fun coerceScalar(raw: String, type: String): Any? = when (type) {
+            "Boolean" -> raw.trim().toBooleanStrictOrNull()
+            "Int" -> raw.trim().toIntOrNull()
+            "Long" -> raw.trim().toLongOrNull()
+            "Double" -> raw.trim().toDoubleOrNull()
+            "Float" -> raw.trim().toFloatOrNull()
+            else -> null
+        }
+
+        /** JSON 배열(["a","b"]) 또는 toString 형식([a, b]) → List<String> */
+        private fun parseListArg(raw: String): List<String>? {
+            val trimmed = raw.trim()
+            if (!trimmed.startsWith("[") || !trimmed.endsWith("]")) return null
+            return try {
+                Json.parseToJsonElement(trimmed).jsonArray.map { it.jsonPrimitive.content }
+            } catch (e: Exception) {
+                trimmed.removeSurrounding("[", "]").split(",").map { it.trim() }.filter { it.isNotEmpty() }
+            }
+        }
     }
 
     /**
@@ -205,8 +268,8 @@ class ExecutionTreeValidator(
             }
         }
 
-        // args는 그대로 사용 (query는 더 이상 필수가 아님)
-        val fixedArgs = node.args
+        // args 문자열 값을 ParameterInfo 타입으로 변환 (트리 편집기는 args를 문자열로 전송)
+        val fixedArgs = coerceArgs(node.args, layerDesc.functionDetails[node.function]?.parameters.orEmpty())
 
         // 병렬 실행 검증: parallel=true인데 children이 1개면 경고
         if (node.parallel && node.children.size < 2) {
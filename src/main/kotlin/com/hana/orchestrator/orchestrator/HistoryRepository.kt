@@ -1,36 +1,151 @@
 package com.hana.orchestrator.orchestrator
 
 import com.hana.orchestrator.domain.entity.ExecutionHistory
+import com.hana.orchestrator.domain.entity.ExecutionStatus
+import com.hana.orchestrator.presentation.model.execution.ExecutionTreeNodeResponse
+import kotlinx.serialization.builtins.MapSerializer
+import kotlinx.serialization.builtins.serializer
 import kotlinx.serialization.json.Json
 import java.io.File
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.atomic.AtomicInteger
+
+/**
+ * 검색용 경량 색인 — 정렬·필터에 필요한 값만 (로그·결과 본문은 메모리에 두지 않음)
+ * @param functions 실행 트리에 등장한 "layer.function"
+ */
+data class HistoryIndexEntry(
+    val id: String,
+    val startTime: Long,
+    val status: ExecutionStatus,
+    val functions: List<String>
+)
 
 /**
  * 실행 이력 파일 영속화
- * SRP: 이력 파일 저장/로드만 담당
+ * SRP: 이력 파일 저장/로드 + 검색 색인 유지만 담당
+ * 잘린 노드 결과의 전체 본문은 results/{id}.json (nodeId → 결과) 에 따로 보관 — 포크 고정용, 목록·검색에서는 읽지 않음
  */
 class HistoryRepository(
     private val baseDir: File = File(".hana/history")
 ) {
     private val json = Json { ignoreUnknownKeys = true; encodeDefaults = true }
+    private val resultsDir = File(baseDir, "results")
+    private val fullResultsSerializer = MapSerializer(String.serializer(), String.serializer())
+
+    /** 파일명 → (lastModified, 색인) — 새로 생기거나 바뀐 파일만 한 번 디코딩해 색인 */
+    private val index = ConcurrentHashMap<String, Pair<Long, HistoryIndexEntry>>()
+    /** 색인 세대 — 저장·삭제마다 증가, 전문 검색 결과 캐시 무효화용 */
+    private val generation = AtomicInteger()
+    /** 마지막 전문 검색 (검색어, 세대, 일치 ID) — 같은 검색의 다음 페이지는 파일을 다시 읽지 않음 */
+    @Volatile private var textMatchCache: Triple<String, Int, Set<String>>? = null
+
+    companion object {
+        /** 실행 ID 는 UUID 계열 — 경로 구분자·점으로 시작하는 이름 차단 */
+        private val ID_PATTERN = Regex("^[A-Za-z0-9_-]{1,100}$")
+
+        fun isValidId(id: String): Boolean = ID_PATTERN.matches(id)
+
+        fun indexEntryOf(history: ExecutionHistory) = HistoryIndexEntry(
+            id = history.id,
+            startTime = history.startTime,
+            status = history.status,
+            functions = functionsOf(history)
+        )
+
+        fun functionsOf(history: ExecutionHistory): List<String> {
+            val names = mutableListOf<String>()
+            fun walk(node: ExecutionTreeNodeResponse) {
+                names.add("${node.layerName}.${node.function}")
+                node.children.forEach { walk(it) }
+            }
+            history.executionTree?.rootNodes?.forEach { walk(it) }
+            return names
+        }
+    }
 
     init { baseDir.mkdirs() }
 
+    /** 전체 결과는 실행 직후 저장에서만 채워짐 — 파일에서 다시 읽은 이력을 저장할 때는 기존 결과 파일 유지 */
     fun save(history: ExecutionHistory) {
+        saveFullResults(history)
         val tmp = File(baseDir, "${history.id}.json.tmp")
         val target = File(baseDir, "${history.id}.json")
         tmp.writeText(json.encodeToString(ExecutionHistory.serializer(), history))
         tmp.renameTo(target)
+        index[target.name] = target.lastModified() to indexEntryOf(history)
+        generation.incrementAndGet()
     }
 
     fun delete(id: String): Boolean {
-        val file = File(baseDir, "$id.json")
+        val file = fileOf(id) ?: return false
+        File(resultsDir, file.name).delete()
+        index.remove(file.name)
+        generation.incrementAndGet()
         return file.exists() && file.delete()
     }
 
+    /** 단건 로드 — 해당 파일만 읽음 */
+    fun load(id: String): ExecutionHistory? {
+        val file = fileOf(id)?.takeIf { it.exists() } ?: return null
+        return decode(file)
+    }
+
+    /** 저장된 모든 이력의 색인 (검색·페이지네이션용) */
+    fun indexEntries(): List<HistoryIndexEntry> {
+        val files = baseDir.listFiles { f -> f.name.endsWith(".json") } ?: return emptyList()
+        val names = files.map { it.name }.toSet()
+        if (index.keys.retainAll(names)) generation.incrementAndGet()
+        return files.mapNotNull { file ->
+            val modified = file.lastModified()
+            index[file.name]?.takeIf { it.first == modified }?.second
+                ?: decode(file)?.let { indexEntryOf(it) }?.also {
+                    index[file.name] = modified to it
+                    generation.incrementAndGet()
+                }
+        }
+    }
+
+    /**
+     * 전문 검색 — 파일을 하나씩 읽어 판정만 하고 본문은 버림
+     * @param text 캐시 키 (matches 는 같은 text 에 대해 같은 판정이어야 함)
+     */
+    fun idsMatchingText(text: String, matches: (ExecutionHistory) -> Boolean): Set<String> {
+        val gen = generation.get()
+        textMatchCache?.takeIf { it.first == text && it.second == gen }?.let { return it.third }
+        val ids = (baseDir.listFiles { f -> f.name.endsWith(".json") } ?: emptyArray())
+            .mapNotNull { file -> decode(file)?.takeIf(matches)?.id }
+            .toSet()
+        textMatchCache = Triple(text, gen, ids)
+        return ids
+    }
+
+    /** 잘린 노드 결과의 전체 본문 (nodeId → 결과) — 없으면 빈 맵 */
+    fun loadFullResults(id: String): Map<String, String> {
+        val file = fileOf(id)?.let { File(resultsDir, it.name) }?.takeIf { it.exists() } ?: return emptyMap()
+        return runCatching { json.decodeFromString(fullResultsSerializer, file.readText()) }.getOrDefault(emptyMap())
+    }
+
+    private fun saveFullResults(history: ExecutionHistory) {
+        val full = history.nodeResults
+            .mapNotNull { r -> r.nodeId?.let { id -> r.fullResult?.let { id to it } } }
+            .toMap()
+        if (full.isEmpty()) return
+        resultsDir.mkdirs()
+        val tmp = File(resultsDir, "${history.id}.json.tmp")
+        tmp.writeText(json.encodeToString(fullResultsSerializer, full))
+        tmp.renameTo(File(resultsDir, "${history.id}.json"))
+    }
+
     fun loadRecent(limit: Int = 50): List<ExecutionHistory> =
         baseDir.listFiles { f -> f.name.endsWith(".json") }
             ?.sortedByDescending { it.lastModified() }
             ?.take(limit)
-            ?.mapNotNull { runCatching { json.decodeFromString(ExecutionHistory.serializer(), it.readText()) }.getOrNull() }
+            ?.mapNotNull { decode(it) }
             ?: emptyList()
+
+    private fun fileOf(id: String): File? = if (isValidId(id)) File(baseDir, "$id.json") else null
+
+    private fun decode(file: File): ExecutionHistory? =
+        runCatching { json.decodeFromString(ExecutionHistory.serializer(), file.readText()) }.getOrNull()
 }
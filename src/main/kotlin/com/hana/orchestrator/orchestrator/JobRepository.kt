@@ -1,5 +1,6 @@
 package com.hana.orchestrator.orchestrator
 
+import com.hana.orchestrator.domain.entity.JobRun
 import com.hana.orchestrator.domain.entity.ScheduledJob
 import kotlinx.serialization.json.Json
 import java.io.File
@@ -7,11 +8,17 @@ import java.io.File
 /**
  * ScheduledJob 을 .hana/jobs/{id}.json 으로 저장·로드
  * TreeRepository 와 동일한 atomic write 패턴
+ * 실행 기록은 {id}.runs.jsonl 에 한 줄씩 append (최근 MAX_RUNS 건 유지)
  */
 class JobRepository(
     private val baseDir: File = File(".hana/jobs")
 ) {
     private val json = Json { prettyPrint = true; ignoreUnknownKeys = true; encodeDefaults = true }
+    private val lineJson = Json { ignoreUnknownKeys = true }
+
+    companion object {
+        const val MAX_RUNS = 1000
+    }
 
     init { baseDir.mkdirs() }
 
@@ -36,6 +43,33 @@ class JobRepository(
 
     fun delete(id: String): Boolean {
         val file = File(baseDir, "$id.json")
+        runsFile(id).delete()
         return file.exists() && file.delete()
     }
+
+    /** 실행 기록 추가 — MAX_RUNS 의 1.2배를 넘으면 최근 MAX_RUNS 건만 남기고 다시 씀 */
+    @Synchronized
+    fun appendRun(run: JobRun) {
+        val file = runsFile(run.jobId)
+        file.appendText(lineJson.encodeToString(JobRun.serializer(), run) + "\n")
+        val lines = file.readLines().filter { it.isNotBlank() }
+        if (lines.size > MAX_RUNS * 6 / 5) {
+            val tmp = File(baseDir, "${run.jobId}.runs.jsonl.tmp")
+            tmp.writeText(lines.takeLast(MAX_RUNS).joinToString("\n", postfix = "\n"))
+            tmp.renameTo(file)
+        }
+    }
+
+    /** 실행 기록 (최신순, 최대 limit 건) */
+    fun listRuns(jobId: String, limit: Int = MAX_RUNS): List<JobRun> {
+        val file = runsFile(jobId)
+        if (!file.exists()) return emptyList()
+        return file.readLines()
+            .filter { it.isNotBlank() }
+            .takeLast(limit)
+            .mapNotNull { runCatching { lineJson.decodeFromString(JobRun.serializer(), it) }.getOrNull() }
+            .reversed()
+    }
+
+    private fun runsFile(jobId: String) = File(baseDir, "$jobId.runs.jsonl")
 }
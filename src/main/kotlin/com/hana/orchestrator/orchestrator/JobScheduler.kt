@@ -1,9 +1,13 @@
 package com.hana.orchestrator.orchestrator
 
+import com.hana.orchestrator.domain.entity.ExecutionStatus
+import com.hana.orchestrator.domain.entity.JobRun
 import com.hana.orchestrator.domain.entity.JobSchedule
+import com.hana.orchestrator.domain.entity.JobTrigger
 import com.hana.orchestrator.domain.entity.ScheduledJob
 import com.hana.orchestrator.domain.dto.ChatDto
 import com.hana.orchestrator.presentation.mapper.ExecutionTreeMapper.toDomain
+import com.hana.orchestrator.presentation.model.metrics.OrchestratorMetrics
 import java.util.concurrent.ConcurrentHashMap
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.delay
@@ -17,9 +21,10 @@ import java.util.UUID
 /**
  * 스케줄 작업 실행기
  *
- * 60초마다 JobRepository를 폴링 → nextRunAt 도달한 활성 작업 실행
+ * 60초마다 JobRepository를 폴링 → nextRunAt 도달한 활성 작업 실행 + 트리 갱신·메트릭 트리거 확인
+ * 작업이 끝나면 afterJob 트리거로 연결된 후속 작업을 바로 실행 (파이프라인)
  * 실행은 Orchestrator에 위임 (ReAct 또는 저장 트리 직접 실행)
- * 실행 결과는 기존 ExecutionHistory에 자동으로 쌓임
+ * 실행 결과는 기존 ExecutionHistory에 자동으로 쌓이고, 회차별 executionId 는 JobRun 으로 기록
  */
 class JobScheduler(
     private val jobRepository: JobRepository,
@@ -32,9 +37,37 @@ class JobScheduler(
     private val runningLoopIds: MutableSet<String> = ConcurrentHashMap.newKeySet()
     private val runningJobIds: MutableSet<String> = ConcurrentHashMap.newKeySet()
 
+    /** 트리거별 직전 관측값 — 트리 버전 / 메트릭 조건 충족 여부 (첫 관측은 기준값으로만 기록) */
+    private val lastTreeVersions = ConcurrentHashMap<String, Int>()
+    private val lastMetricStates = ConcurrentHashMap<String, Boolean>()
+
+    companion object {
+        /** upcomingRuns 반복 한도 — 오래 밀린 nextRunAt + 짧은 interval 조합에서 무한 전진 방지 */
+        private const val MAX_PROJECTION_STEPS = 20_000
+        /** passResult 로 후속 작업에 넘기는 선행 결과 최대 길이 */
+        private const val UPSTREAM_RESULT_CHARS = 4_000
+        /** 값이 없는 파라미터로 실행하지 않은 회차 상태 — 후속 작업 트리거 대상 아님 */
+        private const val SKIPPED = "SKIPPED"
+
+        val TRIGGER_OUTCOMES = setOf("SUCCESS", "FAILED", "ANY")
+        val TRIGGER_OPS = setOf("<", "<=", ">", ">=")
+
+        /** metric 트리거에서 쓸 수 있는 메트릭 이름 → 값 */
+        val TRIGGER_METRICS: Map<String, (OrchestratorMetrics) -> Double> = mapOf(
+            "completionRate" to { m -> m.completionRate },
+            "errorStepRate" to { m -> m.errorStepRate },
+            "autoNextStepRate" to { m -> m.autoNextStepRate },
+            "avgStepsToFinish" to { m -> m.avgStepsToFinish },
+            "avgDurationMs" to { m -> m.avgDurationMs.toDouble() },
+            "failedCount" to { m -> m.failedCount.toDouble() },
+            "maxStepsHitCount" to { m -> m.maxStepsHitCount.toDouble() }
+        )
+    }
+
     fun start() {
         scope.launch {
             logger.info("📅 [JobScheduler] 시작 — 60초 간격 폴링")
+            reportJobsMissingParams()
             while (isActive) {
                 runDueJobs()
                 delay(60_000)
@@ -42,64 +75,243 @@ class JobScheduler(
         }
     }
 
-    /** 지금 당장 특정 Job 실행 (수동 트리거) — 이미 실행 중이면 무시 */
-    fun triggerNow(id: String): Boolean {
-        val job = jobRepository.load(id) ?: return false
-        if (!runningJobIds.add(job.id)) return true  // 이미 실행 중
-        if (job.schedule is JobSchedule.Loop) {
-            runningLoopIds.add(job.id)
-            scope.launch {
-                try { runLoopJob(job) }
-                finally { runningLoopIds.remove(job.id); runningJobIds.remove(job.id) }
+    /**
+     * 지금 당장 특정 Job 실행 (수동 트리거)
+     * @param params 이번 실행에만 쓰는 파라미터 (job.params 기본값 덮어씀)
+     * @return 첫 회차 executionId — 없는 작업이거나 이미 실행 중이면 null
+     */
+    fun triggerNow(id: String, params: Map<String, String> = emptyMap()): String? {
+        val job = jobRepository.load(id) ?: return null
+        return launchJob(job, triggeredBy = "manual", params = params)
+    }
+
+    /** 쿼리·저장 트리 args 의 자리표시자 → 기본값 (기본값 없으면 null), 등장 순서 유지 */
+    fun paramsOf(job: ScheduledJob): Map<String, String?> {
+        val treeNames = job.treeId?.let { treeRepository.load(it) }?.let { JobTemplate.placeholders(it.tree) } ?: emptyList()
+        return (JobTemplate.placeholders(job.query) + treeNames).distinct().associateWith { job.params[it] }
+    }
+
+    /** 기본값·덮어쓰기 어디에도 값이 없는 파라미터 */
+    fun missingParams(job: ScheduledJob, overrides: Map<String, String>): List<String> =
+        paramsOf(job).filter { (name, default) -> default == null && name !in overrides }.keys.toList()
+
+    /** 스케줄·트리거로 사람 없이 실행되는 작업인지 (트리거 없는 event 작업은 수동 전용) */
+    private fun runsUnattended(job: ScheduledJob): Boolean =
+        job.enabled && (job.schedule !is JobSchedule.Event || job.triggers.isNotEmpty())
+
+    /**
+     * 파라미터 검증 (등록/수정 전 호출) — 무인 실행되는 작업은 모든 자리표시자에 기본값 필요
+     * @throws IllegalArgumentException 기본값 없는 자리표시자가 있을 때
+     */
+    fun validateParams(job: ScheduledJob) {
+        if (!runsUnattended(job)) return
+        val missing = missingParams(job, emptyMap())
+        require(missing.isEmpty()) { "자동 실행 작업은 모든 파라미터에 기본값이 필요합니다: ${missing.joinToString()}" }
+    }
+
+    /** 자리표시자 도입 전에 저장된 작업 중 기본값 없는 {{이름}} 이 있는 작업 — 해당 회차는 SKIPPED 로 기록됨 */
+    private fun reportJobsMissingParams() {
+        jobRepository.list().filter { runsUnattended(it) }.forEach { job ->
+            val missing = missingParams(job, emptyMap())
+            if (missing.isNotEmpty()) {
+                logger.warn("📅 [JobScheduler] 기본값 없는 파라미터가 있어 자동 실행이 건너뛰어집니다: ${job.name} (id=${job.id}) — ${missing.joinToString()}")
             }
-        } else {
-            scope.launch {
-                try { runJob(job) }
-                finally { runningJobIds.remove(job.id) }
+        }
+    }
+
+    /**
+     * 트리거 검증 (등록/수정 전 호출)
+     * @param jobId 수정 중인 작업 ID (자기 자신을 afterJob 으로 거는 것 방지), 신규면 null
+     * @throws IllegalArgumentException 없는 작업·트리, 알 수 없는 메트릭·연산자
+     */
+    fun validateTriggers(jobId: String?, triggers: List<JobTrigger>) {
+        triggers.forEach { t ->
+            when (t) {
+                is JobTrigger.AfterJob -> {
+                    require(t.jobId != jobId) { "자기 자신을 선행 작업으로 지정할 수 없습니다 (반복은 loop 스케줄 사용)" }
+                    require(jobRepository.load(t.jobId) != null) { "선행 작업이 없습니다: ${t.jobId}" }
+                    require(t.on in TRIGGER_OUTCOMES) { "on 은 ${TRIGGER_OUTCOMES.joinToString()} 중 하나여야 합니다: ${t.on}" }
+                    require(jobId == null || !dependsOn(t.jobId, jobId)) { "작업 체인이 순환합니다: ${t.jobId} → … → $jobId" }
+                }
+                is JobTrigger.TreeUpdated ->
+                    require(treeRepository.load(t.treeId) != null) { "저장된 트리가 없습니다: ${t.treeId}" }
+                is JobTrigger.Metric -> {
+                    require(t.metric in TRIGGER_METRICS) { "알 수 없는 메트릭: ${t.metric} (가능: ${TRIGGER_METRICS.keys.joinToString()})" }
+                    require(t.op in TRIGGER_OPS) { "연산자는 ${TRIGGER_OPS.joinToString()} 중 하나여야 합니다: ${t.op}" }
+                }
             }
         }
-        return true
+    }
+
+    /**
+     * 스케줄 값 검증 (등록/수정 전 호출)
+     * @throws IllegalArgumentException cron 문법 오류·영원히 안 맞는 식, 알 수 없는 타임존, 범위를 벗어난 값
+     */
+    fun validateSchedule(schedule: JobSchedule) {
+        when (schedule) {
+            is JobSchedule.Cron -> {
+                val zone = zoneOf(schedule)
+                requireNotNull(cronOf(schedule.expression).next(java.time.ZonedDateTime.now(zone))) {
+                    "실행 시각이 오지 않는 cron 표현식입니다 (예: 2월 30일): ${schedule.expression}"
+                }
+            }
+            is JobSchedule.Interval -> require(schedule.intervalMs > 0) { "반복 간격은 0보다 커야 합니다" }
+            is JobSchedule.Daily -> require(schedule.hour in 0..23 && schedule.minute in 0..59) { "실행 시각이 올바르지 않습니다: ${schedule.hour}:${schedule.minute}" }
+            is JobSchedule.Loop -> require(schedule.delayMs >= 0) { "대기 시간은 0 이상이어야 합니다" }
+            is JobSchedule.Once, JobSchedule.Event -> Unit
+        }
+    }
+
+    /**
+     * [fromMs, untilMs) 구간의 예정 실행 시각 (최대 limit 개) — 폼 미리보기·주간 캘린더용
+     * @param firstRunAt 이미 저장된 nextRunAt 이 있으면 거기서부터 이어서 계산 (interval 은 마지막 실행 기준이므로)
+     * Loop 는 완료 시각에 따라 달라져 예측 불가 → 빈 목록
+     */
+    fun upcomingRuns(
+        schedule: JobSchedule,
+        fromMs: Long,
+        untilMs: Long = Long.MAX_VALUE,
+        limit: Int = 5,
+        firstRunAt: Long? = null
+    ): List<Long> {
+        if (schedule is JobSchedule.Loop) return emptyList()
+        if (schedule is JobSchedule.Once) return listOf(schedule.at).filter { it >= fromMs && it < untilMs }
+        val runs = mutableListOf<Long>()
+        var t = firstRunAt ?: calcNextRun(schedule, fromMs)
+        var steps = 0
+        while (t != null && t < untilMs && runs.size < limit && steps++ < MAX_PROJECTION_STEPS) {
+            if (t >= fromMs) runs.add(t)
+            t = calcNextRun(schedule, t)
+        }
+        return runs
     }
 
     /** nextRunAt 계산해서 저장 (등록/수정 시 호출) */
     fun scheduleNext(job: ScheduledJob): ScheduledJob {
-        val nextRun = calcNextRun(job.schedule, System.currentTimeMillis())
+        // 1회 작업은 지정 시각이 지났어도 등록 직후 한 번은 실행
+        val nextRun = (job.schedule as? JobSchedule.Once)?.at ?: calcNextRun(job.schedule, System.currentTimeMillis())
         return job.copy(nextRunAt = nextRun)
     }
 
     // ── private ──────────────────────────────────────────────────────────────
 
-    private suspend fun runDueJobs() {
+    private fun runDueJobs() {
         val now = System.currentTimeMillis()
+        // nextRunAt 이 없으면 (event 스케줄, 실행을 마친 1회 작업) 시간으로는 실행하지 않음
         jobRepository.list()
-            .filter { it.enabled && (it.nextRunAt ?: 0) <= now && it.id !in runningJobIds }
-            .forEach { job ->
-                if (runningJobIds.add(job.id)) {
-                    logger.info("📅 [JobScheduler] 실행: ${job.name} (id=${job.id})")
-                    if (job.schedule is JobSchedule.Loop) {
-                        runningLoopIds.add(job.id)
-                        scope.launch {
-                            try { runLoopJob(job) }
-                            finally {
-                                runningLoopIds.remove(job.id)
-                                runningJobIds.remove(job.id)
-                            }
-                        }
-                    } else {
-                        scope.launch {
-                            try { runJob(job) }
-                            finally { runningJobIds.remove(job.id) }
-                        }
+            .filter { it.enabled && it.nextRunAt != null && it.nextRunAt <= now && it.id !in runningJobIds }
+            .forEach { job -> launchJob(job, triggeredBy = "schedule") }
+        checkEventTriggers()
+    }
+
+    /**
+     * 작업 실행 시작
+     * @param upstreamContext 트리거가 넘기는 맥락 — ReAct 쿼리 앞에 붙음 (loop 는 첫 회차만)
+     * @param params 이번 실행의 파라미터 덮어쓰기 (loop 는 멈출 때까지 유지)
+     * @return 첫 회차 executionId, 이미 실행 중이면 null
+     */
+    private fun launchJob(
+        job: ScheduledJob,
+        upstreamContext: String? = null,
+        triggeredBy: String,
+        params: Map<String, String> = emptyMap()
+    ): String? {
+        if (!runningJobIds.add(job.id)) return null
+        logger.info("📅 [JobScheduler] 실행: ${job.name} (id=${job.id}, by=$triggeredBy)")
+        val executionId = UUID.randomUUID().toString()
+        if (job.schedule is JobSchedule.Loop) {
+            runningLoopIds.add(job.id)
+            scope.launch {
+                try { runLoopJob(job, upstreamContext, triggeredBy, params, executionId) }
+                finally {
+                    runningLoopIds.remove(job.id)
+                    runningJobIds.remove(job.id)
+                }
+            }
+        } else {
+            scope.launch {
+                try { runJob(job, upstreamContext, triggeredBy, params, executionId) }
+                finally { runningJobIds.remove(job.id) }
+            }
+        }
+        return executionId
+    }
+
+    /** 트리 갱신·메트릭 트리거 확인 — 폴링마다 호출, 조건이 새로 충족된 작업만 실행 */
+    private fun checkEventTriggers() {
+        val jobs = jobRepository.list().filter { it.enabled && it.triggers.any { t -> t !is JobTrigger.AfterJob } }
+        if (jobs.isEmpty()) return
+        val metrics by lazy { orchestrator.computeMetrics() }
+        jobs.forEach { job ->
+            job.triggers.forEach { trigger ->
+                val key = "${job.id}|$trigger"
+                val context: String? = when (trigger) {
+                    is JobTrigger.AfterJob -> null
+                    is JobTrigger.TreeUpdated -> {
+                        val version = treeRepository.load(trigger.treeId)?.version
+                        val prev = version?.let { lastTreeVersions.put(key, it) }
+                        if (version != null && prev != null && version > prev) "[트리거: 저장 트리 '${trigger.treeId}' 가 v$version 으로 갱신됨]" else null
+                    }
+                    is JobTrigger.Metric -> {
+                        val value = TRIGGER_METRICS[trigger.metric]?.invoke(metrics)
+                        val met = value != null && compareMetric(value, trigger.op, trigger.threshold)
+                        val prev = lastMetricStates.put(key, met)
+                        if (met && prev == false) "[트리거: ${trigger.metric} = ${"%.3f".format(value)} (${trigger.op} ${trigger.threshold})]" else null
                     }
                 }
+                if (context != null) launchJob(job, context, triggeredBy = describeTrigger(trigger))
             }
+        }
+    }
+
+    private fun compareMetric(value: Double, op: String, threshold: Double): Boolean = when (op) {
+        "<" -> value < threshold
+        "<=" -> value <= threshold
+        ">" -> value > threshold
+        ">=" -> value >= threshold
+        else -> false
+    }
+
+    private fun describeTrigger(trigger: JobTrigger): String = when (trigger) {
+        is JobTrigger.AfterJob -> "afterJob: ${jobRepository.load(trigger.jobId)?.name ?: trigger.jobId} ${trigger.on}"
+        is JobTrigger.TreeUpdated -> "treeUpdated: ${trigger.treeId}"
+        is JobTrigger.Metric -> "metric: ${trigger.metric} ${trigger.op} ${trigger.threshold}"
+    }
+
+    /** 작업 종료 → 이 작업을 afterJob 트리거로 건 활성 작업들 실행 */
+    private fun fireAfterJobTriggers(finished: ScheduledJob, status: String, executionId: String) {
+        val upstreamResult by lazy { orchestrator.getExecution(executionId)?.result?.result?.take(UPSTREAM_RESULT_CHARS) }
+        jobRepository.list().filter { it.enabled }.forEach { job ->
+            val trigger = job.triggers.filterIsInstance<JobTrigger.AfterJob>()
+                .firstOrNull { it.jobId == finished.id && (it.on == "ANY" || it.on == status) }
+                ?: return@forEach
+            val context = if (trigger.passResult) {
+                upstreamResult?.takeIf { it.isNotBlank() }?.let { "[선행 작업 '${finished.name}' 결과 ($status)]\n$it" }
+            } else null
+            if (launchJob(job, context, triggeredBy = describeTrigger(trigger)) == null) {
+                logger.warn("📅 [JobScheduler] 후속 작업 건너뜀 (이미 실행 중): ${job.name}")
+            }
+        }
     }
 
     /** Loop 스케줄 전용 — 완료 후 delayMs 대기 뒤 즉시 재실행, 비활성화/삭제 시 중단 */
-    private suspend fun runLoopJob(initialJob: ScheduledJob) {
+    private suspend fun runLoopJob(
+        initialJob: ScheduledJob,
+        upstreamContext: String?,
+        triggeredBy: String,
+        params: Map<String, String>,
+        firstExecutionId: String
+    ) {
         var job = initialJob
+        var context = upstreamContext
+        var by = triggeredBy
+        var executionId = firstExecutionId
         while (true) {
-            runJob(job)
+            // 파라미터 값이 없어 건너뛴 회차는 다음 회차도 같으므로 루프 중단
+            if (runJob(job, context, by, params, executionId) == SKIPPED) break
+            context = null
+            by = "loop"
+            executionId = UUID.randomUUID().toString()
             val reloaded = jobRepository.load(job.id) ?: break
             if (!reloaded.enabled || reloaded.schedule !is JobSchedule.Loop) break
             val delayMs = (reloaded.schedule as JobSchedule.Loop).delayMs
@@ -110,44 +322,110 @@ class JobScheduler(
         logger.info("📅 [JobScheduler] 루프 종료: ${job.name} (id=${job.id})")
     }
 
-    private suspend fun runJob(job: ScheduledJob) {
+    /**
+     * @param executionId 미리 정한 실행 ID — 회차 기록·진행 목록에서 실행 이력으로 바로 찾아가기 위함
+     * @return 회차 상태 — 값이 없는 파라미터가 있으면 실행하지 않고 SKIPPED
+     */
+    private suspend fun runJob(
+        job: ScheduledJob,
+        upstreamContext: String?,
+        triggeredBy: String,
+        params: Map<String, String>,
+        executionId: String
+    ): String {
+        val missing = missingParams(job, params)
+        if (missing.isNotEmpty()) {
+            val reason = "값이 없는 파라미터: ${missing.joinToString()} — 작업에 기본값을 지정하거나 수동 실행에서 값을 입력하세요"
+            logger.warn("📅 [JobScheduler] 건너뜀: ${job.name} — $reason")
+            recordRun(job, null, System.currentTimeMillis(), SKIPPED, reason, triggeredBy, params)
+            return SKIPPED
+        }
         if (job.autoApprove) {
-            orchestrator.approvalGate.scheduledBypass = true
-            logger.info("📅 [JobScheduler] 자동승인 ON: ${job.name}")
+            orchestrator.approvalGate.beginScheduledBypass(executionId)
+            logger.info("📅 [JobScheduler] 자동승인 ON: ${job.name} ($executionId)")
         }
+        val startedAt = System.currentTimeMillis()
+        var error: String? = null
         val status = try {
+            val values = job.params + params
             if (job.treeId != null) {
-                runTreeJob(job)
+                runTreeJob(job, executionId, values)
             } else {
-                runReActJob(job)
+                runReActJob(job, executionId, upstreamContext, values)
             }
-            "SUCCESS"
+            runStatusOf(executionId)
         } catch (e: Exception) {
             logger.error("📅 [JobScheduler] 실패: ${job.name} — ${e.message}", e)
+            error = e.message
             "FAILED"
         } finally {
             if (job.autoApprove) {
-                orchestrator.approvalGate.scheduledBypass = false
+                orchestrator.approvalGate.endScheduledBypass(executionId)
             }
         }
 
+        val latest = recordRun(job, executionId.takeIf { orchestrator.getExecution(it) != null }, startedAt, status, error, triggeredBy, params)
+        fireAfterJobTriggers(latest, status, executionId)
+        return status
+    }
+
+    /** 회차 기록 + 다음 실행 시각 갱신 — 실행 중 PATCH된 최신 상태 반영 (autoApprove 등 덮어쓰기 방지) */
+    private fun recordRun(
+        job: ScheduledJob,
+        executionId: String?,
+        startedAt: Long,
+        status: String,
+        error: String?,
+        triggeredBy: String,
+        params: Map<String, String>
+    ): ScheduledJob {
         val now = System.currentTimeMillis()
-        // 실행 중 PATCH된 최신 상태 반영 (autoApprove 등 덮어쓰기 방지)
+        jobRepository.appendRun(
+            JobRun(
+                jobId = job.id,
+                executionId = executionId,
+                startedAt = startedAt,
+                endedAt = now,
+                status = status,
+                error = error,
+                triggeredBy = triggeredBy,
+                params = params
+            )
+        )
         val latest = jobRepository.load(job.id) ?: job
         val next = calcNextRun(latest.schedule, now)
         jobRepository.save(
             latest.copy(lastRunAt = now, nextRunAt = next, lastStatus = status)
         )
+        return latest
     }
 
-    private suspend fun runReActJob(job: ScheduledJob) {
-        val finalQuery = if (job.includeMetrics) {
-            val metrics = orchestrator.computeMetrics()
-            buildMetricsContext(metrics) + "\n\n" + job.query
-        } else {
-            job.query
+    /** upstream 작업이 afterJob 체인을 거슬러 target 에 의존하는지 (순환 체인 방지) */
+    private fun dependsOn(upstreamId: String, targetId: String): Boolean {
+        val visited = mutableSetOf<String>()
+        val stack = ArrayDeque(listOf(upstreamId))
+        while (stack.isNotEmpty()) {
+            val id = stack.removeLast()
+            if (id == targetId) return true
+            if (!visited.add(id)) continue
+            jobRepository.load(id)?.triggers?.filterIsInstance<JobTrigger.AfterJob>()?.forEach { stack.add(it.jobId) }
         }
-        orchestrator.executeOrchestration(ChatDto(message = finalQuery), isScheduled = job.autoApprove)
+        return false
+    }
+
+    /** 실행 이력 상태 → 작업 상태 (이력이 없으면 예외 없이 끝난 것으로 보고 SUCCESS) */
+    private fun runStatusOf(executionId: String): String =
+        when (orchestrator.getExecution(executionId)?.status) {
+            ExecutionStatus.FAILED -> "FAILED"
+            ExecutionStatus.CANCELLED -> "CANCELLED"
+            else -> "SUCCESS"
+        }
+
+    private suspend fun runReActJob(job: ScheduledJob, executionId: String, upstreamContext: String?, values: Map<String, String>) {
+        val query = JobTemplate.render(job.query, values)
+        val metricsContext = if (job.includeMetrics) buildMetricsContext(orchestrator.computeMetrics()) else null
+        val finalQuery = listOfNotNull(metricsContext, upstreamContext, query).joinToString("\n\n")
+        orchestrator.executeOrchestration(ChatDto(message = finalQuery, executionId = executionId), isScheduled = job.autoApprove)
     }
 
     private fun buildMetricsContext(metrics: com.hana.orchestrator.presentation.model.metrics.OrchestratorMetrics): String {
@@ -190,15 +468,27 @@ class JobScheduler(
         return sb.toString().trimEnd()
     }
 
-    private suspend fun runTreeJob(job: ScheduledJob) {
+    private suspend fun runTreeJob(job: ScheduledJob, executionId: String, values: Map<String, String>) {
         val savedTree = treeRepository.load(job.treeId!!)
             ?: throw IllegalArgumentException("저장된 트리 없음: ${job.treeId}")
-        val domainTree = savedTree.tree.toDomain()
-        orchestrator.executeCustomTree(job.query, domainTree)
+        val domainTree = JobTemplate.render(savedTree.tree, values).toDomain()
+        orchestrator.executeCustomTree(JobTemplate.render(job.query, values), domainTree, requestedExecutionId = executionId)
     }
 
+    /** 파싱된 cron 식 캐시 — 틱·미리보기마다 calcNextRun 이 불리므로 식마다 한 번만 파싱 */
+    private val cronCache = ConcurrentHashMap<String, CronExpression>()
+
+    private fun cronOf(expression: String): CronExpression =
+        cronCache.getOrPut(expression.trim()) { CronExpression.parse(expression) }
+
+    private fun zoneOf(schedule: JobSchedule.Cron): ZoneId =
+        schedule.timezone?.takeIf { it.isNotBlank() }?.let {
+            runCatching { ZoneId.of(it) }.getOrElse { _ -> throw IllegalArgumentException("알 수 없는 타임존: $it") }
+        } ?: ZoneId.systemDefault()
+
     private fun calcNextRun(schedule: JobSchedule, afterMs: Long): Long? = when (schedule) {
-        is JobSchedule.Once -> null  // 1회성 — 다음 실행 없음
+        is JobSchedule.Once -> schedule.at.takeIf { it > afterMs }  // 1회성 — 실행 후엔 다음 없음
+        is JobSchedule.Event -> null  // 트리거로만 실행
         is JobSchedule.Interval -> afterMs + schedule.intervalMs
         is JobSchedule.Loop -> afterMs + schedule.delayMs
         is JobSchedule.Daily -> {
@@ -208,5 +498,11 @@ class JobScheduler(
             if (!next.isAfter(now)) next = next.plusDays(1)
             next.atZone(zone).toInstant().toEpochMilli()
         }
+        is JobSchedule.Cron -> {
+            val zone = zoneOf(schedule)
+            cronOf(schedule.expression)
+                .next(java.time.Instant.ofEpochMilli(afterMs).atZone(zone))
+                ?.toInstant()?.toEpochMilli()
+        }
     }
 }
@@ -0,0 +1,45 @@
+package com.hana.orchestrator.orchestrator
+
+import com.hana.orchestrator.presentation.model.execution.ExecutionTreeNodeResponse
+import com.hana.orchestrator.presentation.model.execution.ExecutionTreeResponse
+
+/**
+ * 스케줄 작업 파라미터 템플릿 — 쿼리·트리 args 의 {{이름}} 자리표시자 추출/치환
+ * 대상 레이어만 다른 작업을 복제하지 않고, 기본값(ScheduledJob.params) + 실행별 덮어쓰기로 재사용
+ * 트리 실행 바인딩({{parent}}, {{nodeId:x}}, {{context:k}} 등)은 건드리지 않음 — 실행 시 TreeExecutor 가 치환
+ * SRP: 문자열 치환만 담당 (값 병합·실행은 JobScheduler)
+ */
+object JobTemplate {
+
+    /** ':' 가 들어간 바인딩은 패턴에서 제외되고, 콜론 없는 예약 바인딩은 RESERVED 로 제외 */
+    private val placeholder = Regex("""\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}""")
+    private val RESERVED = setOf("parent")
+
+    /** 등장 순서대로 중복 없이 */
+    fun placeholders(text: String): List<String> =
+        placeholder.findAll(text).map { it.groupValues[1] }.filter { it !in RESERVED }.distinct().toList()
+
+    fun placeholders(tree: ExecutionTreeResponse): List<String> =
+        tree.rootNodes.flatMap { nodePlaceholders(it) }.distinct()
+
+    /**
+     * @throws IllegalArgumentException 값이 없는 자리표시자가 남은 경우
+     */
+    fun render(text: String, values: Map<String, String>): String {
+        val missing = placeholders(text).filter { it !in values }
+        require(missing.isEmpty()) { "값이 없는 파라미터: ${missing.joinToString()}" }
+        return placeholder.replace(text) { m -> if (m.groupValues[1] in RESERVED) m.value else values.getValue(m.groupValues[1]) }
+    }
+
+    fun render(tree: ExecutionTreeResponse, values: Map<String, String>): ExecutionTreeResponse =
+        tree.copy(rootNodes = tree.rootNodes.map { renderNode(it, values) })
+
+    private fun nodePlaceholders(node: ExecutionTreeNodeResponse): List<String> =
+        node.args.values.flatMap { placeholders(it) } + node.children.flatMap { nodePlaceholders(it) }
+
+    private fun renderNode(node: ExecutionTreeNodeResponse, values: Map<String, String>): ExecutionTreeNodeResponse =
+        node.copy(
+            args = node.args.mapValues { (_, v) -> render(v, values) },
+            children = node.children.map { renderNode(it, values) }
+        )
+}
@@ -29,6 +29,7 @@ import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.SupervisorJob
 import kotlinx.coroutines.async
 import kotlinx.coroutines.isActive
+import kotlinx.coroutines.withContext
 
 /**
  * 오케스트레이터 Facade
@@ -91,6 +92,7 @@ class Orchestrator(
             StrategyContext(layerManager, historyManager, statePublisher, modelSelectionStrategy, treeExecutor, clarificationGate)
         )
         layerManager.wireLlmClientFactory(clientFactory)
+        approvalGate.wireAuditLog { executionId, message, level -> historyManager.addLogTo(executionId, message, level) }
 
         logger.info("🚀 [Orchestrator] 초기화 시작...")
         logger.info("ℹ️ [Orchestrator] 레이어 초기화는 첫 실행 시 수행됩니다")
@@ -102,10 +104,22 @@ class Orchestrator(
         return historyManager.getExecutionHistory(limit)
     }
 
+    fun searchExecutionHistory(filter: ExecutionSearchFilter): ExecutionSearchPage {
+        return historyManager.search(filter)
+    }
+
     fun computeMetrics(): OrchestratorMetrics {
         return MetricsService().compute(historyManager.getExecutionHistory(limit = 200))
     }
 
+    fun getExecution(id: String): ExecutionHistory? {
+        return historyManager.findHistory(id)
+    }
+
+    fun getExecutionFullNodeResults(id: String): Map<String, String> {
+        return historyManager.findFullNodeResults(id)
+    }
+
     fun deleteExecution(id: String): Boolean {
         return historyManager.deleteHistory(id)
     }
@@ -135,6 +149,9 @@ class Orchestrator(
     val progressUpdates: SharedFlow<com.hana.orchestrator.presentation.model.execution.ProgressUpdate>
         get() = statePublisher.progressUpdates
 
+    val nodeStatusUpdates: SharedFlow<com.hana.orchestrator.presentation.model.execution.NodeStatusUpdate>
+        get() = statePublisher.nodeStatusUpdates
+
     suspend fun registerLayer(layer: CommonLayerInterface) {
         layerManager.registerLayer(layer)
     }
@@ -147,6 +164,15 @@ class Orchestrator(
         return layerManager.executeOnLayer(layerName, function, args)
     }
 
+    /**
+     * 호출자 지정 실행 ID (채팅 진행 말풍선·트리 편집기 실행 보기) 확정
+     * 형식이 맞고 실행 중·저장된 이력 어디에도 없을 때만 사용, 아니면 새 UUID
+     */
+    private fun resolveExecutionId(requested: String?): String =
+        requested
+            ?.takeIf { HistoryRepository.isValidId(it) && !runningJobs.containsKey(it) && historyManager.findHistory(it) == null }
+            ?: java.util.UUID.randomUUID().toString()
+
     /**
      * 오케스트레이션 실행 — ReAct 루프
      */
@@ -159,11 +185,12 @@ class Orchestrator(
         appContextService.updateVolatileFromRequest(chatDto.context)
         appContextService.ensureVolatileServerWorkingDirectory()
 
-        val executionId = java.util.UUID.randomUUID().toString()
+        val executionId = resolveExecutionId(chatDto.executionId)
         onStart?.invoke(executionId)
         val startTime = System.currentTimeMillis()
 
-        val runningHistory = ExecutionHistory.createRunning(executionId, query, startTime)
+        val mode = chatDto.mode
+        val runningHistory = ExecutionHistory.createRunning(executionId, query, startTime, mode)
         historyManager.setCurrentExecution(runningHistory)
         logger.info("🚀 [Orchestrator] 실행 시작 executionId=$executionId query=$query")
         historyManager.addLogTo(executionId, "🚀 [Reactive] 실행 시작: $query")
@@ -176,7 +203,7 @@ class Orchestrator(
             put("workingDirectory", workingDir)
         }
 
-        val deferred = orchestratorScope.async {
+        val deferred = orchestratorScope.async(ApprovalGate.ExecutionTag(executionId)) {
             reactiveExecutor.execute(query, executionId, startTime, projectContext, isScheduled)
         }
         runningJobs[executionId] = deferred
@@ -192,14 +219,16 @@ class Orchestrator(
             }
             val reactTree = ReActTreeConverter.convert(result.stepHistory)
             val history = if (result.error != null && result.result.isEmpty()) {
+                // 실패 전까지의 트리·노드 결과는 보존 (비교·포크용)
                 ExecutionHistory.createFailed(
-                    executionId, query, result.error, startTime, logs = historyManager.getLogs(executionId)
-                )
+                    executionId, query, result.error, startTime, logs = historyManager.getLogs(executionId), mode = mode
+                ).copy(result = result, executionTree = reactTree, nodeResults = result.nodeResults)
             } else {
                 ExecutionHistory.createCompleted(
                     executionId, query, result, startTime,
                     logs = historyManager.getLogs(executionId),
-                    executionTree = reactTree
+                    executionTree = reactTree,
+                    mode = mode
                 )
             }
             historyManager.addHistory(history)
@@ -220,7 +249,7 @@ class Orchestrator(
             val elapsed = System.currentTimeMillis() - startTime
             statePublisher.emitProgress(executionId, ExecutionPhase.CANCELLED, "🚫 취소됨", 100, elapsed)
             val cancelledHistory = ExecutionHistory.createCancelled(
-                executionId, query, startTime, logs = historyManager.getLogs(executionId)
+                executionId, query, startTime, logs = historyManager.getLogs(executionId), mode = mode
             )
             historyManager.addHistory(cancelledHistory)
             statePublisher.emitExecutionUpdate(cancelledHistory)
@@ -231,7 +260,7 @@ class Orchestrator(
             val elapsed = System.currentTimeMillis() - startTime
             statePublisher.emitProgress(executionId, ExecutionPhase.FAILED, "❌ 실패", 100, elapsed)
             val failedHistory = ExecutionHistory.createFailed(
-                executionId, query, e.message ?: "실행 실패", startTime, logs = historyManager.getLogs(executionId)
+                executionId, query, e.message ?: "실행 실패", startTime, logs = historyManager.getLogs(executionId), mode = mode
             )
             historyManager.addHistory(failedHistory)
             statePublisher.emitExecutionUpdate(failedHistory)
@@ -258,24 +287,37 @@ class Orchestrator(
 
     /**
      * 사용자가 수정한 트리를 직접 실행 (트리 생성 단계 건너뜀)
+     * @param pinnedResults nodeId → 고정 결과 (포크: 해당 노드는 레이어 호출 없이 이전 실행 결과 사용)
+     * @param onStart 확정된 실행 ID 통지 (요청 ID 가 거부되면 새 UUID)
      */
-    suspend fun executeCustomTree(query: String, tree: ExecutionTree): ExecutionResult {
+    suspend fun executeCustomTree(
+        query: String,
+        tree: ExecutionTree,
+        requestedExecutionId: String? = null,
+        pinnedResults: Map<String, String> = emptyMap(),
+        onStart: ((String) -> Unit)? = null
+    ): ExecutionResult {
         val allDescriptions = layerManager.getAllLayerDescriptions()
-        val executionId = java.util.UUID.randomUUID().toString()
+        val executionId = resolveExecutionId(requestedExecutionId)
+        onStart?.invoke(executionId)
         val startTime = System.currentTimeMillis()
 
-        val runningHistory = ExecutionHistory.createRunning(executionId, query, startTime)
+        val runningHistory = ExecutionHistory.createRunning(executionId, query, startTime, ExecutionHistory.MODE_CUSTOM_TREE)
         historyManager.setCurrentExecution(runningHistory)
         historyManager.addLogTo(executionId, "🚀 커스텀 트리 실행 시작: $query")
+        if (pinnedResults.isNotEmpty()) historyManager.addLogTo(executionId, "📌 포크: 고정 노드 ${pinnedResults.size}개는 이전 결과 사용")
         statePublisher.emitExecutionUpdate(runningHistory)
         statePublisher.emitProgressAsync(executionId, ExecutionPhase.TREE_EXECUTION, "⚡ 사용자 트리 실행 중...", 60, 0, query)
 
         return try {
-            val result = validateAndExecuteTree(tree, query, allDescriptions, executionId, startTime)
+            val result = withContext(ApprovalGate.ExecutionTag(executionId)) {
+                validateAndExecuteTree(tree, query, allDescriptions, executionId, startTime, pinnedResults)
+            }
             val history = ExecutionHistory.createCompleted(
                 executionId, query, result, startTime,
                 logs = historyManager.getLogs(executionId),
-                executionTree = result.executionTree?.let { with(ExecutionTreeMapper) { it.toResponse() } }
+                executionTree = result.executionTree?.let { with(ExecutionTreeMapper) { it.toResponse() } },
+                mode = ExecutionHistory.MODE_CUSTOM_TREE
             )
             historyManager.addHistory(history)
             statePublisher.emitExecutionUpdate(history)
@@ -284,7 +326,7 @@ class Orchestrator(
             historyManager.clearCurrentExecution(executionId)
             result
         } catch (e: Exception) {
-            saveAndEmitFailedHistory(executionId, query, e.message ?: "실행 실패", startTime)
+            saveAndEmitFailedHistory(executionId, query, e.message ?: "실행 실패", startTime, ExecutionHistory.MODE_CUSTOM_TREE)
             ContextLayer.clearExecution(executionId)
             historyManager.clearCurrentExecution(executionId)
             ExecutionResult(result = "", error = e.message)
@@ -330,7 +372,8 @@ class Orchestrator(
         query: String,
         allDescriptions: List<LayerDescription>,
         executionId: String,
-        startTime: Long
+        startTime: Long,
+        pinnedResults: Map<String, String> = emptyMap()
     ): ExecutionResult {
         val rootNodesInfo = rawTree.rootNodes.joinToString(", ") { "${it.layerName}.${it.function}" }
         logger.info("🌳 [Orchestrator] 실행 트리: 루트 노드 ${rawTree.rootNodes.size}개 [$rootNodesInfo]")
@@ -360,7 +403,7 @@ class Orchestrator(
         statePublisher.emitProgressAsync(executionId, ExecutionPhase.TREE_EXECUTION, "⚡ 작업 실행 중...", 60, System.currentTimeMillis() - startTime)
 
         val executionContext = historyManager.getCurrentExecution(executionId)!!
-        val result = treeExecutor.executeTree(treeToExecute, executionContext)
+        val result = treeExecutor.executeTree(treeToExecute, executionContext, pinnedResults)
 
         logger.info("✅ [Orchestrator] 트리 실행 완료")
         return result
@@ -370,11 +413,13 @@ class Orchestrator(
         executionId: String,
         query: String,
         error: String,
-        startTime: Long
+        startTime: Long,
+        mode: String = ExecutionHistory.MODE_REACTIVE
     ): ExecutionHistory {
         val failedHistory = ExecutionHistory.createFailed(
             executionId, query, error, startTime,
-            logs = historyManager.getLogs(executionId)
+            logs = historyManager.getLogs(executionId),
+            mode = mode
         )
         historyManager.addHistory(failedHistory)
         statePublisher.emitExecutionUpdate(failedHistory)
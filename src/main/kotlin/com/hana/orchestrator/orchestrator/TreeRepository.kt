@@ -10,12 +10,15 @@ data class SavedTree(
     val name: String,
     val query: String,
     val savedAt: Long,
-    val tree: ExecutionTreeResponse
+    val tree: ExecutionTreeResponse,
+    val version: Int = 1
 )
 
 /**
  * 실행 트리를 .hana/trees/{name}.json 으로 저장·로드
  * FileBackedContextStore 와 동일한 atomic write 패턴 사용
+ * 저장할 때마다 .hana/trees/.versions/{name}/{version}.json 에 버전 이력 보관 (덮어쓰기 감사용)
+ * 새 이름은 isValidName 으로 제한, 이전에 저장된 이름(레거시)은 정규화 경로가 폴더 안일 때만 읽기·덮어쓰기·삭제 허용
  */
 class TreeRepository(
     private val baseDir: File = File(".hana/trees")
@@ -24,9 +27,76 @@ class TreeRepository(
 
     init { baseDir.mkdirs() }
 
-    fun save(savedTree: SavedTree) {
-        val tmp = File(baseDir, "${savedTree.name}.json.tmp")
-        val target = File(baseDir, "${savedTree.name}.json")
+    private val versionsRoot = File(baseDir, ".versions")
+
+    companion object {
+        /** 문자·숫자로 시작, 이후 문자·숫자·공백·_ . - (최대 128자) — ".", "..", ".versions", 경로 구분자 차단 */
+        private val NAME_PATTERN = Regex("""^[\p{L}\p{N}][\p{L}\p{N} _.-]{0,127}$""")
+
+        fun isValidName(name: String): Boolean = NAME_PATTERN.matches(name)
+    }
+
+    /** 새 이름은 규칙에 맞아야 하고, 이미 저장된(또는 이력이 있는) 레거시 이름은 그대로 덮어쓰기·복원 허용 */
+    fun canSave(name: String): Boolean {
+        if (isValidName(name)) return true
+        val history = versionDir(name) ?: return false
+        return treeFile(name)?.exists() == true || history.exists()
+    }
+
+    /** 새 버전으로 저장하고 저장된 트리(버전 번호 포함) 반환 */
+    fun save(savedTree: SavedTree): SavedTree {
+        val target = treeFile(savedTree.name)
+        val history = versionDir(savedTree.name)
+        if (target == null || history == null || !canSave(savedTree.name)) {
+            throw IllegalArgumentException("사용할 수 없는 트리 이름: ${savedTree.name}")
+        }
+        val current = load(savedTree.name)
+        // 버전 이력 도입 이전에 저장된 트리는 첫 덮어쓰기 때 이력으로 보관
+        if (current != null && !File(history, "${current.version}.json").exists()) {
+            writeAtomic(File(history, "${current.version}.json"), current)
+        }
+        val nextVersion = maxOf(current?.version ?: 0, versions(savedTree.name).maxOfOrNull { it.version } ?: 0) + 1
+        val versioned = savedTree.copy(version = nextVersion)
+        writeAtomic(File(history, "$nextVersion.json"), versioned)
+        writeAtomic(target, versioned)
+        return versioned
+    }
+
+    /** 버전 이력 (최신순) */
+    fun versions(name: String): List<SavedTree> =
+        versionDir(name)?.listFiles { f -> f.name.endsWith(".json") }
+            ?.mapNotNull { runCatching { json.decodeFromString(SavedTree.serializer(), it.readText()) }.getOrNull() }
+            ?.sortedByDescending { it.version }
+            ?: emptyList()
+
+    fun loadVersion(name: String, version: Int): SavedTree? {
+        val file = versionFile(name, version) ?: return null
+        if (!file.exists()) return null
+        return runCatching { json.decodeFromString(SavedTree.serializer(), file.readText()) }.getOrNull()
+    }
+
+    /** 과거 버전을 새 버전으로 복원 (이력은 유지) */
+    fun restore(name: String, version: Int): SavedTree? {
+        val old = loadVersion(name, version) ?: return null
+        return save(old.copy(savedAt = System.currentTimeMillis()))
+    }
+
+    private fun versionFile(name: String, version: Int): File? = versionDir(name)?.let { File(it, "$version.json") }
+
+    /** 정규화 경로가 root 바로 아래인지 확인 — 경로 구분자·".." 로 벗어나면 null */
+    private fun within(root: File, child: String): File? {
+        if (child.isBlank()) return null
+        val file = File(root, child).canonicalFile
+        return file.takeIf { it.parentFile == root.canonicalFile }
+    }
+
+    private fun treeFile(name: String): File? = within(baseDir, "$name.json")
+
+    private fun versionDir(name: String): File? = within(versionsRoot, name)
+
+    private fun writeAtomic(target: File, savedTree: SavedTree) {
+        target.parentFile.mkdirs()
+        val tmp = File(target.parentFile, "${target.name}.tmp")
         tmp.writeText(json.encodeToString(SavedTree.serializer(), savedTree))
         tmp.renameTo(target)
     }
@@ -38,13 +108,14 @@ class TreeRepository(
             ?: emptyList()
 
     fun load(name: String): SavedTree? {
-        val file = File(baseDir, "$name.json")
+        val file = treeFile(name) ?: return null
         if (!file.exists()) return null
         return runCatching { json.decodeFromString(SavedTree.serializer(), file.readText()) }.getOrNull()
     }
 
+    /** 현재 트리만 삭제 — 버전 이력은 감사용으로 남김 (같은 이름으로 다시 저장하면 번호 이어짐) */
     fun delete(name: String): Boolean {
-        val file = File(baseDir, "$name.json")
+        val file = treeFile(name) ?: return false
         return file.exists() && file.delete()
     }
 }
@@ -0,0 +1,160 @@
+package com.hana.orchestrator.orchestrator
+
+/**
+ * 줄 단위 unified diff 생성·적용
+ * 승인 게이트의 FILE diff 표시와, 승인자가 일부 hunk만 고른 부분 패치 적용에 사용
+ * SRP: 텍스트 diff/patch 계산만 담당 (승인 흐름은 ApprovalGate)
+ */
+object UnifiedDiff {
+
+    private val hunkHeader = Regex("""^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@""")
+
+    /** LCS 테이블 칸 수 상한 (Int 4M 칸 ≈ 16MB) — 넘으면 가운데 구간을 통째로 교체하는 hunk 로 대체 */
+    private const val MAX_LCS_CELLS = 4_000_000L
+
+    private sealed class Op(val line: String) {
+        class Keep(line: String) : Op(line)
+        class Del(line: String) : Op(line)
+        class Add(line: String) : Op(line)
+    }
+
+    /**
+     * 표준 unified diff 생성 (hunk 여러 개, 헤더에 줄 번호·개수 포함)
+     * 공통 앞/뒤 줄을 먼저 잘라낸 뒤 가운데만 LCS 비교 — 큰 파일의 부분 수정도 가볍게 처리
+     * 가운데가 MAX_LCS_CELLS 를 넘을 만큼 크면 줄 단위 정렬 없이 전부 삭제 후 추가
+     */
+    fun diff(oldContent: String, newContent: String, path: String, context: Int = 3): String {
+        if (oldContent == newContent) return "(변경 없음)"
+        val ops = lineOps(linesOf(oldContent), linesOf(newContent))
+
+        val sb = StringBuilder()
+        sb.append("--- $path (기존)\n")
+        sb.append("+++ $path (변경)\n")
+
+        // 변경 줄 인덱스 → context 범위를 합쳐 hunk 구간 계산
+        val changed = ops.indices.filter { ops[it] !is Op.Keep }
+        val ranges = mutableListOf<IntRange>()
+        for (i in changed) {
+            val start = maxOf(0, i - context)
+            val end = minOf(ops.size - 1, i + context)
+            val last = ranges.lastOrNull()
+            if (last != null && start <= last.last + 1) ranges[ranges.size - 1] = last.first..maxOf(last.last, end)
+            else ranges.add(start..end)
+        }
+
+        // 각 op 위치의 (기존, 변경) 줄 번호 (1-based)
+        var oldNo = 1
+        var newNo = 1
+        val positions = ops.map { op ->
+            val pos = oldNo to newNo
+            if (op !is Op.Add) oldNo++
+            if (op !is Op.Del) newNo++
+            pos
+        }
+
+        for (range in ranges) {
+            val slice = ops.subList(range.first, range.last + 1)
+            val oldCount = slice.count { it !is Op.Add }
+            val newCount = slice.count { it !is Op.Del }
+            val (oldStart, newStart) = positions[range.first]
+            sb.append("@@ -${if (oldCount == 0) oldStart - 1 else oldStart},$oldCount +${if (newCount == 0) newStart - 1 else newStart},$newCount @@\n")
+            for (op in slice) {
+                val prefix = when (op) { is Op.Keep -> ' '; is Op.Del -> '-'; is Op.Add -> '+' }
+                sb.append(prefix).append(op.line).append('\n')
+            }
+        }
+        return sb.toString()
+    }
+
+    /**
+     * 원본에 unified diff 적용 (기존 줄 번호 기준)
+     * 승인자가 제외한 hunk는 패치에 없으므로 해당 구간은 원본 그대로 유지됨
+     * 줄바꿈은 원본 것(CRLF/LF)으로 다시 잇고, 끝 개행 유무는 마지막 빈 줄 요소로 보존됨
+     * @throws IllegalArgumentException 패치 형식 오류 또는 원본과 context 불일치
+     */
+    fun apply(oldContent: String, patch: String): String {
+        val oldLines = linesOf(oldContent)
+        val result = mutableListOf<String>()
+        var cursor = 0  // 다음에 복사할 원본 줄 인덱스 (0-based)
+        val patchLines = patch.lines()
+        var i = 0
+        while (i < patchLines.size) {
+            val header = hunkHeader.find(patchLines[i])
+            if (header == null) { i++; continue }
+            val oldStart = header.groupValues[1].toInt()
+            val oldCount = header.groupValues[2].ifEmpty { "1" }.toInt()
+            // count 0 이면 oldStart 줄 "다음"에 삽입
+            val hunkStart = if (oldCount == 0) oldStart else oldStart - 1
+            require(hunkStart >= cursor) { "hunk 순서가 올바르지 않습니다: ${patchLines[i]}" }
+            require(hunkStart <= oldLines.size) { "hunk 위치가 원본 범위를 벗어났습니다: ${patchLines[i]}" }
+            result.addAll(oldLines.subList(cursor, hunkStart))
+            cursor = hunkStart
+            i++
+            while (i < patchLines.size && !patchLines[i].startsWith("@@")) {
+                val line = patchLines[i]
+                when {
+                    line.startsWith("+") -> result.add(line.substring(1))
+                    line.startsWith("-") || line.startsWith(" ") -> {
+                        require(cursor < oldLines.size && oldLines[cursor] == line.substring(1)) {
+                            "원본과 일치하지 않는 줄 (${cursor + 1}): ${line.substring(1).take(80)}"
+                        }
+                        if (line.startsWith(" ")) result.add(oldLines[cursor])
+                        cursor++
+                    }
+                    // 빈 줄(패치 끝 개행) 등은 무시
+                }
+                i++
+            }
+        }
+        result.addAll(oldLines.subList(cursor, oldLines.size))
+        return result.joinToString(lineSeparatorOf(oldContent.ifEmpty { patch }))
+    }
+
+    private fun lineOps(oldLines: List<String>, newLines: List<String>): List<Op> {
+        var prefix = 0
+        while (prefix < oldLines.size && prefix < newLines.size && oldLines[prefix] == newLines[prefix]) prefix++
+        var suffix = 0
+        while (suffix < oldLines.size - prefix && suffix < newLines.size - prefix &&
+            oldLines[oldLines.size - 1 - suffix] == newLines[newLines.size - 1 - suffix]) suffix++
+
+        val a = oldLines.subList(prefix, oldLines.size - suffix)
+        val b = newLines.subList(prefix, newLines.size - suffix)
+
+        val ops = mutableListOf<Op>()
+        oldLines.subList(0, prefix).forEach { ops.add(Op.Keep(it)) }
+        if (a.size.toLong() * b.size > MAX_LCS_CELLS) {
+            a.forEach { ops.add(Op.Del(it)) }
+            b.forEach { ops.add(Op.Add(it)) }
+            oldLines.subList(oldLines.size - suffix, oldLines.size).forEach { ops.add(Op.Keep(it)) }
+            return ops
+        }
+
+        // LCS 길이 테이블 (뒤에서부터)
+        val lcs = Array(a.size + 1) { IntArray(b.size + 1) }
+        for (x in a.size - 1 downTo 0) {
+            for (y in b.size - 1 downTo 0) {
+                lcs[x][y] = if (a[x] == b[y]) lcs[x + 1][y + 1] + 1 else maxOf(lcs[x + 1][y], lcs[x][y + 1])
+            }
+        }
+
+        var x = 0
+        var y = 0
+        while (x < a.size && y < b.size) {
+            when {
+                a[x] == b[y] -> { ops.add(Op.Keep(a[x])); x++; y++ }
+                lcs[x + 1][y] >= lcs[x][y + 1] -> { ops.add(Op.Del(a[x])); x++ }
+                else -> { ops.add(Op.Add(b[y])); y++ }
+            }
+        }
+        while (x < a.size) ops.add(Op.Del(a[x++]))
+        while (y < b.size) ops.add(Op.Add(b[y++]))
+        oldLines.subList(oldLines.size - suffix, oldLines.size).forEach { ops.add(Op.Keep(it)) }
+        return ops
+    }
+
+    /** 원본이 CRLF 면 CRLF 유지 — lines() 가 \r 을 떼어 내므로 다시 이을 때 필요 */
+    private fun lineSeparatorOf(text: String): String = if (text.contains("\r\n")) "\r\n" else "\n"
+
+    /** 빈 텍스트는 0줄 — "".lines() 의 빈 한 줄을 지우는 "-" 가 새 파일 diff 에 끼지 않도록 */
+    private fun linesOf(text: String): List<String> = if (text.isEmpty()) emptyList() else text.lines()
+}
@@ -13,8 +13,10 @@ import com.hana.orchestrator.llm.strategy.ModelSelectionStrategy
 import com.hana.orchestrator.llm.useSuspend
 import com.hana.orchestrator.presentation.mapper.ExecutionTreeMapper as PresentationMapper
 import com.hana.orchestrator.presentation.model.execution.ExecutionPhase
+import com.hana.orchestrator.presentation.model.execution.StepProgress
 import com.hana.orchestrator.orchestrator.ExecutionHistoryManager
 import com.hana.orchestrator.orchestrator.ExecutionStatePublisher
+import com.hana.orchestrator.orchestrator.LogLevel
 import com.hana.orchestrator.orchestrator.createOrchestratorLogger
 
 /**
@@ -170,6 +172,8 @@ class DefaultReActStrategy(
             is com.hana.orchestrator.orchestrator.core.task.PrimitiveTask -> task.description
         }
         val stepHistory = mutableListOf<ReActStep>()
+        // 스텝별 미니트리 노드 결과 누적 — 이력에 persist (레이어 메트릭·실행 비교용)
+        val nodeResults = mutableListOf<com.hana.orchestrator.domain.entity.NodeResultSummary>()
         var step = 0
         var consecutiveErrors = 0
 
@@ -203,7 +207,8 @@ class DefaultReActStrategy(
                 return ExecutionResult(
                     result = finalResult,
                     error = "절대 최대 ReAct 스텝($absoluteMaxSteps) 도달",
-                    stepHistory = stepHistory.toList()
+                    stepHistory = stepHistory.toList(),
+                    nodeResults = nodeResults.toList()
                 )
             }
 
@@ -216,7 +221,8 @@ class DefaultReActStrategy(
                 return ExecutionResult(
                     result = finalResult,
                     error = "연속 에러 ${maxConsecutiveErrors}회로 중단",
-                    stepHistory = stepHistory.toList()
+                    stepHistory = stepHistory.toList(),
+                    nodeResults = nodeResults.toList()
                 )
             }
 
@@ -262,7 +268,7 @@ class DefaultReActStrategy(
                     )
                 )
                 val saDomainTree = try {
-                    com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(saTask)
+                    com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(saTask, idPrefix = "s${step}_auto")
                 } catch (e: Exception) {
                     logger.warn("⚠️ [ReAct] @RequiresSelfAction 트리 변환 실패: ${e.message}")
                     stepHistory.add(ReActStep(step, "auto-selfaction:$saLayerName.$saFunction", null, "ERROR(self-action): ${e.message}"))
@@ -270,11 +276,12 @@ class DefaultReActStrategy(
                     continue
                 }
                 val saExecResult = try {
-                    treeExecutor.executeTask(saTask, currentExecution)
+                    treeExecutor.executeTask(saTask, currentExecution, idPrefix = "s${step}_auto")
                 } catch (e: Exception) {
                     logger.warn("⚠️ [ReAct] @RequiresSelfAction 실행 실패: ${e.message}")
                     null
                 }
+                saExecResult?.nodeResults?.let { nodeResults.addAll(it) }
                 val saResult = saExecResult?.result ?: "ERROR(self-action): 실행 실패"
                 val saSuccessful = saExecResult?.context?.completedNodes
                     ?.filter { it.isSuccess }
@@ -311,7 +318,8 @@ class DefaultReActStrategy(
                 return ExecutionResult(
                     result = fallback,
                     error = "ReAct 결정 실패: ${e.message}",
-                    stepHistory = stepHistory.toList()
+                    stepHistory = stepHistory.toList(),
+                    nodeResults = nodeResults.toList()
                 )
             }
 
@@ -350,7 +358,7 @@ class DefaultReActStrategy(
                         if (outcome != null && !outcome.satisfied) {
                             val blockNo = finishBlocks + 1
                             logger.info("🚧 [ReAct] finish 차단 #$blockNo — missing=${outcome.missing.take(80)}")
-                            historyManager.addLogTo(executionId, "🚧 finish 차단 #$blockNo — ${outcome.missing.take(60)}")
+                            historyManager.addLogTo(executionId, "🚧 finish 차단 #$blockNo — ${outcome.missing.take(60)}", LogLevel.WARN)
                             stepHistory.add(ReActStep(
                                 step,
                                 "[finish-blocked #$blockNo] ${outcome.reasoning}",
@@ -362,12 +370,12 @@ class DefaultReActStrategy(
                     }
 
                     logger.info("✅ [ReAct] 완료 (${step}스텝): ${finalResult.take(100)}")
-                    historyManager.addLogTo(executionId, "✅ ReAct 완료 (${step}스텝)")
+                    historyManager.addLogTo(executionId, "✅ ReAct 완료 (${step}스텝)", LogLevel.SUCCESS)
                     statePublisher.emitProgress(
                         executionId, ExecutionPhase.COMPLETED, "✅ 완료", 100,
                         System.currentTimeMillis() - startTime
                     )
-                    return ExecutionResult(result = finalResult, stepHistory = stepHistory.toList())
+                    return ExecutionResult(result = finalResult, stepHistory = stepHistory.toList(), nodeResults = nodeResults.toList())
                 }
 
                 "execute_tree" -> {
@@ -395,7 +403,7 @@ class DefaultReActStrategy(
                                 ?: stepHistory.lastOrNull { !it.result.startsWith("ERROR") }?.result
                                 ?: "작업 완료"
                             logger.info("🔁 [ReAct] 중복 루프 감지 (직전 스텝 동일) → 마지막 결과 반환 (이미 완료: $proposed)")
-                            return ExecutionResult(result = lastData, stepHistory = stepHistory.toList())
+                            return ExecutionResult(result = lastData, stepHistory = stepHistory.toList(), nodeResults = nodeResults.toList())
                         }
                     }
 
@@ -408,19 +416,28 @@ class DefaultReActStrategy(
                         consecutiveErrors++
                         continue
                     }
-                    val domainTree = com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(task)
+                    // 스텝별 미니트리를 합쳐 저장하므로 노드 id 에 스텝 번호를 붙여 전체 이력에서 유일하게 (비교·포크 노드 정렬용)
+                    val stepIdPrefix = "s${step}_node"
+                    val domainTree = com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(task, idPrefix = stepIdPrefix)
 
                     val treeDesc = domainTree.rootNodes.joinToString(", ") { "${it.layerName}.${it.function}" }
                     logger.info("🌳 [ReAct] 스텝 #$step 미니트리 실행: [$treeDesc]")
                     historyManager.addLogTo(executionId, "🌳 미니트리: [$treeDesc]")
+                    val presentationTree = with(PresentationMapper) { domainTree.toResponse() }
+                    statePublisher.emitProgress(
+                        executionId, ExecutionPhase.TREE_EXECUTION,
+                        "🌳 스텝 #$step 실행: $treeDesc", progressPct, System.currentTimeMillis() - startTime,
+                        stepDetail = StepProgress(step, presentationTree)
+                    )
 
                     val treeExecResult = try {
-                        treeExecutor.executeTask(task, currentExecution)
+                        treeExecutor.executeTask(task, currentExecution, idPrefix = stepIdPrefix)
                     } catch (e: Exception) {
                         val errMsg = "ERROR(mini-tree): ${e.message}"
                         logger.warn("⚠️ [ReAct] 스텝 #$step 미니트리 오류: $errMsg")
                         null
                     }
+                    treeExecResult?.nodeResults?.let { nodeResults.addAll(it) }
                     val stepResult = treeExecResult?.result ?: "ERROR(mini-tree): 실행 실패"
                     val successfulFunctions = treeExecResult?.context?.completedNodes
                         ?.filter { it.isSuccess }
@@ -428,10 +445,17 @@ class DefaultReActStrategy(
                         ?: emptyList()
 
                     logger.info("📋 [ReAct] 스텝 #$step 결과: ${stepResult.take(120)}")
-                    historyManager.addLogTo(executionId, "📋 결과: ${stepResult.take(60)}")
+                    historyManager.addLogTo(
+                        executionId, "📋 결과: ${stepResult.take(60)}",
+                        if (stepResult.startsWith("ERROR")) LogLevel.ERROR else LogLevel.INFO
+                    )
                     storeStepResult(executionId, step, stepResult)
+                    statePublisher.emitProgress(
+                        executionId, ExecutionPhase.TREE_EXECUTION,
+                        "📋 스텝 #$step 결과 수신", progressPct, System.currentTimeMillis() - startTime,
+                        stepDetail = StepProgress(step, presentationTree, stepResult.take(500))
+                    )
 
-                    val presentationTree = with(PresentationMapper) { domainTree.toResponse() }
                     stepHistory.add(ReActStep(step, decision.reasoning, presentationTree, stepResult, successfulFunctions))
                     if (treeExecResult == null || treeExecResult.context?.failedNodes?.isNotEmpty() == true) consecutiveErrors++ else consecutiveErrors = 0
 
@@ -447,7 +471,9 @@ class DefaultReActStrategy(
                     val answer = if (isScheduled) {
                         "[자율 실행] 사용자 확인 없이 자율 실행 중입니다. 스스로 가장 합리적인 선택을 결정하고 즉시 진행하세요. 추가 질문 없이 직접 실행하세요."
                     } else {
-                        clarificationGate?.requestClarification(question) ?: ""
+                        clarificationGate?.requestClarification(
+                            question, executionId, decision.answerType, decision.options
+                        ) ?: ""
                     }
                     logger.info("💬 [ReAct] 답변: ${answer.take(80)}")
                     stepHistory.add(ReActStep(step, decision.reasoning, null, "Q: $question\nA: $answer"))
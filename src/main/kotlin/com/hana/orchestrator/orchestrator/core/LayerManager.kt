@@ -303,8 +303,8 @@ class LayerManager(
         val normalizedFunction = normalizeFunction(function)
         val enrichedArgs = applySelfActionPre(targetLayer, layerName, normalizedFunction, args)
 
-        return approvalPolicy.guard(targetLayer, layerName, normalizedFunction, enrichedArgs) {
-            val result = targetLayer.execute(normalizedFunction, enrichedArgs)
+        return approvalPolicy.guard(targetLayer, layerName, normalizedFunction, enrichedArgs) { approvedArgs ->
+            val result = targetLayer.execute(normalizedFunction, approvedArgs)
             if (result.startsWith("Unknown function:")) throw IllegalArgumentException(result)
             result
         }
@@ -8,12 +8,21 @@ import com.hana.orchestrator.domain.entity.ExecutionContext
 import com.hana.orchestrator.domain.entity.ExecutionResult
 import com.hana.orchestrator.domain.entity.ExecutionHistory
 import com.hana.orchestrator.layer.CommonLayerInterface
+import com.hana.orchestrator.layer.ContextLayer
 import com.hana.orchestrator.layer.RemoteLayer
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonElement
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
 import kotlinx.coroutines.async
 import kotlinx.coroutines.awaitAll
 import kotlinx.coroutines.coroutineScope
+import kotlinx.coroutines.withContext
+import com.hana.orchestrator.orchestrator.ApprovalGate
 import com.hana.orchestrator.orchestrator.ExecutionHistoryManager
 import com.hana.orchestrator.orchestrator.ExecutionStatePublisher
+import com.hana.orchestrator.orchestrator.LogLevel
 import com.hana.orchestrator.orchestrator.createOrchestratorLogger
 
 /**
@@ -37,9 +46,10 @@ class TreeExecutor(
     suspend fun executeTask(
         task: com.hana.orchestrator.orchestrator.core.task.Task,
         currentExecution: ExecutionHistory,
-        name: String = "execution_plan"
+        name: String = "execution_plan",
+        idPrefix: String = "node"
     ): ExecutionResult {
-        val tree = com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(task, name)
+        val tree = com.hana.orchestrator.orchestrator.core.task.TaskTreeMapper.toExecutionTree(task, name, idPrefix)
         return executeTree(tree, currentExecution)
     }
 
@@ -49,9 +59,10 @@ class TreeExecutor(
      */
     suspend fun executeTree(
         tree: ExecutionTree,
-        currentExecution: ExecutionHistory
+        currentExecution: ExecutionHistory,
+        pinnedResults: Map<String, String> = emptyMap()
     ): ExecutionResult {
-        val context = ExecutionContext()
+        val context = ExecutionContext(pinnedResults)
         context.registerNodes(tree.allNodes().map { it.id })
         val treeStartTime = System.currentTimeMillis()
         logger.info("🌳 [TreeExecutor] 실행 트리 시작: ${tree.name} (루트 노드 ${tree.rootNodes.size}개)")
@@ -115,7 +126,17 @@ class TreeExecutor(
                     layerName = r.node.layerName,
                     function = r.node.function,
                     status = r.status.name,
-                    error = r.error
+                    error = r.error,
+                    nodeId = r.nodeId,
+                    result = r.result?.take(com.hana.orchestrator.domain.entity.NodeResultSummary.MAX_RESULT_CHARS),
+                    resultTruncated = (r.result?.length ?: 0) > com.hana.orchestrator.domain.entity.NodeResultSummary.MAX_RESULT_CHARS,
+                    fullResult = r.result?.takeIf { it.length > com.hana.orchestrator.domain.entity.NodeResultSummary.MAX_RESULT_CHARS },
+                    startedAt = r.startedAt,
+                    endedAt = r.timestamp,
+                    args = r.node.args.mapValues { (_, v) ->
+                        v.toString().take(com.hana.orchestrator.domain.entity.NodeResultSummary.MAX_ARG_CHARS)
+                    },
+                    approvalWaits = r.approvalWaits
                 )
             }
 
@@ -157,6 +178,7 @@ class TreeExecutor(
             )
             context.completeNodeDeferred(nodeId, "")
             logger.debug("${indent}⏭️ [TreeExecutor] 건너뜀: ${node.layerName}.${node.function} (부모 실패)")
+            statePublisher.emitNodeStatus(executionId, context)
             return skippedResult
         }
         
@@ -172,50 +194,59 @@ class TreeExecutor(
                     error = "ERROR: ${node.layerName}.${node.function} — rootNode는 {{parent}}를 사용할 수 없습니다. 이 노드를 다른 노드의 children에 넣으세요."
                 )
                 context.completeNodeDeferred(nodeId, "")
+                statePublisher.emitNodeStatus(executionId, context)
                 return rootFailResult
             }
         }
 
         val runningResult = context.recordNode(node, NodeStatus.RUNNING, depth, parentNodeId)
+        statePublisher.emitNodeStatus(executionId, context)
         logger.debug("${indent}🎯 [TreeExecutor] 실행 시작: ${node.layerName}.${node.function} (id=$nodeId, depth=$depth, parent=$parentNodeId, children=${node.children.size}, parallel=${node.parallel})")
         
-        // 레이어 함수 실행
+        // 레이어 함수 실행 (포크로 고정된 노드는 호출 없이 이전 결과 사용)
+        val pinnedResult = context.pinnedResults[nodeId]
         val layer = layerManager.findLayerByName(node.layerName)
         
-        if (layer == null) {
+        if (layer == null && pinnedResult == null) {
             val failedResult = context.recordNode(
                 node, NodeStatus.FAILED, depth, parentNodeId,
                 error = "Layer '${node.layerName}' not found"
             )
             context.completeNodeDeferred(nodeId, "")
             logger.error("${indent}❌ [TreeExecutor] 레이어를 찾을 수 없음: ${node.layerName}")
+            statePublisher.emitNodeStatus(executionId, context)
             return failedResult
         }
         
+        val waitMeter = ApprovalGate.WaitMeter()
         val executionResult: NodeExecutionResult = try {
             // 원격 레이어인지 확인
             val isRemote = layer is RemoteLayer
             val remoteUrl = if (isRemote) layer.baseUrl else null
 
-            val execStartMsg = "${indent}▶️ [TreeExecutor] ${node.layerName}.${node.function} 실행 중...${if (isRemote) " (원격: $remoteUrl)" else ""}"
+            val execStartMsg = if (pinnedResult != null) "${indent}📌 [TreeExecutor] ${node.layerName}.${node.function} 고정 결과 사용 (포크)"
+                else "${indent}▶️ [TreeExecutor] ${node.layerName}.${node.function} 실행 중...${if (isRemote) " (원격: $remoteUrl)" else ""}"
             logger.info(execStartMsg)
             val nodeStartTime = System.currentTimeMillis()
-            val resolvedArgs = resolveArgs(node.args, context, parentNodeId, executionId)
-            val execResult = layerManager.executeOnLayer(node.layerName, node.function, resolvedArgs)
+            val execResult = pinnedResult ?: run {
+                val resolvedArgs = resolveArgs(node.args, context, parentNodeId, executionId)
+                withContext(waitMeter) { layerManager.executeOnLayer(node.layerName, node.function, resolvedArgs) }
+            }
             val nodeDuration = System.currentTimeMillis() - nodeStartTime
             val execCompleteMsg = "${indent}✅ [TreeExecutor] ${node.layerName}.${node.function} 완료: ${execResult.take(50)}... (${nodeDuration}ms)"
             logger.info(execCompleteMsg)
 
             // B5: PrimitiveTask.verifier 슬롯 — 자동 주입된 객관 검증기 발동
-            val verifierOutcome = node.verifier?.verify(execResult)
+            val verifierOutcome = if (pinnedResult != null) null else node.verifier?.verify(execResult)
             if (verifierOutcome != null && !verifierOutcome.satisfied) {
                 logger.warn("${indent}🚧 [TreeExecutor] verifier 미충족: ${node.layerName}.${node.function} — ${verifierOutcome.missing} (${verifierOutcome.reasoning.take(120)})")
                 context.recordNode(
                     node, NodeStatus.FAILED, depth, parentNodeId,
-                    error = "verifier 미충족: ${verifierOutcome.missing}. ${verifierOutcome.reasoning}\n원래 결과:\n${execResult.take(500)}"
+                    error = "verifier 미충족: ${verifierOutcome.missing}. ${verifierOutcome.reasoning}\n원래 결과:\n${execResult.take(500)}",
+                    approvalWaits = waitMeter.spans.toList()
                 ).also { context.completeNodeDeferred(nodeId, "") }
             } else {
-                context.recordNode(node, NodeStatus.SUCCESS, depth, parentNodeId, result = execResult)
+                context.recordNode(node, NodeStatus.SUCCESS, depth, parentNodeId, result = execResult, approvalWaits = waitMeter.spans.toList())
                     .also { context.completeNodeDeferred(nodeId, execResult) }
             }
         } catch (e: kotlinx.coroutines.CancellationException) {
@@ -226,9 +257,11 @@ class TreeExecutor(
 
             context.recordNode(
                 node, NodeStatus.FAILED, depth, parentNodeId,
-                error = "Error executing ${node.layerName}.${node.function}: ${e.message}"
+                error = "Error executing ${node.layerName}.${node.function}: ${e.message}",
+                approvalWaits = waitMeter.spans.toList()
             ).also { context.completeNodeDeferred(nodeId, "") }
         }
+        statePublisher.emitNodeStatus(executionId, context)
         
         // 노드 실패 시 재시도는 ReactiveExecutor(ReAct 루프)에서 처리됨
         if (executionResult.isFailure) {
@@ -236,12 +269,20 @@ class TreeExecutor(
             val retryPointMsg = "${indent}   재시도 시작점: ${context.findRetryStartPoint(nodeId)}"
             logger.warn(failMsg)
             logger.debug(retryPointMsg)
+            historyManager.addLogTo(
+                executionId, "❌ ${node.layerName}.${node.function} 실패: ${executionResult.error?.take(120) ?: ""}",
+                LogLevel.ERROR, nodeId
+            )
             // 재시도 로직은 다음 단계에서 추가
         } else if (executionResult.isSuccess) {
             val successMsg = "${indent}✅ [TreeExecutor] 노드 성공: ${node.layerName}.${node.function} (id=$nodeId)"
             val previewMsg = "${indent}   결과 미리보기: ${executionResult.resultText.take(100)}"
             logger.debug(successMsg)
             logger.debug(previewMsg)
+            historyManager.addLogTo(
+                executionId, "✅ ${node.layerName}.${node.function}${if (pinnedResult != null) " (고정 결과)" else ""}",
+                LogLevel.SUCCESS, nodeId
+            )
         }
         
         // 자식 노드 실행
@@ -300,6 +341,7 @@ class TreeExecutor(
                     result = finalChildResult,
                     error = finalError
                 )
+                statePublisher.emitNodeStatus(executionId, context)
                 
                 return NodeExecutionResult(
                     nodeId = node.id,
@@ -317,7 +359,7 @@ class TreeExecutor(
     }
 
     /**
-     * args 내 {{parent}}, {{nodeId:id}} 플레이스홀더를 실행 컨텍스트 결과로 치환.
+     * args 내 {{parent}}, {{nodeId:id}}, {{nodeId:id|json.path}}, {{context:key}} 플레이스홀더를 실행 컨텍스트 결과로 치환.
      * 자식 노드가 부모/특정 노드 실행 결과를 인자로 쓸 수 있게 함 (예: readFile → llm.analyze(context={{parent}}) → writeFile(content={{parent}})).
      */
     private suspend fun resolveArgs(
@@ -356,26 +398,68 @@ class TreeExecutor(
         } else {
             s.replace("{{parent}}", parentResult)
         }
-        val nodeIdRegex = Regex("""\{\{nodeId:([^}]+)\}\}""")
+        // {{nodeId:X}} / {{nodeId:X|json.path[0]}} — X 결과 전체 또는 JSON 경로 값
+        val nodeIdRegex = Regex("""\{\{nodeId:([^}|]+)(?:\|([^}]+))?\}\}""")
         for (mr in nodeIdRegex.findAll(out).toList()) {
             val refResult = context.awaitNodeResult(mr.groupValues[1].trim())
-            out = out.replace(mr.value, refResult)
+            val path = mr.groupValues[2].trim()
+            out = out.replace(mr.value, if (path.isEmpty()) refResult else extractJsonPath(refResult, path))
+        }
+        // {{context:key}} — ContextLayer 저장 값
+        val contextRegex = Regex("""\{\{context:([^}]+)\}\}""")
+        for (mr in contextRegex.findAll(out).toList()) {
+            val key = mr.groupValues[1].trim()
+            out = out.replace(mr.value, contextSlot(key, "{{context:$key}}", executionId))
         }
         // {{step:N}} — 과거 스텝 결과를 context 슬롯에서 자동 조회 (executionId 포함 키)
         val stepRegex = Regex("""\{\{step:(\d+)\}\}""")
         for (mr in stepRegex.findAll(out).toList()) {
             val stepNum = mr.groupValues[1].trim()
-            val slotResult = try {
-                layerManager.executeOnLayerInternal(
-                    "context", "get",
-                    mapOf("key" to "step_${executionId}_${stepNum}_result")
-                )
-            } catch (e: Exception) {
-                logger.warn("⚠️ [TreeExecutor] {{step:$stepNum}} 슬롯 조회 실패: ${e.message}")
-                ""
-            }
-            out = out.replace(mr.value, slotResult)
+            out = out.replace(mr.value, contextSlot("step_${executionId}_${stepNum}_result", "{{step:$stepNum}}", executionId))
         }
         return out
     }
+
+    /**
+     * context 레이어 슬롯 조회 — 키가 없으면 ContextLayer.get 이 오류 문구를 돌려주므로
+     * 그 문구가 인자로 새어 들어가지 않게 빈 문자열로 바꾸고 실행 로그에 경고
+     * (저장된 값 자체가 "ERROR(...)" 인 실패 스텝 결과는 그대로 전달)
+     */
+    private suspend fun contextSlot(key: String, placeholder: String, executionId: String): String {
+        val value = try {
+            layerManager.executeOnLayerInternal("context", "get", mapOf("key" to key))
+        } catch (e: Exception) {
+            logger.warn("⚠️ [TreeExecutor] $placeholder 조회 실패: ${e.message}")
+            return ""
+        }
+        if (!value.startsWith(ContextLayer.MISSING_KEY)) return value
+        logger.warn("⚠️ [TreeExecutor] $placeholder 값 없음 → 빈 문자열로 치환: $value")
+        historyManager.addLogTo(executionId, "⚠️ $placeholder 값 없음 — 빈 문자열로 치환", LogLevel.WARN)
+        return ""
+    }
+
+    /**
+     * 노드 결과(JSON)에서 경로 값 추출. 경로 형식: `a.b[0].c` (선행 `$.` 허용)
+     * JSON 아님/경로 없음 → 빈 문자열. 문자열 값은 따옴표 없이, 객체·배열은 JSON 텍스트로 반환
+     */
+    private fun extractJsonPath(raw: String, path: String): String {
+        var current: JsonElement = try {
+            Json.parseToJsonElement(raw)
+        } catch (e: Exception) {
+            logger.warn("⚠️ [TreeExecutor] JSON 경로 '$path' 적용 실패: 결과가 JSON이 아님")
+            return ""
+        }
+        val tokens = Regex("""[^.\[\]]+|\[(\d+)\]""").findAll(path.removePrefix("$").removePrefix("."))
+        for (token in tokens) {
+            val index = token.groupValues[1]
+            current = when {
+                index.isNotEmpty() -> (current as? JsonArray)?.getOrNull(index.toInt())
+                else -> (current as? JsonObject)?.get(token.value)
+            } ?: run {
+                logger.warn("⚠️ [TreeExecutor] JSON 경로 '$path' 에서 '${token.value}' 없음")
+                return ""
+            }
+        }
+        return (current as? JsonPrimitive)?.takeIf { it.isString }?.content ?: current.toString()
+    }
 }
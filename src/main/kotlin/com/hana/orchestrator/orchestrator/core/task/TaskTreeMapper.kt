@@ -27,13 +27,16 @@ import kotlinx.serialization.json.JsonPrimitive
  */
 object TaskTreeMapper {
 
-    fun toExecutionTree(task: Task, name: String = "execution_plan"): ExecutionTree {
+    /**
+     * @param idPrefix 노드 id 접두사 — ReAct 는 스텝마다 미니트리를 합쳐 저장하므로 "s{스텝}_node" 처럼 스텝별로 달리 줘야 id 가 겹치지 않음
+     */
+    fun toExecutionTree(task: Task, name: String = "execution_plan", idPrefix: String = "node"): ExecutionTree {
         val rootNodes = when (task) {
-            is PrimitiveTask -> listOf(toNode(task, idPrefix = "node"))
+            is PrimitiveTask -> listOf(toNode(task, idPrefix = idPrefix))
             is CompoundTask -> task.subtasks.flatMapIndexed { idx, sub ->
                 when (sub) {
-                    is PrimitiveTask -> listOf(toNode(sub, idPrefix = "node_${idx}"))
-                    is CompoundTask -> flattenCompound(sub, idPrefix = "node_${idx}")
+                    is PrimitiveTask -> listOf(toNode(sub, idPrefix = "${idPrefix}_${idx}"))
+                    is CompoundTask -> flattenCompound(sub, idPrefix = "${idPrefix}_${idx}")
                 }
             }
         }
@@ -1,8 +1,20 @@
 package com.hana.orchestrator.presentation.controller
 
 import com.hana.orchestrator.orchestrator.ApprovalGate
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.json.Json
+
+/**
+ * 승인 요청 본문 (생략 시 전체 승인)
+ * @param patch 부분 승인: 승인자가 고른 hunk만 담은 unified diff
+ * @param content 수정 후 승인: 승인자가 직접 고친 전체 내용
+ */
+@Serializable
+data class ApproveRequest(val patch: String? = null, val content: String? = null)
 
 /**
  * 파일 수정 승인/거절 엔드포인트
@@ -10,12 +22,24 @@ import io.ktor.server.routing.*
  */
 class ApprovalController(private val approvalGate: ApprovalGate) {
 
+    private val json = Json { ignoreUnknownKeys = true }
+
     fun configureRoutes(route: Route) {
         route.post("/approval/{id}/approve") {
             val id = call.parameters["id"]
                 ?: return@post call.respond(mapOf("error" to "id required"))
-            val success = approvalGate.approve(id)
-            call.respond(mapOf("success" to success))
+            // 본문 없는 기존 호출(전체 승인)도 그대로 허용
+            val body = runCatching { call.receiveText() }.getOrDefault("")
+            val request = if (body.isBlank()) ApproveRequest()
+                else runCatching { json.decodeFromString(ApproveRequest.serializer(), body) }.getOrElse {
+                    return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to "invalid body: ${it.message}"))
+                }
+            try {
+                val success = approvalGate.approve(id, request.patch, request.content)
+                call.respond(mapOf("success" to success))
+            } catch (e: IllegalArgumentException) {
+                call.respond(HttpStatusCode.BadRequest, mapOf("error" to (e.message ?: "patch 적용 실패")))
+            }
         }
 
         route.post("/approval/{id}/reject") {
@@ -32,11 +32,12 @@ class ChatController(
                 // Presentation → Domain 변환
                 val chatDto = ChatRequestMapper.toDto(request)
                 
-                // Orchestrator 실행 (도메인 모델 반환)
-                val executionResult = orchestrator.executeOrchestration(chatDto)
+                // Orchestrator 실행 (도메인 모델 반환) — 대화 기록 연결용으로 executionId 캡처
+                var executionId: String? = null
+                val executionResult = orchestrator.executeOrchestration(chatDto) { executionId = it }
                 
                 // Domain → Presentation 변환
-                val response = ExecutionResultMapper.toChatResponse(executionResult)
+                val response = ExecutionResultMapper.toChatResponse(executionResult, executionId)
                 call.respond(response)
             } catch (e: Exception) {
                 call.respond(mapOf("error" to e.message))
@@ -52,6 +52,13 @@ class ExecutionWebSocketController(
                         }
                     }
 
+                    // 노드 상태 업데이트 구독 (트리 편집기 실행 보기)
+                    val nodeStatusJob = launch {
+                        orchestrator.nodeStatusUpdates.collect { update ->
+                            broadcastToAll(json.encodeToString(update))
+                        }
+                    }
+
                     // 파일 수정 승인 요청 구독
                     val approvalJob = launch {
                         orchestrator.approvalGate.requests.collect { request ->
@@ -59,6 +66,13 @@ class ExecutionWebSocketController(
                         }
                     }
 
+                    // 승인 종료 알림 구독 (인박스 항목 제거)
+                    val approvalResolvedJob = launch {
+                        orchestrator.approvalGate.resolutions.collect { resolved ->
+                            broadcastToAll(json.encodeToString(resolved))
+                        }
+                    }
+
                     // 사용자 질문 요청 구독
                     val clarificationJob = launch {
                         orchestrator.clarificationGate.requests.collect { request ->
@@ -66,6 +80,13 @@ class ExecutionWebSocketController(
                         }
                     }
 
+                    // 질문 종료 알림 구독 (인박스 항목 제거)
+                    val clarificationResolvedJob = launch {
+                        orchestrator.clarificationGate.resolutions.collect { resolved ->
+                            broadcastToAll(json.encodeToString(resolved))
+                        }
+                    }
+
                     // 클라이언트로부터 메시지 수신 대기 (연결 유지)
                     for (frame in incoming) {
                         if (frame is Frame.Text && frame.readText() == "refresh") {
@@ -75,8 +96,11 @@ class ExecutionWebSocketController(
 
                     updateJob.cancel()
                     progressJob.cancel()
+                    nodeStatusJob.cancel()
                     approvalJob.cancel()
+                    approvalResolvedJob.cancel()
                     clarificationJob.cancel()
+                    clarificationResolvedJob.cancel()
                 }
             } catch (e: ClosedReceiveChannelException) {
                 // 연결 종료
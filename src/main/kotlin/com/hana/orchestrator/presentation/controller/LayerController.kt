@@ -3,10 +3,14 @@ package com.hana.orchestrator.presentation.controller
 import com.hana.orchestrator.application.lifecycle.ApplicationLifecycleManager
 import com.hana.orchestrator.layer.LayerRequest
 import com.hana.orchestrator.layer.LayerResponse
+import com.hana.orchestrator.orchestrator.ExecutionSearchFilter
+import com.hana.orchestrator.orchestrator.ExecutionTreeValidator
 import com.hana.orchestrator.orchestrator.Orchestrator
+import com.hana.orchestrator.presentation.mapper.ExecutionHistoryMapper.toExecutionDetailResponse
 import com.hana.orchestrator.presentation.mapper.ExecutionHistoryMapper.toExecutionHistoryResponse
 import com.hana.orchestrator.presentation.model.chat.ChatRequest
 import com.hana.orchestrator.presentation.model.execution.ExecutionHistoryListResponse
+import com.hana.orchestrator.presentation.model.execution.ExecutionSearchResponse
 import com.hana.orchestrator.presentation.model.layer.RegisterRemoteLayerResponse
 import io.ktor.http.*
 import io.ktor.server.request.*
@@ -32,6 +36,7 @@ class LayerController(
             }
         }
         
+        // 레이어 함수 단건 실행 (UI 실행 콘솔) — executeOnLayer 라 쓰기·실행 함수는 승인 게이트를 거침
         route.post("/layers/{layerName}/execute") {
             try {
                 if (lifecycleManager.isShutdownRequested()) {
@@ -42,7 +47,11 @@ class LayerController(
                     mapOf("error" to "Layer name is required")
                 )
                 val request = call.receive<LayerRequest>()
-                val args = request.arguments.mapValues { it.value as Any }
+                // 콘솔은 인자를 문자열로 보냄 — 트리 실행과 같이 선언 타입으로 변환 후 호출
+                val params = orchestrator.getAllLayerDescriptions()
+                    .firstOrNull { it.name == layerName }
+                    ?.functionDetails?.get(request.function)?.parameters.orEmpty()
+                val args = ExecutionTreeValidator.coerceArgs(request.arguments.mapValues { it.value as Any }, params)
                 val result = orchestrator.executeOnLayer(layerName, request.function, args)
                 call.respond(mapOf("result" to result))
             } catch (e: Exception) {
@@ -162,6 +171,48 @@ class LayerController(
             }
         }
 
+        // 실행 이력 검색 엔드포인트 (q, status=a,b, from, to(epoch ms), fn=layer.function, cursor|offset, limit)
+        route.get("/executions/search") {
+            try {
+                val params = call.request.queryParameters
+                val filter = ExecutionSearchFilter(
+                    text = params["q"],
+                    statuses = params["status"]?.split(",")?.map { it.trim() }?.filter { it.isNotEmpty() }?.toSet() ?: emptySet(),
+                    from = params["from"]?.toLongOrNull(),
+                    to = params["to"]?.toLongOrNull(),
+                    function = params["fn"],
+                    cursor = params["cursor"]?.takeIf { it.isNotBlank() },
+                    offset = params["offset"]?.toIntOrNull() ?: 0,
+                    limit = params["limit"]?.toIntOrNull() ?: 20
+                )
+                val page = orchestrator.searchExecutionHistory(filter)
+                call.respond(ExecutionSearchResponse(
+                    items = page.items.map { it.toExecutionHistoryResponse() },
+                    nextCursor = page.nextCursor,
+                    total = page.total,
+                    functions = page.functions
+                ))
+            } catch (e: Exception) {
+                call.respond(mapOf("error" to e.message))
+            }
+        }
+
+        // 실행 단건 상세 (노드 결과·ReAct 스텝 포함 — 실행 비교용)
+        route.get("/executions/{id}") {
+            val id = call.parameters["id"]
+                ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
+            val history = orchestrator.getExecution(id)
+                ?: return@get call.respond(HttpStatusCode.NotFound, mapOf("error" to "execution not found: $id"))
+            call.respond(history.toExecutionDetailResponse())
+        }
+
+        // 잘린 노드 결과의 전체 본문 (nodeId → 결과) — 포크 고정용
+        route.get("/executions/{id}/node-results") {
+            val id = call.parameters["id"]
+                ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
+            call.respond(orchestrator.getExecutionFullNodeResults(id))
+        }
+
         // 실행 이력 삭제 엔드포인트
         route.delete("/executions/{id}") {
             val id = call.parameters["id"]
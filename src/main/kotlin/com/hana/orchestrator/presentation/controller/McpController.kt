@@ -1,6 +1,7 @@
 package com.hana.orchestrator.presentation.controller
 
 import com.hana.orchestrator.domain.entity.JobSchedule
+import com.hana.orchestrator.domain.entity.JobTrigger
 import com.hana.orchestrator.domain.entity.ScheduledJob
 import com.hana.orchestrator.orchestrator.JobRepository
 import com.hana.orchestrator.orchestrator.JobScheduler
@@ -186,7 +187,7 @@ class McpController(
             }
             addJsonObject {
                 put("name", "create_job")
-                put("description", "Register a scheduled / background orchestrator task. Use this to queue work for hana to do on its own (self-improvement loop, periodic eval, retry queues). schedule shapes: {\"type\":\"once\",\"at\":<epochMs>}, {\"type\":\"interval\",\"intervalMs\":<ms>}, {\"type\":\"daily\",\"hour\":H,\"minute\":M}, {\"type\":\"loop\",\"delayMs\":<ms>}. Polling cadence is 60s — use trigger_job for immediate start.")
+                put("description", "Register a scheduled / background orchestrator task. Use this to queue work for hana to do on its own (self-improvement loop, periodic eval, retry queues). schedule shapes: {\"type\":\"once\",\"at\":<epochMs>}, {\"type\":\"interval\",\"intervalMs\":<ms>}, {\"type\":\"daily\",\"hour\":H,\"minute\":M}, {\"type\":\"loop\",\"delayMs\":<ms>}, {\"type\":\"cron\",\"expression\":\"30 2 * * MON-FRI\",\"timezone\":\"Asia/Seoul\"}, {\"type\":\"event\"} (no time schedule — runs only via triggers). Chain jobs into pipelines (improve→review→apply→eval) with triggers. Polling cadence is 60s — use trigger_job for immediate start.")
                 putJsonObject("inputSchema") {
                     put("type", "object")
                     putJsonObject("properties") {
@@ -199,6 +200,14 @@ class McpController(
                         putJsonObject("enabled") { put("type", "boolean"); put("description", "Default true. Set false to register but pause.") }
                         putJsonObject("autoApprove") { put("type", "boolean"); put("description", "Skip approval gates (unattended runs). Default false.") }
                         putJsonObject("includeMetrics") { put("type", "boolean"); put("description", "Prepend system metrics snapshot to the query. Default false.") }
+                        putJsonObject("triggers") {
+                            put("type", "array")
+                            put("description", "JobTrigger list. Shapes: {\"type\":\"afterJob\",\"jobId\":\"<id>\",\"on\":\"SUCCESS|FAILED|ANY\",\"passResult\":true}, {\"type\":\"treeUpdated\",\"treeId\":\"<saved tree name>\"}, {\"type\":\"metric\",\"metric\":\"completionRate\",\"op\":\"<\",\"threshold\":0.7}. Metric triggers fire when the condition becomes true.")
+                        }
+                        putJsonObject("params") {
+                            put("type", "object")
+                            put("description", "Default values for {{name}} placeholders in query / saved tree args, e.g. {\"layerName\":\"file-system\"}. Override per run via trigger_job.")
+                        }
                     }
                     putJsonArray("required") { add("name"); add("query"); add("schedule") }
                 }
@@ -214,11 +223,12 @@ class McpController(
             }
             addJsonObject {
                 put("name", "trigger_job")
-                put("description", "Run a registered job immediately (bypass the 60s poller). Returns false if job not found or already running.")
+                put("description", "Run a registered job immediately (bypass the 60s poller). Returns triggered=false if the job is already running; on success returns the executionId of the run.")
                 putJsonObject("inputSchema") {
                     put("type", "object")
                     putJsonObject("properties") {
                         putJsonObject("jobId") { put("type", "string"); put("description", "Job id from list_jobs / create_job.") }
+                        putJsonObject("params") { put("type", "object"); put("description", "Values for {{name}} placeholders for this run only (override job defaults).") }
                     }
                     putJsonArray("required") { add("jobId") }
                 }
@@ -236,6 +246,8 @@ class McpController(
                         putJsonObject("enabled") { put("type", "boolean") }
                         putJsonObject("autoApprove") { put("type", "boolean") }
                         putJsonObject("includeMetrics") { put("type", "boolean") }
+                        putJsonObject("triggers") { put("type", "array"); put("description", "If present, replaces the job's triggers (same shapes as create_job).") }
+                        putJsonObject("params") { put("type", "object"); put("description", "If present, replaces the default values for {{name}} placeholders.") }
                     }
                     putJsonArray("required") { add("jobId") }
                 }
@@ -674,11 +686,15 @@ class McpController(
                     ?: return "Error: 'query' argument required"
                 val scheduleJson = arguments["schedule"]?.jsonObject
                     ?: return "Error: 'schedule' argument required"
-                val schedule = runCatching { json.decodeFromJsonElement<JobSchedule>(scheduleJson) }
+                val schedule = runCatching { json.decodeFromJsonElement<JobSchedule>(scheduleJson).also { jobScheduler.validateSchedule(it) } }
                     .getOrElse { return "Error: invalid schedule shape — ${it.message}" }
                 val enabled = arguments["enabled"]?.jsonPrimitive?.booleanOrNull ?: true
                 val autoApprove = arguments["autoApprove"]?.jsonPrimitive?.booleanOrNull ?: false
                 val includeMetrics = arguments["includeMetrics"]?.jsonPrimitive?.booleanOrNull ?: false
+                val triggers = arguments["triggers"]?.jsonArray?.let {
+                    runCatching { json.decodeFromJsonElement<List<JobTrigger>>(it).also { t -> jobScheduler.validateTriggers(null, t) } }
+                        .getOrElse { e -> return "Error: invalid triggers — ${e.message}" }
+                } ?: emptyList()
 
                 val job = ScheduledJob(
                     id = java.util.UUID.randomUUID().toString(),
@@ -687,8 +703,11 @@ class McpController(
                     schedule = schedule,
                     enabled = enabled,
                     autoApprove = autoApprove,
-                    includeMetrics = includeMetrics
+                    includeMetrics = includeMetrics,
+                    triggers = triggers,
+                    params = parseJobParams(arguments) ?: emptyMap()
                 )
+                runCatching { jobScheduler.validateParams(job) }.getOrElse { return "Error: ${it.message}" }
                 val scheduled = jobScheduler.scheduleNext(job)
                 jobRepository.save(scheduled)
                 json.encodeToString(scheduled)
@@ -699,10 +718,15 @@ class McpController(
             "trigger_job" -> {
                 val jobId = arguments["jobId"]?.jsonPrimitive?.contentOrNull
                     ?: return "Error: 'jobId' argument required"
-                val ok = jobScheduler.triggerNow(jobId)
+                val params = parseJobParams(arguments) ?: emptyMap()
+                val job = jobRepository.load(jobId) ?: return "Error: job not found: $jobId"
+                val missing = jobScheduler.missingParams(job, params)
+                if (missing.isNotEmpty()) return "Error: missing params — ${missing.joinToString()}"
+                val executionId = jobScheduler.triggerNow(jobId, params)
                 json.encodeToString(buildJsonObject {
-                    put("triggered", ok)
+                    put("triggered", executionId != null)
                     put("jobId", jobId)
+                    executionId?.let { put("executionId", it) }
                 })
             }
 
@@ -712,17 +736,24 @@ class McpController(
                 val existing = jobRepository.load(jobId)
                     ?: return "Error: job not found: $jobId"
                 val newSchedule = arguments["schedule"]?.jsonObject?.let {
-                    runCatching { json.decodeFromJsonElement<JobSchedule>(it) }
+                    runCatching { json.decodeFromJsonElement<JobSchedule>(it).also { s -> jobScheduler.validateSchedule(s) } }
                         .getOrElse { e -> return "Error: invalid schedule shape — ${e.message}" }
                 }
+                val newTriggers = arguments["triggers"]?.jsonArray?.let {
+                    runCatching { json.decodeFromJsonElement<List<JobTrigger>>(it).also { t -> jobScheduler.validateTriggers(jobId, t) } }
+                        .getOrElse { e -> return "Error: invalid triggers — ${e.message}" }
+                }
                 val updated = existing.copy(
                     name = arguments["name"]?.jsonPrimitive?.contentOrNull ?: existing.name,
                     query = arguments["query"]?.jsonPrimitive?.contentOrNull ?: existing.query,
                     schedule = newSchedule ?: existing.schedule,
                     enabled = arguments["enabled"]?.jsonPrimitive?.booleanOrNull ?: existing.enabled,
                     autoApprove = arguments["autoApprove"]?.jsonPrimitive?.booleanOrNull ?: existing.autoApprove,
-                    includeMetrics = arguments["includeMetrics"]?.jsonPrimitive?.booleanOrNull ?: existing.includeMetrics
+                    includeMetrics = arguments["includeMetrics"]?.jsonPrimitive?.booleanOrNull ?: existing.includeMetrics,
+                    triggers = newTriggers ?: existing.triggers,
+                    params = parseJobParams(arguments) ?: existing.params
                 )
+                runCatching { jobScheduler.validateParams(updated) }.getOrElse { return "Error: ${it.message}" }
                 val rescheduled = if (newSchedule != null) jobScheduler.scheduleNext(updated) else updated
                 jobRepository.save(rescheduled)
                 json.encodeToString(rescheduled)
@@ -852,6 +883,10 @@ class McpController(
         }
     }
 
+    /** arguments.params → 작업 파라미터 (값은 문자열로, 객체·배열은 JSON 텍스트) — 인자가 없으면 null */
+    private fun parseJobParams(arguments: JsonObject): Map<String, String>? =
+        (arguments["params"] as? JsonObject)?.mapValues { (_, v) -> (v as? JsonPrimitive)?.content ?: v.toString() }
+
     /** JsonObject → Map<String, Any> (재귀 변환) */
     private fun JsonObject.toAnyMap(): Map<String, Any> = entries.associate { (k, v) -> k to v.toAny() }
 
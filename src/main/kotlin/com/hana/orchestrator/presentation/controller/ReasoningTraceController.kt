@@ -0,0 +1,28 @@
+package com.hana.orchestrator.presentation.controller
+
+import com.hana.orchestrator.llm.ReasoningTraceRecorder
+import io.ktor.http.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+
+/**
+ * ReAct 추론 추적 조회 컨트롤러 (대시보드 추론 보기용)
+ * SRP: ReasoningTraceRecorder 조회 결과의 HTTP 응답만 담당 — MCP get_reasoning_trace 의 REST 버전
+ */
+class ReasoningTraceController {
+
+    fun configureRoutes(route: Route) {
+        route.get("/executions/{id}/trace") {
+            val id = call.parameters["id"]
+                ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
+            val trace = ReasoningTraceRecorder.get(id)
+                ?: return@get call.respond(
+                    HttpStatusCode.NotFound,
+                    mapOf("error" to "no trace recorded for executionId=$id")
+                )
+            // 실행 중에도 step이 추가되므로 스냅샷 복사 후 직렬화
+            val snapshot = synchronized(trace) { trace.copy(steps = trace.steps.toMutableList()) }
+            call.respond(snapshot)
+        }
+    }
+}
@@ -1,6 +1,7 @@
 package com.hana.orchestrator.presentation.controller
 
 import com.hana.orchestrator.domain.entity.JobSchedule
+import com.hana.orchestrator.domain.entity.JobTrigger
 import com.hana.orchestrator.domain.entity.ScheduledJob
 import com.hana.orchestrator.orchestrator.JobRepository
 import com.hana.orchestrator.orchestrator.JobScheduler
@@ -20,7 +21,9 @@ data class CreateJobRequest(
     val schedule: JobSchedule,
     val enabled: Boolean = true,
     val includeMetrics: Boolean = false,
-    val autoApprove: Boolean = false
+    val autoApprove: Boolean = false,
+    val triggers: List<JobTrigger> = emptyList(),
+    val params: Map<String, String> = emptyMap()
 )
 
 @Serializable
@@ -31,7 +34,50 @@ data class UpdateJobRequest(
     val schedule: JobSchedule? = null,
     val enabled: Boolean? = null,
     val includeMetrics: Boolean? = null,
-    val autoApprove: Boolean? = null
+    val autoApprove: Boolean? = null,
+    val triggers: List<JobTrigger>? = null,
+    val params: Map<String, String>? = null
+)
+
+/** 수동 실행 — params 는 이번 실행에만 적용 */
+@Serializable
+data class TriggerJobRequest(
+    val params: Map<String, String> = emptyMap()
+)
+
+@Serializable
+data class TriggerJobResponse(
+    val triggered: Boolean,
+    val executionId: String
+)
+
+/** 작업의 {{이름}} 자리표시자 — default 가 null 이면 실행 시 값 필수 */
+@Serializable
+data class JobParamResponse(
+    val name: String,
+    val default: String? = null
+)
+
+@Serializable
+data class SchedulePreviewRequest(
+    val schedule: JobSchedule,
+    val count: Int = 5
+)
+
+@Serializable
+data class SchedulePreviewResponse(
+    val runs: List<Long>,
+    val continuous: Boolean = false  // loop — 완료 즉시 재실행이라 시각 예측 불가
+)
+
+/** 주간 캘린더 한 작업의 예정 실행 시각 */
+@Serializable
+data class JobCalendarEntry(
+    val jobId: String,
+    val name: String,
+    val scheduleType: String,
+    val runs: List<Long>,
+    val continuous: Boolean = false
 )
 
 /**
@@ -49,6 +95,47 @@ class SchedulerController(
             call.respond(jobRepository.list())
         }
 
+        // 스케줄 미리보기 — 폼 입력 중 다음 실행 시각 N개 (cron 문법 오류는 400)
+        route.post("/jobs/schedule-preview") {
+            val req = call.receive<SchedulePreviewRequest>()
+            try {
+                jobScheduler.validateSchedule(req.schedule)
+                val runs = jobScheduler.upcomingRuns(req.schedule, System.currentTimeMillis(), limit = req.count.coerceIn(1, 20))
+                call.respond(SchedulePreviewResponse(runs, continuous = req.schedule is JobSchedule.Loop))
+            } catch (e: IllegalArgumentException) {
+                call.respond(HttpStatusCode.BadRequest, mapOf("error" to (e.message ?: "invalid schedule")))
+            }
+        }
+
+        // 주간 캘린더 — 활성 작업의 [from, to) 예정 실행 (기본: 지금부터 7일)
+        route.get("/jobs/calendar") {
+            val from = call.request.queryParameters["from"]?.toLongOrNull() ?: System.currentTimeMillis()
+            val to = call.request.queryParameters["to"]?.toLongOrNull() ?: (from + 7 * 24 * 3_600_000L)
+            val entries = jobRepository.list().filter { it.enabled }.map { job ->
+                val runs = when {
+                    job.schedule is JobSchedule.Once && job.lastRunAt != null -> emptyList()
+                    else -> runCatching {
+                        jobScheduler.upcomingRuns(job.schedule, from, to, limit = 2_000, firstRunAt = job.nextRunAt)
+                    }.getOrDefault(emptyList())
+                }
+                JobCalendarEntry(
+                    jobId = job.id,
+                    name = job.name,
+                    scheduleType = when (job.schedule) {
+                        is JobSchedule.Once -> "once"
+                        is JobSchedule.Interval -> "interval"
+                        is JobSchedule.Daily -> "daily"
+                        is JobSchedule.Cron -> "cron"
+                        is JobSchedule.Loop -> "loop"
+                        is JobSchedule.Event -> "event"
+                    },
+                    runs = runs,
+                    continuous = job.schedule is JobSchedule.Loop
+                )
+            }
+            call.respond(entries)
+        }
+
         // 단건 조회
         route.get("/jobs/{id}") {
             val id = call.parameters["id"] ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
@@ -56,6 +143,21 @@ class SchedulerController(
             call.respond(job)
         }
 
+        // 파라미터 자리표시자 (쿼리 + 저장 트리 args)
+        route.get("/jobs/{id}/params") {
+            val id = call.parameters["id"] ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
+            val job = jobRepository.load(id) ?: return@get call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found"))
+            call.respond(jobScheduler.paramsOf(job).map { (name, default) -> JobParamResponse(name, default) })
+        }
+
+        // 실행 기록 (최신순) — limit 기본 200
+        route.get("/jobs/{id}/runs") {
+            val id = call.parameters["id"] ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
+            if (jobRepository.load(id) == null) return@get call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found"))
+            val limit = call.request.queryParameters["limit"]?.toIntOrNull()?.coerceIn(1, JobRepository.MAX_RUNS) ?: 200
+            call.respond(jobRepository.listRuns(id, limit))
+        }
+
         // 생성
         route.post("/jobs") {
             val req = call.receive<CreateJobRequest>()
@@ -67,8 +169,17 @@ class SchedulerController(
                 schedule = req.schedule,
                 enabled = req.enabled,
                 includeMetrics = req.includeMetrics,
-                autoApprove = req.autoApprove
+                autoApprove = req.autoApprove,
+                triggers = req.triggers,
+                params = req.params
             )
+            try {
+                jobScheduler.validateSchedule(req.schedule)
+                jobScheduler.validateTriggers(null, req.triggers)
+                jobScheduler.validateParams(job)
+            } catch (e: IllegalArgumentException) {
+                return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to (e.message ?: "invalid schedule")))
+            }
             val scheduled = jobScheduler.scheduleNext(job)
             jobRepository.save(scheduled)
             call.respond(HttpStatusCode.Created, scheduled)
@@ -86,8 +197,17 @@ class SchedulerController(
                 schedule = req.schedule ?: existing.schedule,
                 enabled = req.enabled ?: existing.enabled,
                 includeMetrics = req.includeMetrics ?: existing.includeMetrics,
-                autoApprove = req.autoApprove ?: existing.autoApprove
+                autoApprove = req.autoApprove ?: existing.autoApprove,
+                triggers = req.triggers ?: existing.triggers,
+                params = req.params ?: existing.params
             )
+            try {
+                req.schedule?.let { jobScheduler.validateSchedule(it) }
+                req.triggers?.let { jobScheduler.validateTriggers(id, it) }
+                jobScheduler.validateParams(updated)
+            } catch (e: IllegalArgumentException) {
+                return@patch call.respond(HttpStatusCode.BadRequest, mapOf("error" to (e.message ?: "invalid schedule")))
+            }
             val rescheduled = if (req.schedule != null) jobScheduler.scheduleNext(updated) else updated
             jobRepository.save(rescheduled)
             call.respond(rescheduled)
@@ -100,12 +220,18 @@ class SchedulerController(
             call.respond(mapOf("success" to true))
         }
 
-        // 수동 즉시 실행
+        // 수동 즉시 실행 — body(선택): { params: { 이름: 값 } }
         route.post("/jobs/{id}/trigger") {
             val id = call.parameters["id"] ?: return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to "id required"))
-            val triggered = jobScheduler.triggerNow(id)
-            if (triggered) call.respond(mapOf("triggered" to true))
-            else call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found"))
+            val job = jobRepository.load(id) ?: return@post call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found"))
+            val req = if (call.request.contentType().match(ContentType.Application.Json)) call.receive<TriggerJobRequest>() else TriggerJobRequest()
+            val missing = jobScheduler.missingParams(job, req.params)
+            if (missing.isNotEmpty()) {
+                return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to "값이 없는 파라미터: ${missing.joinToString()}"))
+            }
+            val executionId = jobScheduler.triggerNow(id, req.params)
+                ?: return@post call.respond(HttpStatusCode.Conflict, mapOf("error" to "이미 실행 중입니다"))
+            call.respond(TriggerJobResponse(triggered = true, executionId = executionId))
         }
     }
 }
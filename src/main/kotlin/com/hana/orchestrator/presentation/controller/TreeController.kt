@@ -16,7 +16,9 @@ import kotlinx.serialization.Serializable
 @Serializable
 data class TreeActionRequest(
     val query: String,
-    val tree: ExecutionTreeResponse
+    val tree: ExecutionTreeResponse,
+    val executionId: String? = null,  // 선택: 실행 보기에서 WebSocket 노드 상태와 연결할 ID
+    val pinnedResults: Map<String, String> = emptyMap()  // 선택: 포크 — nodeId → 이전 실행 결과 (재실행 생략)
 )
 
 @Serializable
@@ -51,8 +53,9 @@ class TreeController(
             try {
                 val request = call.receive<TreeActionRequest>()
                 val tree = request.tree.toDomain()
-                val result = orchestrator.executeCustomTree(request.query, tree)
-                val response = ExecutionResultMapper.toChatResponse(result)
+                var executionId: String? = null
+                val result = orchestrator.executeCustomTree(request.query, tree, request.executionId, request.pinnedResults) { executionId = it }
+                val response = ExecutionResultMapper.toChatResponse(result, executionId)
                 call.respond(response)
             } catch (e: Exception) {
                 call.respond(mapOf("error" to e.message))
@@ -62,14 +65,17 @@ class TreeController(
         route.post("/trees/save") {
             try {
                 val request = call.receive<SaveTreeRequest>()
+                if (!treeRepository.canSave(request.name)) {
+                    return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to "트리 이름은 문자·숫자로 시작하고 문자·숫자·공백·_ . - 만 쓸 수 있습니다"))
+                }
                 val savedTree = SavedTree(
                     name = request.name,
                     query = request.query,
                     savedAt = System.currentTimeMillis(),
                     tree = request.tree
                 )
-                treeRepository.save(savedTree)
-                call.respond(mapOf("success" to "true", "name" to request.name))
+                val saved = treeRepository.save(savedTree)
+                call.respond(mapOf("success" to "true", "name" to request.name, "version" to saved.version.toString()))
             } catch (e: Exception) {
                 call.respond(HttpStatusCode.InternalServerError, mapOf("error" to e.message))
             }
@@ -80,17 +86,44 @@ class TreeController(
         }
 
         route.get("/trees/{name}") {
-            val name = call.parameters["name"] ?: return@get call.respond(
-                HttpStatusCode.BadRequest, mapOf("error" to "name required")
-            )
+            val name = call.parameters["name"]
+                ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "invalid tree name"))
             val tree = treeRepository.load(name)
                 ?: return@get call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found: $name"))
             call.respond(tree)
         }
 
+        route.get("/trees/{name}/versions") {
+            val name = call.parameters["name"]
+                ?: return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "invalid tree name"))
+            call.respond(treeRepository.versions(name))
+        }
+
+        route.get("/trees/{name}/versions/{version}") {
+            val name = call.parameters["name"]
+            val version = call.parameters["version"]?.toIntOrNull()
+            if (name == null || version == null) {
+                return@get call.respond(HttpStatusCode.BadRequest, mapOf("error" to "valid name and numeric version required"))
+            }
+            val tree = treeRepository.loadVersion(name, version)
+                ?: return@get call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found: $name v$version"))
+            call.respond(tree)
+        }
+
+        route.post("/trees/{name}/versions/{version}/restore") {
+            val name = call.parameters["name"]
+            val version = call.parameters["version"]?.toIntOrNull()
+            if (name == null || version == null) {
+                return@post call.respond(HttpStatusCode.BadRequest, mapOf("error" to "valid name and numeric version required"))
+            }
+            val restored = treeRepository.restore(name, version)
+                ?: return@post call.respond(HttpStatusCode.NotFound, mapOf("error" to "not found: $name v$version"))
+            call.respond(restored)
+        }
+
         route.delete("/trees/{name}") {
             val name = call.parameters["name"]
-                ?: return@delete call.respond(HttpStatusCode.BadRequest, mapOf("error" to "name required"))
+                ?: return@delete call.respond(HttpStatusCode.BadRequest, mapOf("error" to "invalid tree name"))
             treeRepository.delete(name)
             call.respond(mapOf("success" to true))
         }
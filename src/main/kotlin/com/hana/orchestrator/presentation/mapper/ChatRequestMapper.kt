@@ -8,6 +8,11 @@ import com.hana.orchestrator.domain.dto.ChatDto
  */
 object ChatRequestMapper {
     fun toDto(request: ChatRequest): ChatDto {
-        return ChatDto(message = request.message, context = request.context, mode = request.mode)
+        return ChatDto(
+            message = request.message,
+            context = request.context,
+            mode = request.mode,
+            executionId = request.executionId
+        )
     }
 }
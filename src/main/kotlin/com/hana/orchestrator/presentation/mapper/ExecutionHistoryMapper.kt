@@ -2,10 +2,15 @@ package com.hana.orchestrator.presentation.mapper
 
 import com.hana.orchestrator.domain.entity.ExecutionHistory
 import com.hana.orchestrator.presentation.mapper.ExecutionTreeMapper.toResponse
+import com.hana.orchestrator.presentation.model.execution.ApprovalWaitSpanResponse
+import com.hana.orchestrator.presentation.model.execution.ExecutionDetailResponse
 import com.hana.orchestrator.presentation.model.execution.ExecutionHistoryResponse
+import com.hana.orchestrator.presentation.model.execution.ExecutionStepResponse
 import com.hana.orchestrator.presentation.model.execution.ExecutionState
 import com.hana.orchestrator.presentation.model.execution.ExecutionTreeResponse
+import com.hana.orchestrator.presentation.model.execution.ExecutionTreeNodeResponse
 import com.hana.orchestrator.presentation.model.execution.NodeResultState
+import com.hana.orchestrator.presentation.model.execution.NodeResultSummaryResponse
 
 /**
  * ExecutionHistory → Presentation Model 변환
@@ -41,10 +46,52 @@ object ExecutionHistoryMapper {
             failedNodes = state.failedNodes,
             runningNodes = state.runningNodes,
             logs = state.logs,
-            executionTree = tree
+            executionTree = tree,
+            mode = mode
         )
     }
     
+    /**
+     * ExecutionHistory → ExecutionDetailResponse (실행 비교용 상세)
+     */
+    fun ExecutionHistory.toExecutionDetailResponse(): ExecutionDetailResponse {
+        return ExecutionDetailResponse(
+            execution = toExecutionHistoryResponse(),
+            durationMs = duration,
+            nodeResults = nodeResults.map {
+                NodeResultSummaryResponse(
+                    nodeId = it.nodeId,
+                    layerName = it.layerName,
+                    function = it.function,
+                    status = it.status,
+                    result = it.result,
+                    resultTruncated = it.resultTruncated,
+                    error = it.error,
+                    startedAt = it.startedAt,
+                    endedAt = it.endedAt,
+                    args = it.args,
+                    approvalWaits = it.approvalWaits.map { w ->
+                        ApprovalWaitSpanResponse(startedAt = w.startedAt, endedAt = w.endedAt, approved = w.approved)
+                    }
+                )
+            },
+            steps = result.stepHistory.map { step ->
+                val functions = mutableListOf<String>()
+                fun walk(node: ExecutionTreeNodeResponse) {
+                    functions.add("${node.layerName}.${node.function}")
+                    node.children.forEach { walk(it) }
+                }
+                step.tree?.rootNodes?.forEach { walk(it) }
+                ExecutionStepResponse(
+                    stepNumber = step.stepNumber,
+                    reasoning = step.reasoning,
+                    functions = functions,
+                    result = step.result
+                )
+            }
+        )
+    }
+
     /**
      * 공통 변환 로직 추출
      * DRY: 중복 코드 제거
@@ -8,9 +8,9 @@ import com.hana.orchestrator.presentation.model.chat.ChatResponse
  * Domain Entity → Presentation Response 변환
  */
 object ExecutionResultMapper {
-    fun toChatResponse(result: ExecutionResult): ChatResponse {
+    fun toChatResponse(result: ExecutionResult, executionId: String? = null): ChatResponse {
         val tree = result.stepHistory.takeIf { it.isNotEmpty() }
             ?.let { ReActTreeConverter.convert(it) }
-        return ChatResponse(results = listOf(result.result), tree = tree)
+        return ChatResponse(results = listOf(result.result), tree = tree, executionId = executionId)
     }
 }
@@ -7,10 +7,12 @@ import kotlinx.serialization.Serializable
  *
  * @param context 선택. workingDirectory·projectRoot는 오케스트레이터가 요청 시 서버 cwd로 자동 설정함.
  *   호출자가 넣어 줄 수 있는 것: currentFile, selection, projectRoot(서버와 다른 프로젝트일 때) 등.
+ * @param executionId 선택. 클라이언트가 미리 생성한 실행 ID — 응답 전에 WebSocket 진행 상태와 연결하기 위함.
  */
 @Serializable
 data class ChatRequest(
     val message: String,
     val context: Map<String, String> = emptyMap(),
-    val mode: String = "reactive"   // "reactive" (기본) | "tree" (레거시)
+    val mode: String = "reactive",  // "reactive" (기본) | "tree" (레거시)
+    val executionId: String? = null
 )
@@ -6,5 +6,6 @@ import kotlinx.serialization.Serializable
 @Serializable
 data class ChatResponse(
     val results: List<String>,
-    val tree: ExecutionTreeResponse? = null  // ReAct 히스토리 기반 트리 (사용자가 명시적으로 저장 가능)
+    val tree: ExecutionTreeResponse? = null,  // ReAct 히스토리 기반 트리 (사용자가 명시적으로 저장 가능)
+    val executionId: String? = null           // 이 요청이 만든 실행 ID (대화 기록 ↔ 실행 이력 연결용)
 )
@@ -41,7 +41,8 @@ data class ExecutionHistoryResponse(
     val failedNodes: Int = 0,
     val runningNodes: Int = 0,
     val logs: List<String> = emptyList(),
-    val executionTree: ExecutionTreeResponse? = null
+    val executionTree: ExecutionTreeResponse? = null,
+    val mode: String = "reactive"
 )
 
 @Serializable
@@ -49,3 +50,52 @@ data class ExecutionHistoryListResponse(
     val history: List<ExecutionHistoryResponse>,
     val current: ExecutionHistoryResponse? = null
 )
+
+@Serializable
+data class NodeResultSummaryResponse(
+    val nodeId: String? = null,
+    val layerName: String,
+    val function: String,
+    val status: String,
+    val result: String? = null,
+    val resultTruncated: Boolean = false,
+    val error: String? = null,
+    val startedAt: Long? = null,
+    val endedAt: Long? = null,
+    val args: Map<String, String> = emptyMap(),
+    val approvalWaits: List<ApprovalWaitSpanResponse> = emptyList()
+)
+
+@Serializable
+data class ApprovalWaitSpanResponse(
+    val startedAt: Long,
+    val endedAt: Long,
+    val approved: Boolean
+)
+
+@Serializable
+data class ExecutionStepResponse(
+    val stepNumber: Int,
+    val reasoning: String,
+    val functions: List<String> = emptyList(),  // 스텝 미니트리의 layer.function (실행 순)
+    val result: String
+)
+
+/**
+ * 실행 단건 상세 (실행 비교 화면용) — 목록 응답에 없는 노드 결과·ReAct 스텝 포함
+ */
+@Serializable
+data class ExecutionDetailResponse(
+    val execution: ExecutionHistoryResponse,
+    val durationMs: Long? = null,
+    val nodeResults: List<NodeResultSummaryResponse> = emptyList(),
+    val steps: List<ExecutionStepResponse> = emptyList()
+)
+
+@Serializable
+data class ExecutionSearchResponse(
+    val items: List<ExecutionHistoryResponse>,
+    val nextCursor: String? = null,
+    val total: Int = 0,
+    val functions: List<String> = emptyList()
+)
@@ -40,7 +40,30 @@ data class ProgressUpdate(
     val message: String,
     val progress: Int = 0,  // 0-100
     val elapsedMs: Long = 0,
-    val query: String? = null
+    val query: String? = null,
+    val stepDetail: StepProgress? = null  // ReAct 스텝 단위 상세 (채팅 스트리밍용)
+)
+
+/**
+ * ReAct 스텝 진행 상세 — 선택된 미니트리(layer.function + args)와 스텝 결과
+ * result == null 이면 실행 중인 스텝
+ */
+@Serializable
+data class StepProgress(
+    val step: Int,
+    val tree: ExecutionTreeResponse? = null,
+    val result: String? = null
+)
+
+/**
+ * 트리 실행 중 노드 상태 스냅샷 (트리 편집기 실행 보기용)
+ * 노드 상태가 바뀔 때마다 해당 실행의 전체 nodeResults 를 전송
+ */
+@Serializable
+data class NodeStatusUpdate(
+    val executionId: String,
+    val nodeResults: Map<String, NodeResultState>,
+    val type: String = "NODE_STATUS"
 )
 
 @Serializable
@@ -34,6 +34,8 @@ let hoveredEdgeId = null;       // 호버 중인 엣지 id
 let edgeHideTimeout = null;     // 엣지 X버튼 hide 딜레이 타이머
 let currentNodeResults = {};    // 현재 트리의 노드 실행 결과 (P3)
 let treeIsLoadedClean = false;  // true: 저장/이력에서 불러온 미수정 트리 → 검토 없이 바로 실행 가능
+let treeRunExecutionId = null;  // 실행 보기 중인 executionId (WebSocket NODE_STATUS 필터)
+let treeRunPulseTimer = null;   // RUNNING 노드 깜빡임 타이머
 
 function showTreeVisualization(executionTree, nodeResults) {
     if (!executionTree || !executionTree.rootNodes || executionTree.rootNodes.length === 0) {
@@ -73,6 +75,8 @@ function findExecutionDataByTree(executionTree) {
 
 function closeTreeModal() {
     treeIsLoadedClean = false;
+    treeForkPicking = false;
+    stopTreeRunView();
     document.getElementById('treeModal').style.display = 'none';
     document.getElementById('nodeContextMenu').style.display = 'none';
     closeNodeEditor();
@@ -101,7 +105,6 @@ function showNodeEditor(nodeId) {
     const layerName = node.data('layerName');
     const fnName = node.data('function');
     const currentArgs = node.data('args') || {};
-    const hasParent = cyInstance.edges().filter(e => e.data('target') === nodeId).length > 0;
 
     document.getElementById('nodeEditorTitle').textContent = `${layerName}.${fnName}`;
 
@@ -131,24 +134,40 @@ function showNodeEditor(nodeId) {
     } else {
         fields.innerHTML = paramEntries.map(([pName, pInfo]) => {
             const required = pInfo.required !== false;
-            const currentVal = currentArgs[pName] !== undefined ? currentArgs[pName] : '';
-            const parentBtn = hasParent
-                ? `<button type="button" class="btn-parent-use" onclick="document.getElementById('argInput_${pName}').value='{{parent}}'"
-                     title="부모 실행 결과를 이 인자로 사용">↑부모</button>`
+            const currentVal = currentArgs[pName] !== undefined ? String(currentArgs[pName]) : '';
+            const kind = argEditorKind(pName, pInfo, currentVal);
+            const parentBtn = kind === 'text' || kind === 'code'
+                ? `<button type="button" class="btn-parent-use" onclick="toggleBindingPicker('${nodeId}', '${pName}')"
+                     title="다른 노드 결과 / 컨텍스트 값을 이 인자로 연결">🔗 연결</button>`
                 : '';
-            return `<div class="node-field">
+            return `<div class="node-field" data-param="${escapeHtml(pName)}">
                 <label>${pName}
-                    <span class="field-meta ${required ? 'field-required' : 'field-optional'}">${required ? '필수' : '선택'} · ${pInfo.type}</span>
+                    <span class="field-meta ${required ? 'field-required' : 'field-optional'}">${required ? '필수' : '선택'} · ${escapeHtml(pInfo.type)}</span>
                 </label>
-                <div style="display:flex; gap:4px; align-items:center;">
-                    <input type="text" id="argInput_${pName}" value="${escapeHtml(String(currentVal))}"
-                           placeholder="${pInfo.defaultValue || ''}">
+                <div style="display:flex; gap:4px; align-items:${kind === 'code' ? 'flex-start' : 'center'};">
+                    ${renderArgEditor(pName, pInfo, kind, currentVal)}
                     ${parentBtn}
                 </div>
+                ${pInfo.description ? `<div class="field-help">${escapeHtml(pInfo.description)}</div>` : ''}
+                <div class="binding-picker" id="bindingPicker_${pName}" style="display:none;"></div>
             </div>`;
         }).join('');
     }
 
+    // 자식 실행 방식 토글 (즉시 적용)
+    const childCount = treeEdges().filter(e => e.data('source') === nodeId).length;
+    fields.innerHTML += `
+        <div class="node-field" style="margin-top:8px;border-top:1px solid var(--border);padding-top:8px;">
+            <label style="display:flex;align-items:center;gap:6px;cursor:pointer;">
+                <input type="checkbox" id="nodeParallel" ${node.data('parallel') ? 'checked' : ''}
+                       onchange="setNodeParallel('${nodeId}', this.checked)">
+                <span>⇉ 자식 병렬 실행 (parallel)</span>
+            </label>
+            <p style="font-size:10px;color:var(--text-3);margin:2px 0 0 22px;">
+                ${childCount < 2 ? '자식이 2개 이상일 때 의미가 있습니다' : `자식 ${childCount}개를 ${node.data('parallel') ? '동시에' : '순서대로'} 실행합니다`}
+            </p>
+        </div>`;
+
     // autoApprove 토글
     const autoApprove = node.data('autoApprove') || false;
     fields.innerHTML += `
@@ -160,15 +179,117 @@ function showNodeEditor(nodeId) {
             <p style="font-size:10px;color:var(--text-3);margin:2px 0 0 22px;">체크 시 이 노드는 승인 없이 즉시 실행됩니다</p>
         </div>`;
 
+    // 포크로 고정된 노드: 이전 결과 표시 + 고정 해제
+    if (node.hasClass('pinned')) {
+        fields.insertAdjacentHTML('afterbegin', `
+            <div class="node-result-block node-pinned-block">
+                <div class="node-result-label">📌 이전 실행 결과로 고정 — 실행 시 호출하지 않음</div>
+                <pre class="node-result-pre">${escapeHtml(node.data('pinnedResult') || '')}</pre>
+                <button type="button" class="btn-ghost" onclick="unpinForkNode('${nodeId}')">고정 해제 (다시 실행)</button>
+            </div>`);
+    }
+
     document.getElementById('nodeEditorPanel').style.display = 'block';
 }
 
+// ── 타입별 인자 위젯 (ParameterInfo.type 기준) ──
+const ARG_CODE_NAME_PATTERN = /code|content|source|script|body|prompt|template/i;
+
+/** 위젯 종류: number | bool | list | code | text. 플레이스홀더 값은 그대로 보존하도록 text */
+function argEditorKind(pName, pInfo, currentVal) {
+    const type = pInfo.type || '';
+    if (currentVal.includes('{{')) return currentVal.includes('\n') ? 'code' : 'text';
+    if (['Int', 'Long', 'Double', 'Float'].includes(type)) return 'number';
+    if (type === 'Boolean') return 'bool';
+    if (type.includes('List')) return 'list';
+    if (ARG_CODE_NAME_PATTERN.test(pName) || currentVal.length > 60 || currentVal.includes('\n')) return 'code';
+    return 'text';
+}
+
+function renderArgEditor(pName, pInfo, kind, currentVal) {
+    const id = `argInput_${pName}`;
+    const placeholder = escapeHtml(pInfo.defaultValue || '');
+    switch (kind) {
+        case 'number': {
+            const step = ['Double', 'Float'].includes(pInfo.type) ? 'any' : '1';
+            return `<input type="number" id="${id}" data-kind="number" data-type="${pInfo.type}" step="${step}"
+                           value="${escapeHtml(currentVal)}" placeholder="${placeholder}">`;
+        }
+        case 'bool': {
+            const checked = (currentVal || pInfo.defaultValue || 'false') === 'true';
+            return `<label class="arg-toggle"><input type="checkbox" id="${id}" data-kind="bool" ${checked ? 'checked' : ''}
+                               onchange="this.nextElementSibling.textContent = this.checked">
+                        <span>${checked ? 'true' : 'false'}</span></label>`;
+        }
+        case 'list':
+            return `<div class="arg-list" id="${id}" data-kind="list">
+                ${parseListArgValue(currentVal).map(v => renderArgListRow(v)).join('')}
+                <button type="button" class="arg-list-add" onclick="this.insertAdjacentHTML('beforebegin', renderArgListRow(''))">＋ 항목</button>
+            </div>`;
+        case 'code':
+            return `<textarea id="${id}" data-kind="code" class="arg-code" rows="6" spellcheck="false"
+                              placeholder="${placeholder}">${escapeHtml(currentVal)}</textarea>`;
+        default:
+            return `<input type="text" id="${id}" data-kind="text" value="${escapeHtml(currentVal)}" placeholder="${placeholder}">`;
+    }
+}
+
+function renderArgListRow(value) {
+    return `<div class="arg-list-row">
+        <input type="text" value="${escapeHtml(value)}">
+        <button type="button" onclick="this.parentElement.remove()" title="항목 삭제">✕</button>
+    </div>`;
+}
+
+/** 저장된 List 인자 → 배열. JSON 배열 우선, 서버 toString 형식([a, b])도 허용 */
+function parseListArgValue(value) {
+    if (!value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed.map(String);
+    } catch (_) {}
+    return value.replace(/^\[|\]$/g, '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/** 위젯 값 읽기 + 검증. { value, error } — value가 ''이면 인자 생략 */
+function readArgEditor(input, pInfo) {
+    switch (input.dataset.kind) {
+        case 'number': {
+            const raw = input.value.trim();
+            if (raw === '') return { value: '' };
+            const num = Number(raw);
+            if (!Number.isFinite(num)) return { error: '숫자가 아닙니다' };
+            if (input.dataset.type !== 'Double' && input.dataset.type !== 'Float' && !Number.isInteger(num)) {
+                return { error: '정수를 입력하세요' };
+            }
+            return { value: String(num) };
+        }
+        case 'bool': {
+            const v = input.checked ? 'true' : 'false';
+            // 선택 인자가 기본값과 같으면 생략
+            const isDefault = pInfo.required === false && v === (pInfo.defaultValue || 'false');
+            return { value: isDefault ? '' : v };
+        }
+        case 'list': {
+            const items = [...input.querySelectorAll('.arg-list-row input')].map(i => i.value.trim()).filter(Boolean);
+            return { value: items.length > 0 ? JSON.stringify(items) : '' };
+        }
+        case 'code':
+            return { value: input.value.trim() === '' ? '' : input.value };
+        default:
+            return { value: input.value.trim() };
+    }
+}
+
 function closeNodeEditor() {
     document.getElementById('nodeEditorPanel').style.display = 'none';
 }
 
-/** 트리가 수정될 때마다 호출 — 검증된 트리였으면 실행 버튼 비활성화 */
-function markModified() {
+/** 트리가 수정될 때마다 호출 — 검증된 트리였으면 실행 버튼 비활성화. before: 수정 전 스냅샷 (undo 스택에 적재) */
+function markModified(before) {
+    if (before) pushTreeUndo(before);
+    refreshParallelStyles();
+    refreshBindingEdges();
     treeIsLoadedClean = false;
     const btn = document.getElementById('executeTreeBtn');
     if (!btn.disabled) {
@@ -180,13 +301,224 @@ function markModified() {
     }
 }
 
+// ── 실행 취소 / 다시 실행 (편집 스냅샷 스택) ──
+const treeUndoStack = [];
+const treeRedoStack = [];
+const TREE_HISTORY_LIMIT = 100;
+
+/** 현재 편집 상태 스냅샷: 요소(data·position·classes — args/autoApprove 포함) + 실행 가능 상태 */
+function snapshotTreeEdit() {
+    const review = document.getElementById('reviewResult');
+    return {
+        elements: cyInstance.elements().jsons(),
+        clean: treeIsLoadedClean,
+        executable: !document.getElementById('executeTreeBtn').disabled,
+        reviewText: review.textContent,
+        reviewColor: review.style.color
+    };
+}
+
+function pushTreeUndo(snapshot) {
+    treeUndoStack.push(snapshot);
+    if (treeUndoStack.length > TREE_HISTORY_LIMIT) treeUndoStack.shift();
+    treeRedoStack.length = 0;
+    updateTreeHistoryButtons();
+}
+
+function resetTreeHistory() {
+    treeUndoStack.length = 0;
+    treeRedoStack.length = 0;
+    updateTreeHistoryButtons();
+}
+
+/** 스냅샷 복원 — 불러온 상태까지 되돌리면 treeIsLoadedClean·실행 버튼도 복원 */
+function restoreTreeEdit(snapshot) {
+    cyInstance.elements().remove();
+    cyInstance.add(snapshot.elements);
+    treeIsLoadedClean = snapshot.clean;
+    const btn = document.getElementById('executeTreeBtn');
+    btn.disabled = !snapshot.executable;
+    btn.style.opacity = snapshot.executable ? '1' : '0.5';
+    const review = document.getElementById('reviewResult');
+    review.textContent = snapshot.reviewText;
+    review.style.color = snapshot.reviewColor;
+    refreshParallelStyles();
+    refreshBindingEdges();
+    applyNodeResultStyles(currentNodeResults);
+    if (selectedNodeId && cyInstance.getElementById(selectedNodeId).length === 0) selectedNodeId = null;
+    closeNodeEditor();
+}
+
+function undoTreeEdit() {
+    if (!cyInstance || treeUndoStack.length === 0) return;
+    treeRedoStack.push(snapshotTreeEdit());
+    restoreTreeEdit(treeUndoStack.pop());
+    updateTreeHistoryButtons();
+}
+
+function redoTreeEdit() {
+    if (!cyInstance || treeRedoStack.length === 0) return;
+    treeUndoStack.push(snapshotTreeEdit());
+    restoreTreeEdit(treeRedoStack.pop());
+    updateTreeHistoryButtons();
+}
+
+function updateTreeHistoryButtons() {
+    const undoBtn = document.getElementById('treeUndoBtn');
+    const redoBtn = document.getElementById('treeRedoBtn');
+    if (undoBtn) undoBtn.disabled = treeUndoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = treeRedoStack.length === 0;
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (트리 편집기 열려 있고 입력 필드 포커스가 아닐 때만)
+document.addEventListener('keydown', e => {
+    if (document.getElementById('treeModal').style.display !== 'flex') return;
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest('input, textarea, select')) return;
+    e.preventDefault();
+    if (e.shiftKey) redoTreeEdit(); else undoTreeEdit();
+});
+
+// ── 병렬/순차 실행 토글 ──
+
+/** 노드의 자식 실행 방식 변경 (undo 가능) */
+function setNodeParallel(nodeId, parallel) {
+    const node = cyInstance && cyInstance.getElementById(nodeId);
+    if (!node || node.length === 0 || !!node.data('parallel') === parallel) return;
+    const before = snapshotTreeEdit();
+    node.data('parallel', parallel);
+    markModified(before);
+    if (document.getElementById('nodeEditorPanel').style.display === 'block' && selectedNodeId === nodeId) {
+        showNodeEditor(nodeId);
+    }
+}
+
+function toggleSelectedNodeParallel() {
+    if (!selectedNodeId || !cyInstance) return;
+    setNodeParallel(selectedNodeId, !cyInstance.getElementById(selectedNodeId).data('parallel'));
+    hideContextMenu();
+}
+
+/** 병렬 노드 표시: 노드 이중 테두리 + 자식 엣지 점선 (트리 변경 후마다 갱신) */
+function refreshParallelStyles() {
+    if (!cyInstance) return;
+    cyInstance.nodes().forEach(n => n.toggleClass('parallel-node', !!n.data('parallel')));
+    treeEdges().forEach(e => {
+        const src = cyInstance.getElementById(e.data('source'));
+        e.toggleClass('parallel-edge', !!src.data('parallel'));
+    });
+}
+
+// ── 데이터 흐름 바인딩 ({{parent}} / {{nodeId:X|path}} / {{context:key}}) ──
+const NODE_REF_PATTERN = /\{\{nodeId:([^}|]+)(?:\|([^}]+))?\}\}/g;
+
+/** 트리 구조 엣지만 (바인딩 점선 엣지 제외) */
+function treeEdges() {
+    return cyInstance.edges('[!binding]');
+}
+
+/** 노드의 조상 목록 (가까운 순) */
+function nodeAncestors(nodeId) {
+    const ancestors = [];
+    let cur = nodeId;
+    for (;;) {
+        const parentEdge = treeEdges().filter(e => e.data('target') === cur).first();
+        if (parentEdge.length === 0) break;
+        cur = parentEdge.data('source');
+        if (ancestors.includes(cur)) break;
+        ancestors.push(cur);
+    }
+    return ancestors;
+}
+
+/** args 안 {{nodeId:X}} 참조마다 X → 노드 점선 엣지 (트리 변경 후마다 재구성) */
+function refreshBindingEdges() {
+    if (!cyInstance) return;
+    cyInstance.edges('[?binding]').remove();
+    cyInstance.nodes().forEach(node => {
+        const refs = new Set();
+        Object.values(node.data('args') || {}).forEach(v => {
+            for (const m of String(v).matchAll(NODE_REF_PATTERN)) refs.add(m[1].trim());
+        });
+        refs.forEach(ref => {
+            if (cyInstance.getElementById(ref).length === 0) return; // 끊긴 참조는 검토 전 검증에서 표시
+            cyInstance.add({ data: { id: `bind_${ref}_${node.id()}`, source: ref, target: node.id(), binding: true } });
+        });
+    });
+}
+
+/** 끊긴 참조 검사: 없는 노드 참조, 루트 노드의 {{parent}} */
+function findDanglingBindings() {
+    const problems = [];
+    cyInstance.nodes().forEach(node => {
+        const name = `${node.data('layerName')}.${node.data('function')}`;
+        const isRoot = treeEdges().filter(e => e.data('target') === node.id()).length === 0;
+        Object.entries(node.data('args') || {}).forEach(([arg, v]) => {
+            const value = String(v);
+            for (const m of value.matchAll(NODE_REF_PATTERN)) {
+                if (cyInstance.getElementById(m[1].trim()).length === 0) {
+                    problems.push(`${name}.${arg}: 없는 노드 '${m[1].trim()}' 참조`);
+                }
+            }
+            if (isRoot && value.includes('{{parent}}')) problems.push(`${name}.${arg}: 루트 노드는 {{parent}} 사용 불가`);
+        });
+    });
+    return problems;
+}
+
+function toggleBindingPicker(nodeId, pName) {
+    const picker = document.getElementById(`bindingPicker_${pName}`);
+    if (picker.style.display !== 'none') { picker.style.display = 'none'; return; }
+    const ancestors = nodeAncestors(nodeId);
+    const options = ancestors.map((id, i) => {
+        const n = cyInstance.getElementById(id);
+        const label = i === 0 ? `부모 — ${n.data('layerName')}.${n.data('function')}` : `${i + 1}대 위 — ${n.data('layerName')}.${n.data('function')}`;
+        return `<option value="node:${escapeHtml(id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    picker.innerHTML = `
+        <select class="binding-source" onchange="this.parentElement.querySelector('.binding-path').placeholder =
+                this.value === 'context' ? '컨텍스트 키 (필수)' : 'JSON 경로 (선택, 예: files[0].path)'">
+            ${ancestors.length > 0 ? `<option value="parent">{{parent}} — 부모 결과 전체</option>` : ''}
+            ${options}
+            <option value="context">컨텍스트 키 (ContextLayer)</option>
+        </select>
+        <input type="text" class="binding-path" placeholder="${ancestors.length > 0 ? 'JSON 경로 (선택, 예: files[0].path)' : '컨텍스트 키 (필수)'}">
+        <button type="button" class="btn-parent-use" onclick="insertBinding('${pName}')">삽입</button>`;
+    picker.style.display = 'flex';
+}
+
+/** 선택한 바인딩 플레이스홀더를 입력 커서 위치에 삽입 */
+function insertBinding(pName) {
+    const picker = document.getElementById(`bindingPicker_${pName}`);
+    const source = picker.querySelector('.binding-source').value;
+    const path = picker.querySelector('.binding-path').value.trim();
+    let placeholder;
+    if (source === 'context') {
+        if (!path) { alert('컨텍스트 키를 입력하세요.'); return; }
+        placeholder = `{{context:${path}}}`;
+    } else if (source === 'parent' && !path) {
+        placeholder = '{{parent}}';
+    } else {
+        // 부모 + JSON 경로는 부모 노드 id 참조로 변환 ({{parent}}는 경로 미지원)
+        const refId = source === 'parent' ? nodeAncestors(selectedNodeId)[0] : source.slice('node:'.length);
+        placeholder = path ? `{{nodeId:${refId}|${path}}}` : `{{nodeId:${refId}}}`;
+    }
+    const input = document.getElementById(`argInput_${pName}`);
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + placeholder + input.value.slice(end);
+    input.focus();
+    picker.style.display = 'none';
+}
+
 // 선택된 노드를 부모에서 분리 (루트로 만들기)
 function detachFromParent() {
     if (!selectedNodeId || !cyInstance) return;
-    const parentEdges = cyInstance.edges().filter(e => e.data('target') === selectedNodeId);
+    const parentEdges = treeEdges().filter(e => e.data('target') === selectedNodeId);
     if (parentEdges.length === 0) { alert('이미 루트 노드입니다.'); return; }
+    const before = snapshotTreeEdit();
     parentEdges.remove();
-    markModified();
+    markModified(before);
     cyInstance.layout({ name: 'dagre', rankDir: 'TB', nodeSep: 60, rankSep: 80, padding: 30 }).run();
     showNodeEditor(selectedNodeId); // 편집기 갱신 (↑부모 버튼 제거)
     hideContextMenu();
@@ -202,12 +534,28 @@ function applyNodeArgs() {
     const layer = treeEditorLayers.find(l => l.name === layerName);
     const params = layer?.functionDetails?.[fnName]?.parameters || {};
 
+    // 타입별 위젯 값 읽기 + 필수/형식 검증 — 오류가 있으면 적용 중단
     const newArgs = {};
-    Object.keys(params).forEach(pName => {
+    let hasError = false;
+    Object.entries(params).forEach(([pName, pInfo]) => {
         const input = document.getElementById(`argInput_${pName}`);
-        if (input && input.value.trim() !== '') newArgs[pName] = input.value.trim();
+        if (!input) return;
+        const field = input.closest('.node-field');
+        field.querySelector('.field-error')?.remove();
+        field.classList.remove('field-invalid');
+        let { value, error } = readArgEditor(input, pInfo);
+        if (!error && pInfo.required !== false && value === '') error = '필수 인자입니다';
+        if (error) {
+            hasError = true;
+            field.classList.add('field-invalid');
+            field.insertAdjacentHTML('beforeend', `<div class="field-error">${escapeHtml(error)}</div>`);
+            return;
+        }
+        if (value !== '') newArgs[pName] = value;
     });
+    if (hasError) return;
 
+    const before = snapshotTreeEdit();
     node.data('args', newArgs);
     const autoApproveChk = document.getElementById('nodeAutoApprove');
     const autoApprove = autoApproveChk ? autoApproveChk.checked : false;
@@ -217,12 +565,14 @@ function applyNodeArgs() {
     const autoApproveBadge = autoApprove ? ' 🔓' : '';
     node.data('label', `${layerName}.${fnName}${argsStr ? '\n' + argsStr : ''}${autoApproveBadge}`);
 
-    markModified();
+    markModified(before);
     closeNodeEditor();
 }
 
 // ── Cytoscape 초기화 ──
 function initCytoscape(executionTree) {
+    stopTreeRunView();
+    resetTreeHistory();
     if (cyInstance) { cyInstance.destroy(); cyInstance = null; }
 
     const elements = treeToElements(executionTree);
@@ -243,10 +593,11 @@ function initCytoscape(executionTree) {
         showContextMenu(e.originalEvent.clientX, e.originalEvent.clientY);
     });
 
-    // 클릭: 노드 선택 + args 편집기 표시
+    // 클릭: 노드 선택 + args 편집기 표시 (포크 시작점 선택 중이면 포크 적용)
     cyInstance.on('tap', 'node', e => {
         selectedNodeId = e.target.id();
-        showNodeEditor(selectedNodeId);
+        if (treeForkPicking) applyForkAt(selectedNodeId);
+        else showNodeEditor(selectedNodeId);
     });
 
     // 빈 캔버스 클릭: 편집기 닫기
@@ -271,7 +622,7 @@ function initCytoscape(executionTree) {
     });
 
     // 엣지 호버: X 버튼 표시
-    cyInstance.on('mouseover', 'edge', e => {
+    cyInstance.on('mouseover', 'edge[!binding]', e => {
         clearTimeout(edgeHideTimeout);
         hoveredEdgeId = e.target.id();
         const src = cyInstance.getElementById(e.target.data('source'));
@@ -283,7 +634,7 @@ function initCytoscape(executionTree) {
         btn.style.top = my + 'px';
         btn.style.display = 'block';
     });
-    cyInstance.on('mouseout', 'edge', () => {
+    cyInstance.on('mouseout', 'edge[!binding]', () => {
         edgeHideTimeout = setTimeout(() => {
             document.getElementById('edgeDeleteBtn').style.display = 'none';
             hoveredEdgeId = null;
@@ -304,6 +655,11 @@ function initCytoscape(executionTree) {
     canvas.ondrop = e => {
         e.preventDefault();
         cyInstance.nodes().removeClass('drop-target');
+        // 파일 드롭: 트리 가져오기
+        if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+            importTreeFile(e.dataTransfer.files[0]);
+            return;
+        }
         try {
             const { layerName, fnName } = JSON.parse(e.dataTransfer.getData('text/plain'));
             const nodeUnder = getNodeAtScreenPos(e.clientX, e.clientY);
@@ -314,6 +670,9 @@ function initCytoscape(executionTree) {
 
     document.addEventListener('click', hideContextMenu);
 
+    refreshParallelStyles();
+    refreshBindingEdges();
+
     // 노드 실행 결과 색상 오버레이 (P3)
     applyNodeResultStyles(currentNodeResults);
 }
@@ -329,9 +688,45 @@ function applyNodeResultStyles(nodeResults) {
         const bg = colorMap[nr.status] || '#667eea';
         const border = borderMap[nr.status] || '#5a67d8';
         node.style({ 'background-color': bg, 'border-color': border });
+        // RUNNING: 깜빡임 대상, SKIPPED: 흐리게
+        node.toggleClass('nr-running', nr.status === 'RUNNING');
+        node.toggleClass('nr-skipped', nr.status === 'SKIPPED');
+        if (nr.status !== 'RUNNING') node.removeClass('pulse');
     });
 }
 
+// ── 실행 보기 (트리 실행 중 노드 상태 실시간 반영) ──
+
+/** 실행 보기 시작: 이전 결과 오버레이 초기화 + RUNNING 노드 깜빡임 타이머 */
+function startTreeRunView(executionId) {
+    treeRunExecutionId = executionId;
+    currentNodeResults = {};
+    if (cyInstance) {
+        cyInstance.nodes().removeStyle('background-color border-color').removeClass('nr-running nr-skipped pulse');
+        cyInstance.autoungrabify(true); // 실행 중 드래그 리패런팅 방지
+    }
+    clearInterval(treeRunPulseTimer);
+    treeRunPulseTimer = setInterval(() => {
+        if (cyInstance) cyInstance.nodes('.nr-running').toggleClass('pulse');
+    }, 600);
+}
+
+function stopTreeRunView() {
+    treeRunExecutionId = null;
+    clearInterval(treeRunPulseTimer);
+    treeRunPulseTimer = null;
+    if (cyInstance) cyInstance.autoungrabify(false);
+}
+
+/** WebSocket NODE_STATUS 수신: 실행 보기 중인 실행이면 노드 색상·결과 패널 갱신 */
+function updateTreeRunView(update) {
+    if (!treeRunExecutionId || update.executionId !== treeRunExecutionId) return;
+    currentNodeResults = update.nodeResults || {};
+    applyNodeResultStyles(currentNodeResults);
+    const panelOpen = document.getElementById('nodeEditorPanel').style.display === 'block';
+    if (panelOpen && selectedNodeId && currentNodeResults[selectedNodeId]) showNodeEditor(selectedNodeId);
+}
+
 // 화면 좌표 → Cytoscape 모델 좌표
 function screenToCyPos(clientX, clientY) {
     const canvas = document.getElementById('treeCanvas');
@@ -377,29 +772,31 @@ function reparentNode(draggedId, newParentId) {
     if (draggedId === newParentId) return;
 
     // newParent가 dragged의 직접 부모인 경우 → 방향 swap
-    const directParentEdge = cyInstance.edges().filter(e =>
+    const directParentEdge = treeEdges().filter(e =>
         e.data('source') === newParentId && e.data('target') === draggedId
     );
     if (directParentEdge.length > 0) {
         // dragged에 자식이 있으면 swap 불가
-        const hasChildren = cyInstance.edges().filter(e => e.data('source') === draggedId).length > 0;
+        const hasChildren = treeEdges().filter(e => e.data('source') === draggedId).length > 0;
         if (hasChildren) return;
+        const before = snapshotTreeEdit();
         directParentEdge.remove();
         cyInstance.add({ data: { id: `${draggedId}_${newParentId}_${Date.now()}`, source: draggedId, target: newParentId } });
-        markModified();
+        markModified(before);
         cyInstance.layout({ name: 'dagre', rankDir: 'TB', nodeSep: 60, rankSep: 80, padding: 30 }).run();
         return;
     }
 
     // 순환 방지: newParent가 dragged의 자손이면 중단
     if (isDescendant(newParentId, draggedId)) return;
+    const before = snapshotTreeEdit();
 
     // 기존 부모 엣지 제거
-    cyInstance.edges().filter(e => e.data('target') === draggedId).remove();
+    treeEdges().filter(e => e.data('target') === draggedId).remove();
 
     // 새 부모 엣지 추가
     cyInstance.add({ data: { id: `${newParentId}_${draggedId}_${Date.now()}`, source: newParentId, target: draggedId } });
-    markModified();
+    markModified(before);
 
     // 레이아웃 재정렬
     cyInstance.layout({ name: 'dagre', rankDir: 'TB', nodeSep: 60, rankSep: 80, padding: 30 }).run();
@@ -408,8 +805,9 @@ function reparentNode(draggedId, newParentId) {
 // 호버 중인 엣지 삭제
 function deleteHoveredEdge() {
     if (!hoveredEdgeId || !cyInstance) return;
+    const before = snapshotTreeEdit();
     cyInstance.getElementById(hoveredEdgeId).remove();
-    markModified();
+    markModified(before);
     document.getElementById('edgeDeleteBtn').style.display = 'none';
     hoveredEdgeId = null;
 }
@@ -423,7 +821,7 @@ function isDescendant(nodeId, ancestorId) {
         if (cur === nodeId) return true;
         if (visited.has(cur)) continue;
         visited.add(cur);
-        cyInstance.edges().filter(e => e.data('source') === cur)
+        treeEdges().filter(e => e.data('source') === cur)
             .forEach(e => queue.push(e.data('target')));
     }
     return false;
@@ -459,10 +857,46 @@ function cytoscapeStyle() {
             selector: 'node.new-node',
             style: { 'background-color': '#2f9e44', 'border-color': '#2b8a3e' }
         },
+        {
+            selector: 'node.nr-running',
+            style: { 'transition-property': 'border-width, border-opacity', 'transition-duration': '0.5s' }
+        },
+        {
+            selector: 'node.nr-running.pulse',
+            style: { 'border-width': 6, 'border-opacity': 0.4 }
+        },
+        {
+            selector: 'node.nr-skipped',
+            style: { 'opacity': 0.4 }
+        },
+        {
+            selector: 'node.pinned',
+            style: { 'background-color': '#868e96', 'border-color': '#495057', 'border-style': 'dashed' }
+        },
+        {
+            selector: 'node.unknown-node',
+            style: { 'background-color': '#fff5f5', 'color': '#c92a2a', 'border-color': '#e03131', 'border-style': 'dashed', 'border-width': 3 }
+        },
+        {
+            selector: 'node.diff-added',
+            style: { 'background-color': '#2f9e44', 'border-color': '#2b8a3e' }
+        },
+        {
+            selector: 'node.diff-removed',
+            style: { 'background-color': '#e03131', 'border-color': '#c92a2a', 'border-style': 'dashed' }
+        },
+        {
+            selector: 'node.diff-changed',
+            style: { 'background-color': '#f59f00', 'border-color': '#e67700' }
+        },
         {
             selector: 'node.drop-target',
             style: { 'background-color': '#f59f00', 'border-color': '#e67700', 'border-width': 3 }
         },
+        {
+            selector: 'node.parallel-node',
+            style: { 'border-style': 'double', 'border-width': 5 }
+        },
         {
             selector: 'edge',
             style: {
@@ -472,6 +906,30 @@ function cytoscapeStyle() {
                 'target-arrow-shape': 'triangle',
                 'curve-style': 'bezier'
             }
+        },
+        {
+            selector: 'edge[?binding]',
+            style: {
+                'line-style': 'dotted',
+                'line-color': '#0ca678',
+                'target-arrow-color': '#0ca678',
+                'target-arrow-shape': 'vee',
+                'curve-style': 'unbundled-bezier',
+                'width': 1.5
+            }
+        },
+        {
+            selector: 'edge.parallel-edge',
+            style: {
+                'line-style': 'dashed',
+                'line-color': '#7950f2',
+                'target-arrow-color': '#7950f2',
+                'label': '∥',
+                'font-size': '12px',
+                'color': '#7950f2',
+                'text-background-color': '#fff',
+                'text-background-opacity': 1
+            }
         }
     ];
 }
@@ -503,7 +961,7 @@ function treeToElements(executionTree) {
 function elementsToTree() {
     if (!cyInstance) return null;
     const nodes = cyInstance.nodes();
-    const edges = cyInstance.edges();
+    const edges = treeEdges();
 
     // 부모 → 자식 관계 맵 구성
     const childrenMap = new Map();
@@ -570,14 +1028,15 @@ function addNodeAtPos(layerName, fnName, cyPos, parentId) {
     if (!cyInstance) return;
     const newId = `node_${layerName}_${fnName}_${Date.now()}`;
     const label = `${layerName}.${fnName}`;
-    const nodeData = { data: { id: newId, label, layerName, function: fnName, args: {} }, classes: 'new-node' };
+    const nodeData = { data: { id: newId, label, layerName, function: fnName, args: {}, parallel: false, autoApprove: false }, classes: 'new-node' };
     if (cyPos) nodeData.position = cyPos;
 
+    const before = snapshotTreeEdit();
     cyInstance.add(nodeData);
     if (parentId && cyInstance.getElementById(parentId).length > 0) {
         cyInstance.add({ data: { id: `${parentId}_${newId}`, source: parentId, target: newId } });
     }
-    markModified();
+    markModified(before);
     cyInstance.layout({ name: 'dagre', rankDir: 'TB', nodeSep: 60, rankSep: 80, padding: 30 }).run();
     selectedNodeId = newId;
     // 신규 노드: 바로 args 편집기 오픈
@@ -587,6 +1046,9 @@ function addNodeAtPos(layerName, fnName, cyPos, parentId) {
 // ── 컨텍스트 메뉴 ──
 function showContextMenu(x, y) {
     const menu = document.getElementById('nodeContextMenu');
+    const node = cyInstance && selectedNodeId ? cyInstance.getElementById(selectedNodeId) : null;
+    document.getElementById('ctxParallelItem').textContent =
+        node && node.data('parallel') ? '⇣ 자식 순차 실행으로 변경' : '⇉ 자식 병렬 실행으로 변경';
     menu.style.display = 'block';
     menu.style.left = x + 'px';
     menu.style.top = y + 'px';
@@ -599,21 +1061,32 @@ function hideContextMenu() {
 function deleteSelectedNode() {
     if (!cyInstance || !selectedNodeId) return;
     const node = cyInstance.getElementById(selectedNodeId);
+    const before = snapshotTreeEdit();
     // 해당 노드와 연결된 엣지도 함께 삭제
     cyInstance.remove(node.connectedEdges());
     cyInstance.remove(node);
-    markModified();
+    markModified(before);
     selectedNodeId = null;
     hideContextMenu();
 }
 
 // ── 트리 저장 / 불러오기 ──
 
+/** 이름 입력이 비었을 때 쿼리로 만드는 기본 트리 이름 — 서버 이름 규칙(문자·숫자 시작, 문자·숫자·공백·_ . -)에 맞춤 */
+function defaultTreeName() {
+    const slug = treeEditorQuery
+        .replace(/[^\p{L}\p{N} _.-]+/gu, '-')
+        .replace(/^[^\p{L}\p{N}]+/u, '')
+        .slice(0, 30)
+        .trim();
+    return slug || 'my-tree';
+}
+
 async function saveTree() {
     const tree = elementsToTree();
     if (!tree || tree.rootNodes.length === 0) { alert('저장할 트리가 없습니다.'); return; }
     const nameInput = document.getElementById('treeNameInput');
-    const name = (nameInput?.value || '').trim() || treeEditorQuery.slice(0, 30) || 'my-tree';
+    const name = (nameInput?.value || '').trim() || defaultTreeName();
     try {
         const res = await fetch('/trees/save', {
             method: 'POST',
@@ -623,7 +1096,7 @@ async function saveTree() {
         const data = await res.json();
         if (data.success) {
             const reviewResult = document.getElementById('reviewResult');
-            if (reviewResult) reviewResult.textContent = `✅ "${name}" 으로 저장됨`;
+            if (reviewResult) reviewResult.textContent = `✅ "${name}" v${data.version} 으로 저장됨`;
         } else {
             alert('저장 실패: ' + (data.error || '알 수 없는 오류'));
         }
@@ -647,7 +1120,9 @@ async function loadTreeModal() {
         listEl.innerHTML = trees.map(t => `
             <div class="saved-tree-row">
                 <div class="swipe-inner" onclick="loadTree('${escapeHtml(t.name)}')">
-                    <div style="font-weight:600; font-size:14px;">📄 ${escapeHtml(t.name)}</div>
+                    <div style="font-weight:600; font-size:14px;">📄 ${escapeHtml(t.name)} <span class="tree-version-badge">v${t.version || 1}</span>
+                        <button class="tree-history-btn" onclick="event.stopPropagation();showTreeHistory('${escapeHtml(t.name)}')">🕘 이력</button>
+                    </div>
                     <div style="font-size:12px; color:#666; margin-top:4px;">${t.query ? escapeHtml(t.query.slice(0, 60)) + (t.query.length > 60 ? '...' : '') : ''}</div>
                     <div style="font-size:11px; color:#999; margin-top:2px;">${new Date(t.savedAt).toLocaleString()}</div>
                 </div>
@@ -684,6 +1159,256 @@ function closeLoadTreeModal() {
     document.getElementById('loadTreeModal').style.display = 'none';
 }
 
+// ── 저장된 트리 버전 이력 / 비교 ──
+let treeHistoryName = null;
+let treeHistoryVersions = [];
+let treeDiffCys = [];
+
+async function showTreeHistory(name) {
+    treeHistoryName = name;
+    document.getElementById('treeHistoryModal').style.display = 'flex';
+    document.getElementById('treeHistoryTitle').textContent = `🕘 ${name} 버전 이력`;
+    const listEl = document.getElementById('treeHistoryList');
+    listEl.innerHTML = '<div style="padding:20px; color:#666; text-align:center;">⏳ 불러오는 중...</div>';
+    try {
+        const res = await fetch(`/trees/${encodeURIComponent(name)}/versions`);
+        treeHistoryVersions = await res.json();
+        if (!treeHistoryVersions.length) {
+            listEl.innerHTML = '<div style="padding:20px; color:#999; text-align:center;">버전 이력이 없습니다.</div>';
+            clearTreeDiff();
+            return;
+        }
+        renderTreeHistoryList();
+        renderTreeDiff();
+    } catch (e) {
+        listEl.innerHTML = '<div style="padding:20px; color:#c00;">이력 조회 실패: ' + escapeHtml(e.message) + '</div>';
+    }
+}
+
+function renderTreeHistoryList() {
+    const listEl = document.getElementById('treeHistoryList');
+    const latest = treeHistoryVersions[0].version;
+    // 기본 비교: 직전 버전(A) ↔ 최신 버전(B)
+    const defaultA = (treeHistoryVersions[1] || treeHistoryVersions[0]).version;
+    listEl.innerHTML = treeHistoryVersions.map(v => `
+        <div class="tree-version-row">
+            <label title="비교 기준 (A)"><input type="radio" name="treeDiffA" value="${v.version}" ${v.version === defaultA ? 'checked' : ''} onchange="renderTreeDiff()"> A</label>
+            <label title="비교 대상 (B)"><input type="radio" name="treeDiffB" value="${v.version}" ${v.version === latest ? 'checked' : ''} onchange="renderTreeDiff()"> B</label>
+            <div class="tree-version-info">
+                <div><strong>v${v.version}</strong>${v.version === latest ? ' <span class="tree-version-badge">현재</span>' : ''}</div>
+                <div class="tree-version-meta">${new Date(v.savedAt).toLocaleString()} · 노드 ${flattenTreeNodes(v.tree).size}개</div>
+            </div>
+            ${v.version === latest ? '' : `<button class="btn-ghost" onclick="restoreTreeVersion(${v.version})">↩ 복원</button>`}
+        </div>
+    `).join('');
+}
+
+/** 노드 id 가 없는 트리(구버전·가져온 파일)도 비교할 수 있도록 layer.function 기준의 안정적인 id 부여 */
+function withStableIds(tree) {
+    const seen = new Map();
+    function walk(node) {
+        let id = node.id;
+        if (!id) {
+            const base = `${node.layerName}.${node.function}`;
+            const n = (seen.get(base) || 0) + 1;
+            seen.set(base, n);
+            id = `${base}#${n}`;
+        }
+        return { ...node, id, children: (node.children || []).map(walk) };
+    }
+    return { ...tree, rootNodes: (tree?.rootNodes || []).map(walk) };
+}
+
+function flattenTreeNodes(tree) {
+    const nodes = new Map();
+    function walk(node) {
+        nodes.set(node.id, node);
+        (node.children || []).forEach(walk);
+    }
+    (withStableIds(tree).rootNodes || []).forEach(walk);
+    return nodes;
+}
+
+function sortedArgsJson(args) {
+    return JSON.stringify(Object.keys(args || {}).sort().map(k => [k, String(args[k])]));
+}
+
+/** 두 버전의 노드 상태 계산: added / removed / changed (layer·function·args 변경) */
+function diffTreeVersions(treeA, treeB) {
+    const a = flattenTreeNodes(treeA), b = flattenTreeNodes(treeB);
+    const status = new Map();
+    a.forEach((node, id) => {
+        if (!b.has(id)) { status.set(id, 'removed'); return; }
+        const other = b.get(id);
+        const changed = node.layerName !== other.layerName || node.function !== other.function
+            || sortedArgsJson(node.args) !== sortedArgsJson(other.args);
+        if (changed) status.set(id, 'changed');
+    });
+    b.forEach((_, id) => { if (!a.has(id)) status.set(id, 'added'); });
+    return status;
+}
+
+function clearTreeDiff() {
+    treeDiffCys.forEach(cy => cy.destroy());
+    treeDiffCys = [];
+    document.getElementById('treeDiffSummary').textContent = '';
+    document.getElementById('treeDiffDetail').textContent = '';
+}
+
+function renderTreeDiff() {
+    clearTreeDiff();
+    const pick = name => Number(document.querySelector(`input[name="${name}"]:checked`)?.value);
+    const verA = treeHistoryVersions.find(v => v.version === pick('treeDiffA'));
+    const verB = treeHistoryVersions.find(v => v.version === pick('treeDiffB'));
+    if (!verA || !verB) return;
+
+    const treeA = withStableIds(verA.tree), treeB = withStableIds(verB.tree);
+    const status = diffTreeVersions(treeA, treeB);
+    const nodesA = flattenTreeNodes(treeA), nodesB = flattenTreeNodes(treeB);
+    document.getElementById('treeDiffLabelA').textContent = `A · v${verA.version}`;
+    document.getElementById('treeDiffLabelB').textContent = `B · v${verB.version}`;
+
+    [['treeDiffA', treeA, 'added'], ['treeDiffB', treeB, 'removed']].forEach(([containerId, tree, hidden]) => {
+        const cy = cytoscape({
+            container: document.getElementById(containerId),
+            elements: treeToElements(tree),
+            style: cytoscapeStyle(),
+            layout: { name: 'dagre', rankDir: 'TB', nodeSep: 40, rankSep: 60, padding: 20 },
+            autoungrabify: true,
+            autounselectify: true
+        });
+        cy.nodes().forEach(n => {
+            const s = status.get(n.id());
+            if (s && s !== hidden) n.addClass(`diff-${s}`);
+        });
+        cy.on('tap', 'node', evt => showTreeDiffNode(evt.target.id(), nodesA.get(evt.target.id()), nodesB.get(evt.target.id())));
+        treeDiffCys.push(cy);
+    });
+
+    const count = s => [...status.values()].filter(v => v === s).length;
+    document.getElementById('treeDiffSummary').textContent = status.size === 0
+        ? '변경 없음'
+        : `+${count('added')} 추가 · −${count('removed')} 삭제 · ~${count('changed')} 변경`;
+}
+
+function showTreeDiffNode(id, nodeA, nodeB) {
+    const fmt = node => node ? `${node.layerName}.${node.function} ${JSON.stringify(node.args || {}, null, 2)}` : '(없음)';
+    document.getElementById('treeDiffDetail').textContent = `${id}\nA: ${fmt(nodeA)}\nB: ${fmt(nodeB)}`;
+}
+
+async function restoreTreeVersion(version) {
+    if (!confirm(`"${treeHistoryName}" 을 v${version} 으로 복원할까요? (현재 버전은 이력에 남습니다)`)) return;
+    try {
+        const res = await fetch(`/trees/${encodeURIComponent(treeHistoryName)}/versions/${version}/restore`, { method: 'POST' });
+        const data = await res.json();
+        if (data.error) { alert('복원 실패: ' + data.error); return; }
+        await showTreeHistory(treeHistoryName);
+        if (document.getElementById('loadTreeModal').style.display === 'flex') loadTreeModal();
+    } catch (e) {
+        alert('복원 실패: ' + e.message);
+    }
+}
+
+function closeTreeHistoryModal() {
+    clearTreeDiff();
+    document.getElementById('treeHistoryModal').style.display = 'none';
+}
+
+// ── 트리 내보내기 / 가져오기 (JSON · YAML 파일) ──
+const TREE_FILE_FORMAT = 'hana-tree/v1';
+
+/** 편집 중인 트리를 이식 가능한 파일로 다운로드 */
+function exportTree(format) {
+    const tree = elementsToTree();
+    if (!tree || tree.rootNodes.length === 0) { alert('내보낼 트리가 없습니다.'); return; }
+    const name = (document.getElementById('treeNameInput')?.value || '').trim() || defaultTreeName();
+    const doc = { format: TREE_FILE_FORMAT, name, query: treeEditorQuery, tree };
+    const text = format === 'yaml'
+        ? jsyaml.dump(doc, { lineWidth: 120, noRefs: true })
+        : JSON.stringify(doc, null, 2);
+    const blob = new Blob([text], { type: format === 'yaml' ? 'text/yaml' : 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${name.replace(/[^\w가-힣.-]+/g, '_')}.${format === 'yaml' ? 'yaml' : 'json'}`;
+    a.click();
+    // 바로 해제하면 일부 브라우저에서 다운로드가 취소됨
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/** 파일 → 트리 편집기 로드. 알 수 없는 레이어/함수 노드는 강조 표시 */
+async function importTreeFile(file) {
+    let doc;
+    try {
+        const text = await file.text();
+        doc = /\.ya?ml$/i.test(file.name) ? jsyaml.load(text) : JSON.parse(text);
+    } catch (e) {
+        alert(`가져오기 실패: 파일을 해석할 수 없습니다 (${e.message})`);
+        return;
+    }
+    // 트리만 있는 파일({rootNodes})도 허용
+    const rawTree = doc?.tree || doc;
+    if (!rawTree || !Array.isArray(rawTree.rootNodes)) {
+        alert('가져오기 실패: rootNodes 가 없습니다.');
+        return;
+    }
+    const tree = { rootNodes: rawTree.rootNodes.map(normalizeImportedNode), name: rawTree.name || 'execution_plan' };
+
+    treeEditorQuery = doc.query || '';
+    document.getElementById('treeModalQuery').textContent = treeEditorQuery || '쿼리 정보 없음';
+    const nameInput = document.getElementById('treeNameInput');
+    if (nameInput && doc.name) nameInput.value = doc.name;
+    currentNodeResults = {};
+    treeIsLoadedClean = false;
+    const executeBtn = document.getElementById('executeTreeBtn');
+    executeBtn.disabled = true;
+    executeBtn.style.opacity = '0.5';
+    document.getElementById('treeModal').style.display = 'flex';
+    closeLoadTreeModal();
+    // Cytoscape 초기화 (모달이 flex된 후 렌더링)
+    setTimeout(() => {
+        initCytoscape(tree);
+        buildLayerPalette();
+        const unknown = markUnknownTreeNodes();
+        const review = document.getElementById('reviewResult');
+        if (unknown.length > 0) {
+            review.textContent = `⚠️ 알 수 없는 레이어/함수 ${unknown.length}개: ${unknown.join(', ')}`;
+            review.style.color = '#e03131';
+        } else {
+            review.textContent = `📥 "${file.name}" 가져옴 — 실행 전 LLM 검토가 필요합니다.`;
+            review.style.color = '#e67700';
+        }
+    }, 50);
+}
+
+/** 외부 파일 노드 정규화: id 보장, args 는 편집기 규약대로 문자열 (배열은 JSON) */
+function normalizeImportedNode(node) {
+    const args = {};
+    Object.entries(node.args || {}).forEach(([k, v]) => {
+        args[k] = Array.isArray(v) ? JSON.stringify(v.map(String)) : (typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v));
+    });
+    return {
+        id: node.id ? String(node.id) : `node_${node.layerName}_${node.function}_${nodeCounter++}`,
+        layerName: String(node.layerName || ''),
+        function: String(node.function || ''),
+        args,
+        children: (node.children || []).map(normalizeImportedNode),
+        parallel: node.parallel === true,
+        autoApprove: node.autoApprove === true
+    };
+}
+
+/** treeEditorLayers 기준으로 없는 레이어/함수 노드에 unknown-node 클래스 부여, 목록 반환 */
+function markUnknownTreeNodes() {
+    const unknown = [];
+    cyInstance.nodes().forEach(node => {
+        const layer = treeEditorLayers.find(l => l.name === node.data('layerName'));
+        const known = layer && (layer.functions || []).includes(node.data('function'));
+        node.toggleClass('unknown-node', !known);
+        if (!known) unknown.push(`${node.data('layerName')}.${node.data('function')}`);
+    });
+    return unknown;
+}
+
 // ── LLM 검토 ──
 async function reviewTree() {
     const tree = elementsToTree();
@@ -693,6 +1418,14 @@ async function reviewTree() {
     const reviewResult = document.getElementById('reviewResult');
     const executeBtn = document.getElementById('executeTreeBtn');
 
+    // 끊긴 바인딩은 LLM 검토 전에 차단
+    const dangling = findDanglingBindings();
+    if (dangling.length > 0) {
+        reviewResult.textContent = `⚠️ 끊긴 연결: ${dangling.join(' / ')}`;
+        reviewResult.style.color = '#e03131';
+        return;
+    }
+
     reviewBtn.disabled = true;
     reviewBtn.textContent = '🔍 검토 중...';
     reviewResult.textContent = '⏳ LLM이 트리를 검토하고 있습니다...';
@@ -734,14 +1467,18 @@ async function executeEditedTree() {
     const reviewResult = document.getElementById('reviewResult');
     executeBtn.disabled = true;
     executeBtn.textContent = '⏳ 실행 중...';
-    reviewResult.textContent = '⚡ 실행 중입니다...';
+    reviewResult.textContent = '⚡ 실행 보기 — 노드 상태가 실시간으로 갱신됩니다';
     reviewResult.style.color = '#667eea';
 
+    // 실행 ID를 먼저 정해 WebSocket 노드 상태와 연결 (모달은 열어 둔 채 실행 보기)
+    const executionId = newExecutionId();
+    startTreeRunView(executionId);
+
     try {
         const res = await fetch(`${API_BASE}/tree/execute`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query: treeEditorQuery, tree })
+            body: JSON.stringify({ query: treeEditorQuery, tree, executionId, pinnedResults: collectPinnedResults() })
         });
         const data = await res.json();
         if (data.error) {
@@ -750,7 +1487,6 @@ async function executeEditedTree() {
         } else {
             reviewResult.textContent = `✅ 실행 완료! 결과: ${(data.results || []).join(', ')}`;
             reviewResult.style.color = '#2f9e44';
-            closeTreeModal();
         }
     } catch (e) {
         reviewResult.textContent = `오류: ${e.message}`;
@@ -758,6 +1494,11 @@ async function executeEditedTree() {
     } finally {
         executeBtn.disabled = false;
         executeBtn.textContent = '▶ 실행';
+        if (treeRunExecutionId === executionId) {
+            clearInterval(treeRunPulseTimer);
+            treeRunPulseTimer = null;
+            if (cyInstance) cyInstance.autoungrabify(false);
+        }
     }
 }
 
@@ -766,8 +1507,9 @@ function toggleCard(id) {
     const card = document.getElementById(id);
     if (!card) return;
     card.classList.toggle('collapsed');
-    // 스케줄러 카드 열릴 때 자동 로드
+    // 스케줄러/메트릭 카드 열릴 때 자동 로드
     if (id === 'schedulerCard' && !card.classList.contains('collapsed')) loadJobs();
+    if (id === 'metricsCard' && !card.classList.contains('collapsed')) loadMetrics();
 }
 
 let allLayersData = [];
@@ -828,7 +1570,7 @@ function renderLayerList(layers, highlight) {
         const hlDesc = hl ? highlightText(layer.description || '', hl) : escapeHtml(layer.description || '');
         const badges = (layer.functions || []).map(func => {
             const hlFunc = hl ? highlightText(func, hl) : escapeHtml(func);
-            return `<span class="function-badge">${hlFunc}</span>`;
+            return `<span class="function-badge clickable" title="상세 · 실행" onclick="openLayerFnDrawer('${escapeHtml(layer.name)}', '${escapeHtml(func)}')">${hlFunc}</span>`;
         }).join('');
         return `<div class="layer-item">
             <h3>${hlName}</h3>
@@ -838,6 +1580,111 @@ function renderLayerList(layers, highlight) {
     }).join('');
 }
 
+// ── 레이어 함수 상세 · 실행 콘솔 (POST /layers/{layerName}/execute) ──
+
+const layerFnLastArgs = new Map();  // "layer.function" → 마지막 입력값 — 드로어를 다시 열어도 유지
+let layerFnOpen = null;             // { layer, fn }
+
+function openLayerFnDrawer(layerName, fnName) {
+    const layer = allLayersData.find(l => l.name === layerName);
+    if (!layer) return;
+    const fn = layer.functionDetails?.[fnName] || { name: fnName, description: '', parameters: {}, returnType: '' };
+    layerFnOpen = { layer: layerName, fn: fnName };
+    const params = Object.entries(fn.parameters || {});
+    const saved = layerFnLastArgs.get(`${layerName}.${fnName}`) || {};
+
+    const signature = `${layerName}.${fnName}(${params.map(([name, p]) =>
+        `${name}: ${p.type}${p.defaultValue != null ? ` = ${p.defaultValue}` : (p.required ? '' : '?')}`).join(', ')})${fn.returnType ? `: ${fn.returnType}` : ''}`;
+    const fields = params.map(([name, p]) => `
+        <div class="layer-fn-param">
+            <div class="layer-fn-param-head">
+                <code>${escapeHtml(name)}</code>
+                <span class="layer-fn-type">${escapeHtml(p.type)}</span>
+                ${p.required && p.defaultValue == null ? '<span class="layer-fn-required">필수</span>' : ''}
+            </div>
+            ${p.description ? `<div class="layer-fn-param-desc">${escapeHtml(p.description)}</div>` : ''}
+            ${layerFnInput(name, p, saved[name])}
+        </div>`).join('');
+
+    document.getElementById('layerFnTitle').textContent = `🧩 ${layerName}.${fnName}`;
+    document.getElementById('layerFnBody').innerHTML = `
+        <pre class="layer-fn-signature">${escapeHtml(signature)}</pre>
+        ${fn.description ? `<div class="layer-fn-doc">${escapeHtml(fn.description)}</div>` : ''}
+        <div class="layer-fn-form">${fields || '<div class="layer-fn-empty">파라미터 없음</div>'}</div>
+        <div class="layer-fn-actions">
+            <button class="btn-success" id="layerFnRunBtn" onclick="runLayerFn()">▶ 실행</button>
+            <span class="layer-fn-note">쓰기·실행 함수는 승인 게이트를 거칩니다</span>
+        </div>
+        <div id="layerFnResult"></div>`;
+    document.getElementById('layerFnDrawer').style.display = 'flex';
+}
+
+/** ParameterInfo.type → 입력 칸 (빈 칸이면 인자를 보내지 않아 기본값 사용) */
+function layerFnInput(name, p, value) {
+    const type = (p.type || '').replace('?', '');
+    const attrs = `data-arg="${escapeHtml(name)}" class="layer-search-input" placeholder="${escapeHtml(p.defaultValue ?? '')}"`;
+    if (type === 'Boolean') {
+        const v = value ?? '';
+        return `<select ${attrs}>
+            <option value="" ${v === '' ? 'selected' : ''}>${p.defaultValue != null ? `(기본값 ${escapeHtml(p.defaultValue)})` : '—'}</option>
+            <option value="true" ${v === 'true' ? 'selected' : ''}>true</option>
+            <option value="false" ${v === 'false' ? 'selected' : ''}>false</option>
+        </select>`;
+    }
+    if (['Int', 'Long', 'Double', 'Float'].includes(type)) {
+        return `<input type="number" step="any" ${attrs} value="${escapeHtml(value ?? '')}">`;
+    }
+    if (type === 'String' && !/content|body|text|code|diff|patch/i.test(name)) {
+        return `<input ${attrs} value="${escapeHtml(value ?? '')}">`;
+    }
+    return `<textarea rows="4" ${attrs}>${escapeHtml(value ?? '')}</textarea>`;
+}
+
+function closeLayerFnDrawer() {
+    document.getElementById('layerFnDrawer').style.display = 'none';
+    layerFnOpen = null;
+}
+
+async function runLayerFn() {
+    if (!layerFnOpen) return;
+    const { layer, fn } = layerFnOpen;
+    const params = allLayersData.find(l => l.name === layer)?.functionDetails?.[fn]?.parameters || {};
+    const inputs = [...document.querySelectorAll('#layerFnBody [data-arg]')];
+    const values = Object.fromEntries(inputs.map(el => [el.dataset.arg, el.value]));
+    layerFnLastArgs.set(`${layer}.${fn}`, values);
+
+    const missing = Object.entries(params).filter(([name, p]) => p.required && p.defaultValue == null && values[name] === '').map(([name]) => name);
+    if (missing.length) { alert(`필수 파라미터를 입력하세요: ${missing.join(', ')}`); return; }
+    const args = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== ''));
+
+    const btn = document.getElementById('layerFnRunBtn');
+    const resultEl = document.getElementById('layerFnResult');
+    btn.disabled = true;
+    resultEl.innerHTML = '<div class="layer-fn-pending">⏳ 실행 중... (승인이 필요하면 승인 창에서 확인하세요)</div>';
+    const startedAt = Date.now();
+    try {
+        const res = await fetch(`${API_BASE}/layers/${encodeURIComponent(layer)}/execute`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ function: fn, arguments: args })
+        });
+        const data = await res.json();
+        if (layerFnOpen?.layer !== layer || layerFnOpen?.fn !== fn) return;  // 기다리는 사이 다른 함수를 염
+        const elapsed = formatSpan(Date.now() - startedAt);
+        if (data.error) {
+            resultEl.innerHTML = `<div class="layer-fn-result-head error">❌ 실패 · ${elapsed}</div><pre class="layer-fn-result error">${escapeHtml(data.error)}</pre>`;
+        } else {
+            const rejected = String(data.result).startsWith('REJECTED:');
+            resultEl.innerHTML = `<div class="layer-fn-result-head ${rejected ? 'rejected' : ''}">${rejected ? '🚫 승인 거절' : '✅ 완료'} · ${elapsed}</div>
+                <pre class="layer-fn-result">${escapeHtml(data.result)}</pre>`;
+        }
+    } catch (e) {
+        resultEl.innerHTML = `<pre class="layer-fn-result error">${escapeHtml(e.message)}</pre>`;
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 function highlightText(text, q) {
     if (!q) return escapeHtml(text);
     const escaped = escapeHtml(text);
@@ -855,22 +1702,28 @@ document.getElementById('chatInput').addEventListener('keydown', (e) => {
 });
 
 // 채팅 폼 제출 핸들러
-document.getElementById('chatForm').addEventListener('submit', async (e) => {
+document.getElementById('chatForm').addEventListener('submit', (e) => {
     e.preventDefault();
-    
     const chatInput = document.getElementById('chatInput');
-    const chatMessages = document.getElementById('chatMessages');
-    const chatStatus = document.getElementById('chatStatus');
     const message = chatInput.value.trim();
-    
     if (!message) return;
+    chatInput.value = '';
+    sendChatMessage(message);
+});
+
+/** /chat 제출 (채팅 입력 · 실행 이력 재실행 공용) */
+async function sendChatMessage(message, mode = 'reactive') {
+    const chatInput = document.getElementById('chatInput');
+    const chatMessages = document.getElementById('chatMessages');
+    const chatStatus = document.getElementById('chatStatus');
 
     lastUserMessage = message;
 
-    // 사용자 메시지 표시
-    chatMessages.innerHTML = `<div class="msg-user">${escapeHtml(message)}</div>`;
+    // 사용자 턴 추가 (이전 대화는 유지) — 실행 ID를 먼저 정해 WebSocket 진행 상태와 연결
+    const executionId = newExecutionId();
+    const turn = appendChatTurn(message, executionId);
+    startChatStream(turn, executionId);
 
-    chatInput.value = '';
     chatInput.disabled = true;
     chatStatus.textContent = '요청 처리 중...';
 
@@ -878,38 +1731,31 @@ document.getElementById('chatForm').addEventListener('submit', async (e) => {
         const response = await fetch(`${API_BASE}/chat`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message, mode, executionId })
         });
 
         const result = await response.json();
 
+        if (result.executionId) linkChatTurn(turn, result.executionId);
+        finishChatStream(executionId);
+        renderChatTurnResults(turn, result);
+
         if (result.error) {
-            chatMessages.innerHTML += `<div class="msg-error"><strong>오류:</strong> ${escapeHtml(result.error)}</div>`;
             chatStatus.textContent = '실행 실패';
         } else {
-            const results = result.results || [];
-            if (results.length > 0) {
-                results.forEach((res, idx) => {
-                    const label = results.length > 1 ? `결과 ${idx + 1}: ` : '';
-                    chatMessages.innerHTML += `<div class="msg-result"><strong>${label}</strong>${escapeHtml(res)}</div>`;
-                });
-            } else {
-                chatMessages.innerHTML += `<div class="msg-result">실행 완료 (결과 없음)</div>`;
-            }
             chatStatus.textContent = '실행 완료';
-
-            // 실행 이력 새로고침
-            loadExecutions();
+            // 실행 이력 항목은 WebSocket(updateExecutionsUI)이 패치 — 목록을 다시 불러오지 않음
         }
     } catch (error) {
-        chatMessages.innerHTML += `<div class="msg-error"><strong>오류:</strong> ${escapeHtml(error.message)}</div>`;
+        finishChatStream(executionId);
+        renderChatTurnResults(turn, { error: error.message });
         chatStatus.textContent = '요청 실패';
     } finally {
         chatInput.disabled = false;
         chatInput.focus();
         chatMessages.scrollTop = chatMessages.scrollHeight;
     }
-});
+}
 
 document.getElementById('registerForm').addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1049,7 +1895,9 @@ function connectWebSocket() {
     
     wsConnection.onopen = () => {
         console.log('WebSocket 연결됨');
-        loadExecutions();
+        refreshExecutions(); // 끊긴 동안 놓친 갱신만 보정 (스크롤·펼침·로드한 페이지 유지)
+        loadPendingApprovals();
+        loadPendingClarifications();
     };
     
     wsConnection.onmessage = (event) => {
@@ -1062,15 +1910,25 @@ function connectWebSocket() {
             console.log('WebSocket 데이터 수신:', data);
 
             // 메시지 타입 구분 (type 필드 우선, 없으면 필드 조합으로 판별)
-            if (data.type === 'APPROVAL_REQUIRED' || (data.id && data.path && data.diff !== undefined)) {
+            if (data.type === 'APPROVAL_RESOLVED') {
+                // 승인 요청 종료 (다른 탭 응답 · 타임아웃 포함)
+                removeApproval(data.id);
+            } else if (data.type === 'APPROVAL_REQUIRED' || (data.id && data.path && data.diff !== undefined)) {
                 // 파일 수정 승인 요청
                 showApprovalPanel(data);
+            } else if (data.type === 'CLARIFICATION_RESOLVED') {
+                // 질문 종료 (다른 탭 답변 · 타임아웃 포함)
+                removeClarification(data.id);
             } else if (data.type === 'CLARIFICATION_REQUIRED' || (data.id && data.question && !data.path)) {
                 // 사용자 질문 요청
                 showClarificationModal(data);
+            } else if (data.type === 'NODE_STATUS') {
+                // 트리 실행 보기 노드 상태
+                updateTreeRunView(data);
             } else if (data.executionId && data.phase && data.message) {
                 // 진행 상태 업데이트
                 updateProgressUI(data);
+                updateChatStream(data);
             } else {
                 // 실행 이력 업데이트
                 updateExecutionsUI(data);
@@ -1093,15 +1951,11 @@ function connectWebSocket() {
     };
 }
 
-// 실행 이력 UI 업데이트 (깜빡임·스크롤 초기화 방지: 전체 교체 없이 항목별 패치/추가만)
+// 실행 이력 UI 업데이트 (WebSocket 실시간 갱신: 깜빡임·스크롤 초기화 방지를 위해 항목별 패치/추가만)
+// 페이지네이션으로 불러온 과거 항목은 유지하고, 새 실행은 현재 필터에 맞을 때만 시간순 위치에 삽입
 function updateExecutionsUI(data) {
-    const executionsList = document.getElementById('executionsList');
-    
-    if (!data) {
-        executionsList.innerHTML = '<p>데이터를 받지 못했습니다.</p>';
-        return;
-    }
-    
+    if (!data) return;
+
     const ordered = []; // current 먼저, 그다음 history (중복 제외)
     if (data.current) ordered.push(data.current);
     if (data.history) {
@@ -1109,55 +1963,51 @@ function updateExecutionsUI(data) {
             if (exec.id !== data.current?.id) ordered.push(exec);
         });
     }
-    
-    if (ordered.length === 0) {
-        executionsList.innerHTML = '<p>실행 이력이 없습니다.</p>';
-        if (window.executionDataCache) window.executionDataCache.clear();
-        return;
-    }
-    
-    const orderedIds = new Set(ordered.map(e => e.id));
-    const existingById = new Map();
-    executionsList.querySelectorAll('.execution-item').forEach(el => {
-        const id = el.getAttribute('data-id');
-        if (id) existingById.set(id, el);
-    });
-    
-    for (let i = 0; i < ordered.length; i++) {
-        const exec = ordered[i];
+
+    const executionsList = document.getElementById('executionsList');
+    ordered.forEach(exec => {
         const isCurrent = exec.id === data.current?.id;
-        
-        if (existingById.has(exec.id)) {
-            patchExecutionItem(existingById.get(exec.id), exec, isCurrent);
+        const existing = executionsList.querySelector(`.execution-item[data-id="${exec.id}"]`);
+        if (existing) {
+            patchExecutionItem(existing, exec, isCurrent);
             if (exec.logs && exec.logs.length > 0) {
                 updateExecutionLogs(exec.id, exec.logs);
             }
-        } else {
-            const nextId = ordered[i + 1]?.id;
-            const nextEl = nextId ? existingById.get(nextId) || null : null;
-            const div = document.createElement('div');
-            div.innerHTML = renderExecution(exec, isCurrent);
-            const newItem = div.firstElementChild;
-            if (newItem) {
-                if (nextEl) executionsList.insertBefore(newItem, nextEl);
-                else executionsList.appendChild(newItem);
-                existingById.set(exec.id, newItem);
-                attachExecutionItemListeners(newItem, exec.id);
-            }
+        } else if (execMatchesFilters(exec)) {
+            insertExecutionItem(exec, isCurrent);
         }
-    }
-    
-    // 데이터에 없는 항목은 DOM에서 제거
-    existingById.forEach((el, id) => {
-        if (!orderedIds.has(id)) el.remove();
     });
-    
+
     if (window.executionDataCache) {
         ordered.forEach(exec => window.executionDataCache.set(exec.id, exec));
     } else {
         window.executionDataCache = new Map();
         ordered.forEach(exec => window.executionDataCache.set(exec.id, exec));
     }
+
+    refreshMetricsOnFinished(ordered);
+}
+
+/**
+ * 실행 항목을 시작 시간 내림차순 위치에 삽입
+ * append=true(페이지 로드)는 끝에 추가. 실시간 삽입 시 로드된 목록보다 오래된 항목은
+ * 이후 페이지에서 오므로 목록을 끝까지 불러온 경우에만 추가
+ */
+function insertExecutionItem(exec, isCurrent, append = false) {
+    const executionsList = document.getElementById('executionsList');
+    if (executionsList.querySelector(`.execution-item[data-id="${exec.id}"]`)) return;
+    const nextEl = append ? null : [...executionsList.querySelectorAll('.execution-item')]
+        .find(el => Number(el.getAttribute('data-start-time')) < exec.startTime) || null;
+    if (!append && !nextEl && !execListState.done) return;
+    executionsList.querySelector(':scope > .exec-empty')?.remove();
+    const div = document.createElement('div');
+    div.innerHTML = renderExecution(exec, isCurrent);
+    const newItem = div.firstElementChild;
+    if (!newItem) return;
+    executionsList.insertBefore(newItem, nextEl);
+    attachExecutionItemListeners(newItem, exec.id);
+    if (!window.executionDataCache) window.executionDataCache = new Map();
+    window.executionDataCache.set(exec.id, exec);
 }
 
 function patchExecutionItem(item, exec, isCurrent) {
@@ -1213,6 +2063,14 @@ function patchExecutionItem(item, exec, isCurrent) {
         treeViewBtn.remove();
     }
     if (nodeStats) nodeStats.innerHTML = formatNodeStats(exec);
+
+    // 포크 버튼: 트리는 완료 시점에야 오는 경우가 많음 — 트리 보기 버튼과 같이 동기화
+    const forkBtn = item.querySelector('.fork-btn');
+    if (exec.executionTree && !forkBtn) {
+        item.querySelector('.rerun-btn')?.insertAdjacentHTML('afterend', forkButtonHtml(exec.id));
+    } else if (!exec.executionTree && forkBtn) {
+        forkBtn.remove();
+    }
     
     if (isCurrent && (exec.status === 'RUNNING' || exec.status === 'RETRYING')) {
         startElapsedTimeTimer(exec.id, exec.startTime);
@@ -1276,12 +2134,9 @@ function attachExecutionItemListeners(item, execId) {
                 details.classList.toggle('expanded');
                 if (!isExpanded && logsDiv) {
                     logsDiv.style.display = 'block';
-                    const execData = findExecutionData(execId);
-                    if (execData && execData.logs && execData.logs.length > 0) {
-                        updateExecutionLogs(execId, execData.logs);
-                    } else if (logContent) {
-                        loadExecutionLogs(execId, logContent);
-                    }
+                    loadExecutionLogs(execId, logContent);
+                    // 숨겨진 동안엔 높이가 0 이라 스크롤·가상 구간 계산이 안 됨 → 펼친 뒤 다시 그림
+                    renderLogViewer(execId);
                 }
             }
         });
@@ -1411,6 +2266,7 @@ async function deleteExecution(execId, btn) {
         await fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}`, { method: 'DELETE' });
     } catch (e) { console.error('실행이력 삭제 실패:', e); }
     if (window.executionDataCache) window.executionDataCache.delete(execId);
+    logViewers.delete(execId);
     setTimeout(() => item.remove(), 270);
 }
 
@@ -1433,35 +2289,439 @@ async function deleteTree(name, btn) {
     setTimeout(() => row.remove(), 270);
 }
 
-// 실행 이력 로드 (폴링 방식 - 폴백용)
+// ── 실행 이력 검색 · 필터 · 무한 스크롤 ──
+const EXEC_PAGE_SIZE = 50;
+const execListState = { cursor: null, done: false, loading: false, seq: 0, filters: null };
+let execSearchDebounce = null;
+let execScrollObserver = null;
+
+function renderExecStatusChips() {
+    const el = document.getElementById('execStatusChips');
+    el.innerHTML = Object.entries(STATUS_LABELS).map(([key, label]) =>
+        `<button class="exec-status-chip" data-status="${key}" onclick="this.classList.toggle('active');onExecFilterChanged()">${label}</button>`
+    ).join('');
+}
+
+/** 툴바 입력 → 필터 객체 (날짜는 로컬 하루 단위로 확장) */
+function readExecFilters() {
+    const from = document.getElementById('execFromDate').value;
+    const to = document.getElementById('execToDate').value;
+    return {
+        q: document.getElementById('execSearchInput').value.trim(),
+        statuses: [...document.querySelectorAll('#execStatusChips .exec-status-chip.active')].map(b => b.dataset.status),
+        from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+        fn: document.getElementById('execFnFilter').value.trim()
+    };
+}
+
+function onExecFilterChanged(debounce = false) {
+    clearTimeout(execSearchDebounce);
+    if (debounce) execSearchDebounce = setTimeout(loadExecutions, 300);
+    else loadExecutions();
+}
+
+/** 검색어 = query, 나머지 필터(상태·기간·함수)는 해제 */
+function setExecFilters(query) {
+    document.getElementById('execSearchInput').value = query;
+    document.getElementById('execFromDate').value = '';
+    document.getElementById('execToDate').value = '';
+    document.getElementById('execFnFilter').value = '';
+    document.querySelectorAll('#execStatusChips .exec-status-chip.active').forEach(b => b.classList.remove('active'));
+}
+
+function resetExecFilters() {
+    setExecFilters('');
+    loadExecutions();
+}
+
+/** WebSocket 으로 들어온 실행이 현재 필터에 맞는지 (백엔드 검색과 같은 규칙) */
+function execMatchesFilters(exec, f = execListState.filters) {
+    if (!f) return true;
+    if (f.statuses.length && !f.statuses.includes((exec.status || '').toLowerCase())) return false;
+    if (f.from && exec.startTime < f.from) return false;
+    if (f.to && exec.startTime > f.to) return false;
+    if (f.q) {
+        const q = f.q.toLowerCase();
+        const haystack = [exec.query, exec.result, exec.error, ...(exec.logs || [])];
+        if (!haystack.some(s => (s || '').toLowerCase().includes(q))) return false;
+    }
+    if (f.fn) {
+        const fn = f.fn.toLowerCase();
+        const names = [];
+        const walk = node => { names.push(`${node.layerName}.${node.function}`.toLowerCase()); (node.children || []).forEach(walk); };
+        (exec.executionTree?.rootNodes || []).forEach(walk);
+        if (!names.some(n => n.includes(fn))) return false;
+    }
+    return true;
+}
+
+function execSearchParams(f, cursor) {
+    const params = new URLSearchParams({ limit: EXEC_PAGE_SIZE });
+    if (f.q) params.set('q', f.q);
+    if (f.statuses.length) params.set('status', f.statuses.join(','));
+    if (f.from) params.set('from', f.from);
+    if (f.to) params.set('to', f.to);
+    if (f.fn) params.set('fn', f.fn);
+    if (cursor) params.set('cursor', cursor);
+    return params;
+}
+
+/** 목록을 비우지 않고 첫 페이지만 다시 받아 기존 항목 패치·새 항목 삽입 */
+async function refreshExecutions() {
+    if (!execListState.filters) return loadExecutions();
+    const seq = execListState.seq;
+    try {
+        const response = await fetch(`${API_BASE}/executions/search?${execSearchParams(execListState.filters, null)}`);
+        const data = await response.json();
+        if (!response.ok || data.error || seq !== execListState.seq) return;
+        const executionsList = document.getElementById('executionsList');
+        data.items.forEach(exec => {
+            const isCurrent = exec.status === 'RUNNING' || exec.status === 'RETRYING';
+            const existing = executionsList.querySelector(`.execution-item[data-id="${exec.id}"]`);
+            if (existing) {
+                patchExecutionItem(existing, exec, isCurrent);
+                window.executionDataCache?.set(exec.id, exec);
+            } else {
+                insertExecutionItem(exec, isCurrent);
+            }
+        });
+        document.getElementById('execResultCount').textContent = `${data.total}건`;
+    } catch (error) {
+        console.error('실행 이력 갱신 오류:', error);
+    }
+}
+
+/** 필터 적용해 첫 페이지부터 다시 로드 — 필터가 바뀔 때만 (목록·스크롤 초기화) */
 async function loadExecutions() {
+    execListState.seq++;
+    execListState.cursor = null;
+    execListState.done = false;
+    execListState.loading = false;
+    execListState.filters = readExecFilters();
+    document.getElementById('executionsList').innerHTML = '';
+    logViewers.clear(); // 목록을 새로 그리므로 항목별 로그 뷰어 상태도 버림
+    ensureExecScrollObserver();
+    await loadMoreExecutions();
+}
+
+async function loadMoreExecutions() {
+    if (execListState.loading || execListState.done) return;
     const executionsList = document.getElementById('executionsList');
-    
+    const seq = execListState.seq;
+    const f = execListState.filters;
+    const params = execSearchParams(f, execListState.cursor);
+
+    execListState.loading = true;
     try {
-        const response = await fetch(`${API_BASE}/executions`);
-        
+        const response = await fetch(`${API_BASE}/executions/search?${params}`);
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
-        
-        const text = await response.text();
-        if (!text || text.trim() === '') {
-            executionsList.innerHTML = '<p>실행 이력이 없습니다.</p>';
-            return;
-        }
-        
-        const data = JSON.parse(text);
-        
+        const data = await response.json();
+        if (seq !== execListState.seq) return; // 그 사이 필터가 바뀜
         if (data.error) {
-            executionsList.innerHTML = `<div class="message error">${data.error}</div>`;
+            executionsList.innerHTML = `<div class="message error">${escapeHtml(data.error)}</div>`;
+            execListState.done = true;
             return;
         }
-        
-        updateExecutionsUI(data);
+        const isFirstPage = !execListState.cursor;
+        data.items.forEach(exec => insertExecutionItem(exec, exec.status === 'RUNNING' || exec.status === 'RETRYING', true));
+        execListState.cursor = data.nextCursor || null;
+        execListState.done = !data.nextCursor;
+        if (isFirstPage) {
+            document.getElementById('execFnOptions').innerHTML = (data.functions || []).map(fn => `<option value="${escapeHtml(fn)}">`).join('');
+            document.getElementById('execResultCount').textContent = `${data.total}건`;
+            if (!data.items.length) executionsList.innerHTML = '<p class="exec-empty">조건에 맞는 실행 이력이 없습니다.</p>';
+        }
     } catch (error) {
         console.error('실행 이력 로드 오류:', error);
-        executionsList.innerHTML = `<div class="message error">실행 이력을 불러오는 중 오류가 발생했습니다: ${error.message}</div>`;
+        if (seq === execListState.seq) {
+            executionsList.insertAdjacentHTML('beforeend', `<div class="message error">실행 이력을 불러오는 중 오류가 발생했습니다: ${escapeHtml(error.message)}</div>`);
+            execListState.done = true;
+        }
+    } finally {
+        if (seq === execListState.seq) execListState.loading = false;
+    }
+}
+
+/** 목록 끝 sentinel 이 보이면 다음 페이지 로드 */
+function ensureExecScrollObserver() {
+    if (execScrollObserver) return;
+    const sentinel = document.getElementById('executionsSentinel');
+    execScrollObserver = new IntersectionObserver(entries => {
+        if (entries.some(e => e.isIntersecting)) loadMoreExecutions();
+    }, { root: sentinel.closest('.card-content'), rootMargin: '200px' });
+    execScrollObserver.observe(sentinel);
+}
+
+// ── 재실행 / 포크 ──
+let treeForkPicking = false;    // true: 트리 편집기에서 포크 시작 노드 선택 중
+let treeForkResults = new Map(); // 포크 원본 실행의 nodeId → 결과 (고정 가능한 성공 노드만)
+
+/** 같은 쿼리를 같은 모드로 다시 제출 — 트리 편집기 실행은 같은 트리로 /tree/execute */
+async function rerunExecution(execId) {
+    const exec = findExecutionData(execId);
+    if (!exec) return;
+    if (exec.mode !== 'custom-tree') {
+        sendChatMessage(exec.query, exec.mode || 'reactive');
+        return;
+    }
+    try {
+        const res = await fetch(`${API_BASE}/tree/execute`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query: exec.query, tree: exec.executionTree, executionId: newExecutionId() })
+        });
+        const data = await res.json();
+        if (data.error) alert('재실행 실패: ' + data.error);
+    } catch (e) {
+        alert('재실행 실패: ' + e.message);
+    }
+}
+
+function forkButtonHtml(execId) {
+    return `<button class="trace-view-btn fork-btn" onclick="event.stopPropagation();forkExecution('${execId}')">🍴 여기서부터 포크</button>`;
+}
+
+/** 실행 트리를 편집기로 열고 포크 시작 노드 선택 모드로 전환 */
+async function forkExecution(execId) {
+    try {
+        const res = await fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}`);
+        const detail = await res.json();
+        if (!res.ok || detail.error) throw new Error(detail.error || `HTTP ${res.status}`);
+        // 잘린 결과는 따로 저장된 전체 본문으로 고정
+        const fullRes = await fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}/node-results`);
+        const fullResults = fullRes.ok ? await fullRes.json() : {};
+        // 전체 본문이 없는 잘린 결과(옛 이력)는 다음 노드 입력으로 쓸 수 없고, 옛 이력의 중복 id 는 어느 결과인지 알 수 없어 고정하지 않음
+        const idCounts = new Map();
+        (detail.nodeResults || []).forEach(r => r.nodeId && idCounts.set(r.nodeId, (idCounts.get(r.nodeId) || 0) + 1));
+        treeForkResults = new Map((detail.nodeResults || [])
+            .filter(r => r.nodeId && r.status === 'SUCCESS' && idCounts.get(r.nodeId) === 1)
+            .filter(r => !r.resultTruncated || fullResults[r.nodeId] !== undefined)
+            .map(r => [r.nodeId, r.resultTruncated ? fullResults[r.nodeId] : (r.result || '')]));
+        showTreeVisualization(detail.execution.executionTree, {});
+        treeEditorQuery = detail.execution.query;
+        document.getElementById('treeModalQuery').textContent = treeEditorQuery;
+        treeForkPicking = true;
+        const reviewResult = document.getElementById('reviewResult');
+        reviewResult.textContent = '🍴 포크 시작 노드를 클릭하세요 — 그 앞의 노드는 이전 결과로 고정되고 나머지만 다시 실행됩니다';
+        reviewResult.style.color = '#e8590c';
+    } catch (e) {
+        alert('포크 실패: ' + e.message);
+    }
+}
+
+/** 전위 순서상 선택 노드 앞의 노드는 이전 결과로 고정(pinned), 선택 노드부터는 다시 실행 */
+function applyForkAt(nodeId) {
+    treeForkPicking = false;
+    const before = snapshotTreeEdit();
+    const order = [];
+    const walk = node => { order.push(node.id); node.children.forEach(walk); };
+    elementsToTree().rootNodes.forEach(walk);
+    const cut = order.indexOf(nodeId);
+    let pinned = 0, rerun = 0, unpinnable = 0;
+    order.forEach((id, i) => {
+        const node = cyInstance.getElementById(id);
+        if (i < cut && treeForkResults.has(id)) {
+            node.data('pinnedResult', treeForkResults.get(id));
+            node.addClass('pinned');
+            pinned++;
+        } else {
+            node.removeData('pinnedResult');
+            node.removeClass('pinned');
+            rerun++;
+            if (i < cut) unpinnable++;
+        }
+    });
+    pushTreeUndo(before);
+    const reviewResult = document.getElementById('reviewResult');
+    reviewResult.textContent = `🍴 포크: ${pinned}개 노드 고정 · ${rerun}개 노드 재실행`
+        + (unpinnable ? ` (이전 결과가 없거나 잘려서 다시 실행: ${unpinnable}개)` : '')
+        + ' — 바로 실행하거나 수정할 수 있습니다';
+    reviewResult.style.color = '#2f9e44';
+}
+
+function unpinForkNode(nodeId) {
+    const node = cyInstance && cyInstance.getElementById(nodeId);
+    if (!node || node.length === 0) return;
+    pushTreeUndo(snapshotTreeEdit());
+    node.removeData('pinnedResult');
+    node.removeClass('pinned');
+    showNodeEditor(nodeId);
+}
+
+/** 실행 요청용: 고정 노드 nodeId → 결과 */
+function collectPinnedResults() {
+    if (!cyInstance) return {};
+    return Object.fromEntries(cyInstance.nodes('.pinned').map(n => [n.id(), n.data('pinnedResult') || '']));
+}
+
+// ── 실행 비교 (두 실행의 트리·노드 결과·추론 스텝을 나란히) ──
+const execCompareSelection = []; // 선택 순서 유지, 최대 2개
+
+function toggleExecCompare(execId, checked) {
+    const idx = execCompareSelection.indexOf(execId);
+    if (checked && idx < 0) {
+        execCompareSelection.push(execId);
+        if (execCompareSelection.length > 2) {
+            const dropped = execCompareSelection.shift();
+            const box = document.querySelector(`.execution-item[data-id="${dropped}"] .exec-compare-check input`);
+            if (box) box.checked = false;
+        }
+    } else if (!checked && idx >= 0) {
+        execCompareSelection.splice(idx, 1);
+    }
+    const btn = document.getElementById('execCompareBtn');
+    btn.textContent = `⚖️ 비교 (${execCompareSelection.length}/2)`;
+    btn.disabled = execCompareSelection.length !== 2;
+}
+
+async function openExecutionCompare() {
+    if (execCompareSelection.length !== 2) return;
+    const body = document.getElementById('execCompareBody');
+    body.innerHTML = '<div class="exec-compare-empty">⏳ 불러오는 중...</div>';
+    document.getElementById('execCompareModal').style.display = 'flex';
+    try {
+        const details = await Promise.all(execCompareSelection.map(async id => {
+            const res = await fetch(`${API_BASE}/executions/${encodeURIComponent(id)}`);
+            const data = await res.json();
+            if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+            return data;
+        }));
+        // 먼저 실행된 쪽이 기준(A)
+        details.sort((x, y) => x.execution.startTime - y.execution.startTime);
+        body.innerHTML = renderExecutionCompare(details[0], details[1]);
+    } catch (e) {
+        body.innerHTML = `<div class="message error">실행 비교 데이터를 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+function closeExecutionCompare() {
+    document.getElementById('execCompareModal').style.display = 'none';
+}
+
+/** LCS 로 두 목록을 key 기준 정렬 → [a|null, b|null] 쌍 (한쪽에만 있는 항목은 null 과 짝) */
+function alignByKey(a, b, key) {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = key(a[i]) === key(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
     }
+    const pairs = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (key(a[i]) === key(b[j])) pairs.push([a[i++], b[j++]]);
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) pairs.push([a[i++], null]);
+        else pairs.push([null, b[j++]]);
+    }
+    while (i < a.length) pairs.push([a[i++], null]);
+    while (j < b.length) pairs.push([null, b[j++]]);
+    return pairs;
+}
+
+/** 실행 트리 → 전위 순회 노드 목록 (노드 id 로 nodeResults 병합) */
+function compareNodeList(detail) {
+    const outcomes = new Map((detail.nodeResults || []).filter(r => r.nodeId).map(r => [r.nodeId, r]));
+    return [...flattenTreeNodes(detail.execution.executionTree).values()].map(node => {
+        const r = outcomes.get(node.id);
+        return {
+            key: `${node.layerName}.${node.function}`,
+            args: Object.keys(node.args || {}).sort().map(k => `${k} = ${node.args[k]}`).join('\n'),
+            outcome: r ? `${r.status}${r.error ? `: ${r.error}` : ''}${r.result ? `\n${r.result}` : ''}` : ''
+        };
+    });
+}
+
+/** 두 텍스트의 다른 구간 강조 → [htmlA, htmlB] */
+function compareTextPair(a, b) {
+    if (a == null || b == null || a === b) return [escapeHtml(a ?? ''), escapeHtml(b ?? '')];
+    return intraLineDiff(a, b, escapeHtml);
+}
+
+function renderCompareCells(label, a, b) {
+    const [htmlA, htmlB] = compareTextPair(a, b);
+    const cls = a === b ? 'same' : 'changed';
+    return `<div class="exec-compare-field ${cls}">
+        <div class="exec-compare-field-label">${label}</div>
+        <div class="exec-compare-row"><pre>${htmlA || '—'}</pre><pre>${htmlB || '—'}</pre></div>
+    </div>`;
+}
+
+function renderExecutionCompare(a, b) {
+    const ea = a.execution, eb = b.execution;
+    const countStatus = (d, s) => (d.nodeResults || []).filter(r => r.status === s).length;
+    const delta = (x, y, fmt) => {
+        if (x == null || y == null || x === y) return '';
+        return `<span class="${y < x ? 'delta-better' : 'delta-worse'}">${y > x ? '+' : ''}${fmt(y - x)}</span>`;
+    };
+    const secs = ms => ms == null ? '-' : `${(ms / 1000).toFixed(2)}초`;
+    const metrics = [
+        ['상태', getStatusLabel(ea.status), getStatusLabel(eb.status), ''],
+        ['스텝 수', a.steps.length, b.steps.length, delta(a.steps.length, b.steps.length, String)],
+        ['소요 시간', secs(a.durationMs), secs(b.durationMs), delta(a.durationMs, b.durationMs, secs)],
+        ['노드 성공', countStatus(a, 'SUCCESS'), countStatus(b, 'SUCCESS'), ''],
+        ['노드 실패', countStatus(a, 'FAILED'), countStatus(b, 'FAILED'), delta(countStatus(a, 'FAILED'), countStatus(b, 'FAILED'), String)]
+    ];
+
+    const nodePairs = alignByKey(compareNodeList(a), compareNodeList(b), n => n.key);
+    const nodeCounts = { same: 0, changed: 0, onlyA: 0, onlyB: 0 };
+    const nodeRows = nodePairs.map(([na, nb]) => {
+        if (!nb) { nodeCounts.onlyA++; return renderCompareNode('only-a', na, null); }
+        if (!na) { nodeCounts.onlyB++; return renderCompareNode('only-b', null, nb); }
+        const changed = na.args !== nb.args || na.outcome !== nb.outcome;
+        nodeCounts[changed ? 'changed' : 'same']++;
+        return renderCompareNode(changed ? 'changed' : 'same', na, nb);
+    }).join('');
+
+    const stepCount = Math.max(a.steps.length, b.steps.length);
+    const stepRows = Array.from({ length: stepCount }, (_, i) => {
+        const sa = a.steps[i], sb = b.steps[i];
+        const same = sa && sb && sa.reasoning === sb.reasoning && sa.result === sb.result
+            && sa.functions.join() === sb.functions.join();
+        return `<details class="exec-compare-step ${same ? 'same' : 'changed'}" ${same ? '' : 'open'}>
+            <summary>스텝 #${i + 1} ${same ? '<span class="exec-compare-tag">동일</span>' : !sa ? '<span class="exec-compare-tag">B 만</span>' : !sb ? '<span class="exec-compare-tag">A 만</span>' : '<span class="exec-compare-tag changed">다름</span>'}</summary>
+            ${renderCompareCells('추론', sa?.reasoning, sb?.reasoning)}
+            ${renderCompareCells('실행 함수', sa?.functions.join(' → '), sb?.functions.join(' → '))}
+            ${renderCompareCells('결과', sa?.result, sb?.result)}
+        </details>`;
+    }).join('');
+
+    const head = (e, tag) => `<div class="exec-compare-col-head">
+        <span class="exec-compare-side">${tag}</span>
+        <strong>${escapeHtml(getExecDisplayName(e))}</strong>
+        <span>${new Date(e.startTime).toLocaleString('ko-KR')}</span>
+    </div>`;
+
+    return `
+        <div class="exec-compare-row">${head(ea, 'A')}${head(eb, 'B')}</div>
+        <table class="exec-compare-metrics">
+            <thead><tr><th></th><th>A</th><th>B</th><th>B − A</th></tr></thead>
+            <tbody>${metrics.map(([label, x, y, d]) => `<tr><th>${label}</th><td>${x}</td><td>${y}</td><td>${d}</td></tr>`).join('')}</tbody>
+        </table>
+        ${renderCompareCells('최종 결과', ea.error || ea.result, eb.error || eb.result)}
+        <h4 class="exec-compare-section">🌳 노드 비교
+            <span>일치 ${nodeCounts.same} · 변경 ${nodeCounts.changed} · A 만 ${nodeCounts.onlyA} · B 만 ${nodeCounts.onlyB}</span>
+        </h4>
+        ${nodeRows || '<div class="exec-compare-empty">실행 트리가 없습니다</div>'}
+        <h4 class="exec-compare-section">🧠 추론 스텝</h4>
+        ${stepRows || '<div class="exec-compare-empty">기록된 스텝이 없습니다</div>'}
+    `;
+}
+
+function renderCompareNode(kind, na, nb) {
+    const cell = (n, other) => {
+        if (!n) return '<div class="exec-compare-node-cell empty"></div>';
+        const [args] = compareTextPair(n.args, other ? other.args : null);
+        const [outcome] = compareTextPair(n.outcome, other ? other.outcome : null);
+        return `<div class="exec-compare-node-cell">
+            <div class="exec-compare-node-key">${escapeHtml(n.key)}</div>
+            ${n.args ? `<pre>${args}</pre>` : ''}
+            ${n.outcome ? `<pre class="exec-compare-outcome">${outcome}</pre>` : ''}
+        </div>`;
+    };
+    return `<div class="exec-compare-node ${kind}">${cell(na, nb)}${cell(nb, na)}</div>`;
 }
 
 // 실행 중인 작업의 경과 시간을 실시간으로 업데이트하는 타이머
@@ -1492,84 +2752,167 @@ function stopElapsedTimeTimer(execId) {
     }
 }
 
-// 실행 로그 업데이트 함수 (깜빡거림 방지: append 방식)
+// ── 실행 로그 뷰어 ──
+// 서버 로그 형식: "[HH:mm:ss.SSS] [LEVEL] [node:id] 메시지" (node 태그는 선택)
+// 줄 높이 고정 가상 스크롤 — 보이는 구간만 DOM 으로 그려 긴 루프 실행도 가볍게 유지
+
+const LOG_LEVELS = ['INFO', 'SUCCESS', 'WARN', 'ERROR'];
+const LOG_ROW_HEIGHT = 18;
+const LOG_OVERSCAN = 20;
+const LOG_LINE_RE = /^\[(\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?)\]\s*(?:\[(INFO|SUCCESS|WARN|ERROR)\]\s*)?(?:\[node:([^\]]+)\]\s*)?([\s\S]*)$/;
+
+// execId → { entries, visible(entries 인덱스), levels, query, follow }
+const logViewers = new Map();
+
+/** 레벨 표기 도입 이전에 저장된 로그 호환: 이모지·키워드로 레벨 추정 */
+function classifyLegacyLogLevel(text) {
+    if (/❌|실패|에러|ERROR|FAILED/.test(text)) return 'ERROR';
+    if (/⚠️|경고|WARNING|차단/.test(text)) return 'WARN';
+    if (/✅|성공|완료|SUCCESS|COMPLETED/.test(text)) return 'SUCCESS';
+    return 'INFO';
+}
+
+function parseLogLine(line, index) {
+    const m = LOG_LINE_RE.exec(line);
+    if (!m) return { index, time: '', level: classifyLegacyLogLevel(line), nodeId: null, message: line, raw: line };
+    return { index, time: m[1], level: m[2] || classifyLegacyLogLevel(m[4]), nodeId: m[3] || null, message: m[4], raw: line };
+}
+
+function getLogViewer(execId) {
+    let viewer = logViewers.get(execId);
+    if (!viewer) {
+        viewer = { entries: [], visible: [], levels: new Set(LOG_LEVELS), query: '', follow: true };
+        logViewers.set(execId, viewer);
+    }
+    return viewer;
+}
+
+function logEntryVisible(viewer, entry) {
+    if (!viewer.levels.has(entry.level)) return false;
+    return !viewer.query || entry.raw.toLowerCase().includes(viewer.query.toLowerCase());
+}
+
+function refilterLogViewer(execId) {
+    const viewer = getLogViewer(execId);
+    viewer.visible = viewer.entries.filter(e => logEntryVisible(viewer, e)).map(e => e.index);
+    renderLogViewer(execId);
+}
+
+// 실행 로그 업데이트 (WS 갱신마다 호출 — 새로 붙은 줄만 파싱)
 function updateExecutionLogs(execId, logs) {
-    const logContentElement = document.getElementById(`log-content-${execId}`);
-    if (!logContentElement || !logs || logs.length === 0) {
-        if (logContentElement && logContentElement.children.length === 0) {
-            logContentElement.innerHTML = '<div class="log-line log-info">로그가 없습니다.</div>';
-        }
-        return;
+    const el = document.getElementById(`log-content-${execId}`);
+    if (!el) return;
+    const viewer = getLogViewer(execId);
+    const lines = logs || [];
+    // 로그가 줄어든 경우 (이론적으로는 발생하지 않아야 함) 처음부터 다시 파싱
+    if (lines.length < viewer.entries.length) {
+        viewer.entries = [];
+        viewer.visible = [];
     }
-    
-    try {
-        // 현재 스크롤 위치 확인
-        const scrollHeightBefore = logContentElement.scrollHeight;
-        const scrollTopBefore = logContentElement.scrollTop;
-        const clientHeight = logContentElement.clientHeight;
-        const wasScrolledToBottom = scrollHeightBefore - scrollTopBefore <= clientHeight + 10;
-        
-        // 기존 로그 수 확인
-        const existingLogCount = logContentElement.children.length;
-        const newLogCount = logs.length;
-        
-        // 새 로그만 추가 (깜빡거림 방지)
-        if (newLogCount > existingLogCount) {
-            const newLogs = logs.slice(existingLogCount);
-            const fragment = document.createDocumentFragment();
-            
-            newLogs.forEach(log => {
-                if (!log) return;
-                let logClass = 'log-info';
-                const logStr = String(log);
-                if (logStr.includes('❌') || logStr.includes('실패') || logStr.includes('에러') || logStr.includes('ERROR') || logStr.includes('FAILED')) {
-                    logClass = 'log-error';
-                } else if (logStr.includes('✅') || logStr.includes('성공') || logStr.includes('완료') || logStr.includes('SUCCESS') || logStr.includes('COMPLETED')) {
-                    logClass = 'log-success';
-                } else if (logStr.includes('⚠️') || logStr.includes('경고') || logStr.includes('WARNING')) {
-                    logClass = 'log-warning';
-                } else if (logStr.includes('⏱️') || logStr.includes('PERF') || logStr.includes('성능')) {
-                    logClass = 'log-perf';
-                }
-                
-                const logDiv = document.createElement('div');
-                logDiv.className = `log-line ${logClass}`;
-                logDiv.textContent = logStr;
-                fragment.appendChild(logDiv);
-            });
-            
-            logContentElement.appendChild(fragment);
-            
-            // 스크롤 위치 조정
-            requestAnimationFrame(() => {
-                if (wasScrolledToBottom) {
-                    logContentElement.scrollTop = logContentElement.scrollHeight;
-                }
-            });
-        } else if (newLogCount < existingLogCount) {
-            // 로그가 줄어든 경우 (이론적으로는 발생하지 않아야 함) 전체 재렌더링
-            const html = logs.map(log => {
-                if (!log) return '';
-                let logClass = 'log-info';
-                const logStr = String(log);
-                if (logStr.includes('❌') || logStr.includes('실패') || logStr.includes('에러') || logStr.includes('ERROR') || logStr.includes('FAILED')) {
-                    logClass = 'log-error';
-                } else if (logStr.includes('✅') || logStr.includes('성공') || logStr.includes('완료') || logStr.includes('SUCCESS') || logStr.includes('COMPLETED')) {
-                    logClass = 'log-success';
-                } else if (logStr.includes('⚠️') || logStr.includes('경고') || logStr.includes('WARNING')) {
-                    logClass = 'log-warning';
-                } else if (logStr.includes('⏱️') || logStr.includes('PERF') || logStr.includes('성능')) {
-                    logClass = 'log-perf';
-                }
-                const escapedLog = escapeHtml(logStr);
-                return '<div class="log-line ' + logClass + '">' + escapedLog + '</div>';
-            }).join('');
-            logContentElement.innerHTML = html;
-        }
-    } catch (error) {
-        console.error('로그 업데이트 오류:', error);
-        logContentElement.innerHTML = '<div class="log-line log-error">로그 표시 오류: ' + String(error.message || error) + '</div>';
+    const start = viewer.entries.length;
+    for (let i = start; i < lines.length; i++) {
+        const entry = parseLogLine(String(lines[i] ?? ''), i);
+        viewer.entries.push(entry);
+        if (logEntryVisible(viewer, entry)) viewer.visible.push(i);
+    }
+    if (start !== lines.length || !el.firstChild) renderLogViewer(execId);
+}
+
+function renderLogViewer(execId) {
+    const el = document.getElementById(`log-content-${execId}`);
+    const viewer = logViewers.get(execId);
+    if (!el || !viewer) return;
+
+    if (!el.querySelector('.log-spacer')) {
+        el.innerHTML = '<div class="log-spacer"><div class="log-window"></div></div>';
+        el.addEventListener('scroll', () => {
+            const v = logViewers.get(execId);
+            if (!v) return;
+            // 맨 아래에서 벗어나면 따라가기 해제, 다시 내려오면 재개
+            v.follow = el.scrollHeight - el.scrollTop - el.clientHeight < LOG_ROW_HEIGHT * 2;
+            const followBox = document.getElementById(`log-follow-${execId}`);
+            if (followBox) followBox.checked = v.follow;
+            renderLogWindow(execId);
+        });
+    }
+
+    const counts = Object.fromEntries(LOG_LEVELS.map(l => [l, 0]));
+    viewer.entries.forEach(e => counts[e.level]++);
+    const toggles = document.getElementById(`log-levels-${execId}`);
+    if (toggles) {
+        toggles.innerHTML = LOG_LEVELS.map(l => `
+            <button type="button" class="log-level-toggle log-${l.toLowerCase()}${viewer.levels.has(l) ? ' active' : ''}"
+                    onclick="toggleLogLevel('${execId}', '${l}')">${l} ${counts[l]}</button>`).join('');
+    }
+    const countEl = document.getElementById(`log-count-${execId}`);
+    if (countEl) {
+        countEl.textContent = viewer.visible.length === viewer.entries.length
+            ? `${viewer.entries.length}줄`
+            : `${viewer.visible.length} / ${viewer.entries.length}줄`;
+    }
+
+    el.querySelector('.log-spacer').style.height = `${viewer.visible.length * LOG_ROW_HEIGHT}px`;
+    if (viewer.follow) el.scrollTop = el.scrollHeight;
+    renderLogWindow(execId);
+}
+
+// 스크롤 위치 기준 보이는 줄 + 여유분만 그리기
+function renderLogWindow(execId) {
+    const el = document.getElementById(`log-content-${execId}`);
+    const viewer = logViewers.get(execId);
+    const win = el?.querySelector('.log-window');
+    if (!win || !viewer) return;
+
+    if (viewer.entries.length === 0 || viewer.visible.length === 0) {
+        win.style.transform = '';
+        win.innerHTML = `<div class="log-line log-info">${viewer.entries.length === 0 ? '로그가 아직 없습니다.' : '조건에 맞는 로그가 없습니다.'}</div>`;
+        return;
     }
+    const first = Math.max(0, Math.floor(el.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN);
+    const count = Math.ceil((el.clientHeight || 320) / LOG_ROW_HEIGHT) + LOG_OVERSCAN * 2;
+    win.style.transform = `translateY(${first * LOG_ROW_HEIGHT}px)`;
+    win.innerHTML = viewer.visible.slice(first, first + count).map(i => {
+        const e = viewer.entries[i];
+        return `<div class="log-line log-${e.level.toLowerCase()}" title="${escapeHtml(e.raw)}">`
+            + (e.time ? `<span class="log-time">${e.time}</span>` : '')
+            + `<span class="log-level">${e.level}</span>`
+            + (e.nodeId ? `<span class="log-node">${escapeHtml(e.nodeId)}</span>` : '')
+            + `<span class="log-msg">${highlightText(e.message, viewer.query)}</span></div>`;
+    }).join('');
+}
+
+function toggleLogLevel(execId, level) {
+    const viewer = getLogViewer(execId);
+    if (viewer.levels.has(level)) viewer.levels.delete(level);
+    else viewer.levels.add(level);
+    refilterLogViewer(execId);
+}
+
+function setLogSearch(execId, query) {
+    getLogViewer(execId).query = query.trim();
+    refilterLogViewer(execId);
+}
+
+function setLogFollow(execId, follow) {
+    const viewer = getLogViewer(execId);
+    viewer.follow = follow;
+    if (follow) renderLogViewer(execId);
+}
+
+// 전체 로그 다운로드 (.log: 원문 그대로, .jsonl: 파싱된 항목 한 줄씩)
+function downloadExecutionLogs(execId, format) {
+    const viewer = logViewers.get(execId);
+    if (!viewer || viewer.entries.length === 0) return;
+    const text = format === 'jsonl'
+        ? viewer.entries.map(({ time, level, nodeId, message }) => JSON.stringify({ time, level, nodeId, message })).join('\n')
+        : viewer.entries.map(e => e.raw).join('\n');
+    const blob = new Blob([text + '\n'], { type: format === 'jsonl' ? 'application/x-ndjson' : 'text/plain' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `execution-${execId}.${format}`;
+    a.click();
+    // 바로 해제하면 일부 브라우저에서 다운로드가 취소됨
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
 // 섹션 리사이저 기능
@@ -1681,6 +3024,9 @@ function renderExecution(exec, isCurrent) {
         <div class="execution-item ${statusClass}" data-id="${exec.id}" data-start-time="${exec.startTime}">
             <div class="swipe-inner">
                 <div class="execution-header">
+                    <label class="exec-compare-check" title="비교 대상 선택" onclick="event.stopPropagation()">
+                        <input type="checkbox" ${execCompareSelection.includes(exec.id) ? 'checked' : ''} onchange="toggleExecCompare('${exec.id}', this.checked)">
+                    </label>
                     <div style="flex: 1;">
                         <div class="execution-title">
                             ${isCurrent ? '🔄 ' : ''}${escapeHtml(getExecDisplayName(exec))}
@@ -1693,6 +3039,10 @@ function renderExecution(exec, isCurrent) {
                         ${resultPreview}
                         <div class="node-stats">${formatNodeStats(exec)}</div>
                         ${exec.executionTree ? `<button class="tree-view-btn" data-exec-id="${exec.id}">🌳 트리 보기</button>` : ''}
+                        <button class="trace-view-btn" onclick="event.stopPropagation();showReasoningTrace('${exec.id}')">🧠 추론 보기</button>
+                        <button class="trace-view-btn" onclick="event.stopPropagation();showExecutionTimeline('${exec.id}')">⏱ 타임라인</button>
+                        <button class="trace-view-btn rerun-btn" onclick="event.stopPropagation();rerunExecution('${exec.id}')">🔁 재실행</button>
+                        ${exec.executionTree ? forkButtonHtml(exec.id) : ''}
                     </div>
                 </div>
                 <div class="execution-details" id="details-${exec.id}">
@@ -1707,7 +3057,18 @@ function renderExecution(exec, isCurrent) {
                             <strong>에러:</strong><br>${escapeHtml(exec.error)}
                         </div>
                     ` : ''}
-                    <div class="execution-logs" id="logs-${exec.id}" style="display:none;"><strong>📋 실행 로그:</strong><div class="log-content" id="log-content-${exec.id}"></div></div>
+                    <div class="execution-logs" id="logs-${exec.id}" style="display:none;">
+                        <div class="log-toolbar">
+                            <strong>📋 실행 로그</strong>
+                            <span class="log-level-toggles" id="log-levels-${exec.id}"></span>
+                            <input type="search" class="log-search" placeholder="로그 검색" oninput="setLogSearch('${exec.id}', this.value)">
+                            <label class="log-follow"><input type="checkbox" id="log-follow-${exec.id}" checked onchange="setLogFollow('${exec.id}', this.checked)"> 따라가기</label>
+                            <span class="log-count" id="log-count-${exec.id}"></span>
+                            <button type="button" class="log-dl-btn" onclick="downloadExecutionLogs('${exec.id}', 'log')" title="원문 로그 다운로드">.log</button>
+                            <button type="button" class="log-dl-btn" onclick="downloadExecutionLogs('${exec.id}', 'jsonl')" title="구조화 로그 다운로드">.jsonl</button>
+                        </div>
+                        <div class="log-content" id="log-content-${exec.id}"></div>
+                    </div>
                 </div>
             </div>
             <button class="swipe-del-btn" onclick="event.stopPropagation();deleteExecution('${exec.id}',this)">🗑️<span>삭제</span></button>
@@ -1778,67 +3139,302 @@ function renderExecutionTree(node, depth) {
     return html;
 }
 
-// 실행 로그 로드 함수
+// 실행 로그 로드 함수 (상세 펼칠 때 캐시된 로그로 뷰어 초기화)
 function loadExecutionLogs(execId, logContentElement) {
     if (!logContentElement) return;
-    
-    // 이미 로그가 있으면 업데이트하지 않음
-    if (logContentElement.children.length > 0) {
-        return;
-    }
-    
-    // 캐시에서 로그 가져오기
     const execData = findExecutionData(execId);
-    if (execData && execData.logs && execData.logs.length > 0) {
-        updateExecutionLogs(execId, execData.logs);
-    } else {
-        // 로그가 정말 없을 때만 메시지 표시
-        logContentElement.innerHTML = '<div class="log-line log-info">로그가 아직 없습니다.</div>';
-    }
+    updateExecutionLogs(execId, execData?.logs || []);
 }
 
-// 페이지 로드 시 레이어 목록 및 실행 이력 불러오기
-// LLM 상태 확인 함수 (버튼 클릭 시 호출)
-async function checkLLMStatus() {
-    const statusMessage = document.getElementById('llmStatusMessage');
-    statusMessage.textContent = '확인 중...';
-    statusMessage.className = 'status-message show';
-    
+// ─────────────────────────────────────────────
+// 추론 추적 뷰어 (GET /executions/{id}/trace)
+// ─────────────────────────────────────────────
+
+async function showReasoningTrace(execId) {
+    const modal = document.getElementById('traceModal');
+    const timeline = document.getElementById('traceTimeline');
+    const execData = findExecutionData(execId);
+    document.getElementById('traceModalQuery').textContent = execData ? getExecDisplayName(execData) : execId;
+    timeline.innerHTML = '<div style="padding:20px; color:var(--text-3); text-align:center;">⏳ 불러오는 중...</div>';
+    modal.style.display = 'flex';
+
     try {
-        const response = await fetch(`${API_BASE}/llm-status`);
-        const status = await response.json();
-        
-        if (status.allReady) {
-            statusMessage.textContent = `✅ 모든 LLM이 준비되었습니다!`;
-            statusMessage.className = 'status-message show success';
-            
-            // LLM이 준비되었으면 안내 카드 숨기고 일반 UI 표시
-            setTimeout(() => {
-                document.getElementById('llmNoticeCard')?.classList.remove('show');
-                const leftPanel = document.getElementById('leftPanel');
-                const rightPanel = document.getElementById('rightPanel');
-                if (leftPanel) leftPanel.classList.remove('hidden');
-                if (rightPanel) rightPanel.classList.remove('hidden');
-                loadLLMStatus(); // 헤더 상태 업데이트
-            }, 1500);
-        } else {
-            const notReady = [];
-            if (!status.simple.ready) notReady.push(`SIMPLE (${status.simple.provider})`);
-            if (!status.medium.ready) notReady.push(`MEDIUM (${status.medium.provider})`);
-            if (!status.complex.ready) notReady.push(`COMPLEX (${status.complex.provider})`);
-            
-            statusMessage.textContent = `⚠️ 일부 LLM이 준비되지 않았습니다: ${notReady.join(', ')}`;
-            statusMessage.className = 'status-message show error';
+        const res = await fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}/trace`);
+        if (res.status === 404) {
+            timeline.innerHTML = '<div style="padding:20px; color:var(--text-3); text-align:center;">추론 기록이 없습니다 (트리 직접 실행이거나 보관 한도 초과로 제거됨)</div>';
+            return;
         }
-    } catch (error) {
-        statusMessage.textContent = '❌ LLM 상태를 확인할 수 없습니다. 서버에 연결할 수 없습니다.';
-        statusMessage.className = 'status-message show error';
+        const trace = await res.json();
+        if (trace.error) {
+            timeline.innerHTML = `<div class="message error">${escapeHtml(trace.error)}</div>`;
+            return;
+        }
+        timeline.innerHTML = renderTraceTimeline(trace);
+    } catch (e) {
+        timeline.innerHTML = `<div class="message error">추론 기록을 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
     }
 }
 
-// LLM 상태 로드 (헤더용, 자동 갱신)
-async function loadLLMStatus() {
-    try {
+function closeTraceModal() {
+    document.getElementById('traceModal').style.display = 'none';
+}
+
+function renderTraceTimeline(trace) {
+    const steps = trace.steps || [];
+    if (steps.length === 0) {
+        return '<div style="padding:20px; color:var(--text-3); text-align:center;">기록된 스텝이 없습니다</div>';
+    }
+    const maxLatency = Math.max(...steps.map(s => s.latencyMs || 0)) || 1;
+    const totalLatency = steps.reduce((sum, s) => sum + (s.latencyMs || 0), 0);
+    const failedCount = steps.filter(s => s.parsedDecision == null).length;
+
+    const summary = `<div class="trace-summary">
+        <span>스텝 <strong>${steps.length}</strong></span>
+        <span>LLM 시간 합계 <strong>${(totalLatency / 1000).toFixed(1)}초</strong></span>
+        ${failedCount > 0 ? `<span class="trace-fail-count">❌ 파싱 실패 <strong>${failedCount}</strong></span>` : ''}
+    </div>`;
+
+    return summary + steps.map(s => {
+        const parseFailed = s.parsedDecision == null;
+        const pct = ((s.latencyMs || 0) / maxLatency * 100).toFixed(1);
+        return `<div class="trace-step${parseFailed ? ' parse-failed' : ''}">
+            <div class="trace-step-header">
+                <span class="trace-step-no">#${s.stepNumber}</span>
+                <span class="trace-step-mode">${escapeHtml(s.contextMode)}</span>
+                <span class="trace-step-chars">${s.promptChars.toLocaleString()}자</span>
+                ${parseFailed ? '<span class="trace-parse-flag">❌ 파싱 실패</span>' : ''}
+                <div class="trace-latency" title="${s.latencyMs}ms">
+                    <div class="trace-latency-bar" style="width:${pct}%"></div>
+                </div>
+                <span class="trace-latency-text">${(s.latencyMs / 1000).toFixed(1)}초</span>
+            </div>
+            ${s.parseError ? `<div class="trace-parse-error">${escapeHtml(s.parseError)}</div>` : ''}
+            ${renderTracePane('결정', s.parsedDecision, true)}
+            ${renderTracePane('프롬프트', s.prompt)}
+            ${renderTracePane('응답 (raw)', s.rawResponse)}
+            ${renderTracePane('추출된 JSON', s.extractedJson, parseFailed)}
+        </div>`;
+    }).join('');
+}
+
+/** 접을 수 있는 텍스트 영역. JSON이면 들여쓰기 적용 */
+function renderTracePane(label, text, open = false) {
+    if (text == null || text === '') return '';
+    let body = text;
+    try { body = JSON.stringify(JSON.parse(text), null, 2); } catch (_) {}
+    return `<details class="trace-pane"${open ? ' open' : ''}>
+        <summary>${label} <span class="trace-pane-len">${text.length.toLocaleString()}자</span></summary>
+        <pre>${escapeHtml(body)}</pre>
+    </details>`;
+}
+
+// ─────────────────────────────────────────────
+// 실행 타임라인 (GET /executions/{id} + /trace)
+// 노드·LLM 호출을 공통 시간축 위 막대로 — 어디서 시간이 가는지 확인용
+// ─────────────────────────────────────────────
+
+const TIMELINE_TICK_STEPS = [100, 250, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000, 300000, 600000, 900000, 1800000, 3600000];
+let timelineTips = [];
+
+async function showExecutionTimeline(execId) {
+    const modal = document.getElementById('timelineModal');
+    const body = document.getElementById('timelineBody');
+    const execData = findExecutionData(execId);
+    document.getElementById('timelineModalQuery').textContent = execData ? getExecDisplayName(execData) : execId;
+    body.innerHTML = '<div style="padding:20px; color:var(--text-3); text-align:center;">⏳ 불러오는 중...</div>';
+    modal.style.display = 'flex';
+
+    try {
+        const [detailRes, traceRes] = await Promise.all([
+            fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}`),
+            fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}/trace`)
+        ]);
+        const detail = await detailRes.json();
+        if (!detailRes.ok || detail.error) {
+            body.innerHTML = `<div class="message error">${escapeHtml(detail.error || '실행을 찾을 수 없습니다')}</div>`;
+            return;
+        }
+        // 추론 기록은 인메모리라 없을 수 있음 (트리 직접 실행·보관 한도 초과)
+        const trace = traceRes.ok ? await traceRes.json() : null;
+        body.innerHTML = renderExecutionTimeline(detail, trace);
+    } catch (e) {
+        body.innerHTML = `<div class="message error">타임라인을 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+function closeExecutionTimeline() {
+    document.getElementById('timelineModal').style.display = 'none';
+    hideTimelineTooltip();
+}
+
+function formatSpan(ms) {
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}초`;
+    return `${Math.floor(ms / 60000)}분 ${Math.round((ms % 60000) / 1000)}초`;
+}
+
+/**
+ * 노드 → 레인 배치. 같은 layer.function 이 실패 뒤 다시 실행되면 재시도로 보고 같은 레인에 이어 붙임
+ * 겹치는 구간(병렬 자식)은 각자 레인을 가지므로 막대가 나란히 겹쳐 보임
+ */
+function buildTimelineLanes(nodes) {
+    const lanes = [];
+    nodes.slice().sort((a, b) => a.startedAt - b.startedAt).forEach(n => {
+        const key = `${n.layerName}.${n.function}`;
+        const lane = lanes.find(l => {
+            const last = l.segments[l.segments.length - 1];
+            return l.key === key && last.status === 'FAILED' && last.endedAt <= n.startedAt;
+        });
+        if (lane) lane.segments.push({ ...n, retry: true });
+        else lanes.push({ key, segments: [{ ...n, retry: false }] });
+    });
+    return lanes;
+}
+
+function renderExecutionTimeline(detail, trace) {
+    const exec = detail.execution;
+    const nodes = (detail.nodeResults || []).filter(n => n.startedAt != null && n.endedAt != null);
+    const llmSteps = (trace?.steps || []).filter(s => s.startedAt > 0);
+    if (nodes.length === 0 && llmSteps.length === 0) {
+        return '<div style="padding:20px; color:var(--text-3); text-align:center;">시각 정보가 없습니다 (타임라인 기록 이전의 실행이거나 아직 끝난 노드가 없음)</div>';
+    }
+
+    const t0 = Math.min(exec.startTime, ...nodes.map(n => n.startedAt), ...llmSteps.map(s => s.startedAt));
+    const t1 = Math.max(exec.endTime || Date.now(), ...nodes.map(n => n.endedAt), ...llmSteps.map(s => s.startedAt + s.latencyMs));
+    const span = Math.max(1, t1 - t0);
+    const pct = t => ((t - t0) / span * 100).toFixed(3);
+    const width = (a, b) => Math.max(0, (b - a) / span * 100).toFixed(3);
+    timelineTips = [];
+    const tip = html => { timelineTips.push(html); return timelineTips.length - 1; };
+
+    // 요약: LLM / 승인 대기 / 레이어별 실행 시간
+    const llmMs = llmSteps.reduce((sum, s) => sum + s.latencyMs, 0);
+    const waitMs = nodes.reduce((sum, n) => sum + (n.approvalWaits || []).reduce((w, a) => w + (a.endedAt - a.startedAt), 0), 0);
+    const byLayer = {};
+    nodes.forEach(n => { byLayer[n.layerName] = (byLayer[n.layerName] || 0) + (n.endedAt - n.startedAt); });
+    const topLayers = Object.entries(byLayer).sort((a, b) => b[1] - a[1]).slice(0, 3);
+    const summary = `<div class="trace-summary">
+        <span>전체 <strong>${formatSpan(span)}</strong></span>
+        ${trace ? `<span>🧠 LLM <strong>${formatSpan(llmMs)}</strong></span>` : '<span>🧠 LLM 기록 없음</span>'}
+        ${waitMs > 0 ? `<span>⏳ 승인 대기 <strong>${formatSpan(waitMs)}</strong></span>` : ''}
+        ${topLayers.map(([name, ms]) => `<span>${escapeHtml(name)} <strong>${formatSpan(ms)}</strong></span>`).join('')}
+    </div>`;
+
+    // 시간축 눈금 (최대 8개 남짓)
+    const step = TIMELINE_TICK_STEPS.find(s => span / s <= 8) || TIMELINE_TICK_STEPS[TIMELINE_TICK_STEPS.length - 1];
+    let ticks = '';
+    for (let t = 0; t <= span; t += step) {
+        ticks += `<span class="tl-tick" style="left:${(t / span * 100).toFixed(3)}%">${formatSpan(t)}</span>`;
+    }
+
+    const rows = [];
+    if (llmSteps.length > 0) {
+        const bars = llmSteps.map(s => {
+            const failed = s.parsedDecision == null;
+            const idx = tip(`<strong>🧠 LLM 스텝 #${s.stepNumber}</strong>
+                <div>${formatSpan(s.latencyMs)} · ${escapeHtml(s.contextMode)} · 프롬프트 ${s.promptChars.toLocaleString()}자</div>
+                ${failed ? `<div class="tl-tip-error">❌ 파싱 실패: ${escapeHtml(s.parseError || '')}</div>` : ''}
+                ${s.parsedDecision ? `<pre>${escapeHtml(s.parsedDecision.slice(0, 600))}</pre>` : ''}`);
+            return `<div class="tl-bar tl-llm${failed ? ' tl-failed' : ''}" data-tip="${idx}"
+                        style="left:${pct(s.startedAt)}%; width:${width(s.startedAt, s.startedAt + s.latencyMs)}%">#${s.stepNumber}</div>`;
+        }).join('');
+        rows.push(`<div class="tl-row"><div class="tl-label">🧠 LLM</div><div class="tl-track">${bars}</div></div>`);
+    }
+
+    buildTimelineLanes(nodes).forEach(lane => {
+        const bars = lane.segments.map(n => {
+            const dur = n.endedAt - n.startedAt;
+            const waits = (n.approvalWaits || []).map(w => `<div class="tl-wait${w.approved ? '' : ' rejected'}"
+                style="left:${((w.startedAt - n.startedAt) / Math.max(1, dur) * 100).toFixed(3)}%; width:${((w.endedAt - w.startedAt) / Math.max(1, dur) * 100).toFixed(3)}%"></div>`).join('');
+            const args = Object.entries(n.args || {});
+            const waitTotal = (n.approvalWaits || []).reduce((w, a) => w + (a.endedAt - a.startedAt), 0);
+            const idx = tip(`<strong>${escapeHtml(lane.key)}</strong>${n.retry ? ' <span class="tl-tip-retry">↻ 재시도</span>' : ''}
+                <div>${escapeHtml(n.status)} · +${formatSpan(n.startedAt - t0)} 시작 · ${formatSpan(dur)}${waitTotal > 0 ? ` (승인 대기 ${formatSpan(waitTotal)})` : ''}</div>
+                ${args.length ? `<div class="tl-tip-label">args</div><pre>${escapeHtml(args.map(([k, v]) => `${k}: ${v.slice(0, 300)}`).join('\n'))}</pre>` : ''}
+                ${n.error ? `<div class="tl-tip-label">error</div><pre class="tl-tip-error">${escapeHtml(n.error.slice(0, 600))}</pre>`
+                    : n.result ? `<div class="tl-tip-label">result</div><pre>${escapeHtml(n.result.slice(0, 600))}</pre>` : ''}`);
+            return `<div class="tl-bar tl-status-${n.status.toLowerCase()}${n.retry ? ' tl-retry' : ''}" data-tip="${idx}"
+                        style="left:${pct(n.startedAt)}%; width:${width(n.startedAt, n.endedAt)}%">${waits}</div>`;
+        }).join('');
+        const retries = lane.segments.length - 1;
+        rows.push(`<div class="tl-row"><div class="tl-label" title="${escapeHtml(lane.key)}">${escapeHtml(lane.key)}${retries > 0 ? ` <span class="tl-retry-count">↻${retries}</span>` : ''}</div><div class="tl-track">${bars}</div></div>`);
+    });
+
+    const missing = (detail.nodeResults || []).length - nodes.length;
+    return summary
+        + (missing > 0 ? `<div class="tl-note">시각 정보가 없는 노드 ${missing}개는 표시하지 않았습니다</div>` : '')
+        + `<div class="tl-chart" onmousemove="moveTimelineTooltip(event)" onmouseleave="hideTimelineTooltip()">
+            <div class="tl-row tl-axis"><div class="tl-label"></div><div class="tl-track">${ticks}</div></div>
+            ${rows.join('')}
+        </div>`;
+}
+
+function moveTimelineTooltip(e) {
+    const tooltip = document.getElementById('timelineTooltip');
+    const bar = e.target.closest('[data-tip]');
+    if (!bar) { hideTimelineTooltip(); return; }
+    const html = timelineTips[Number(bar.dataset.tip)];
+    if (tooltip.dataset.tip !== bar.dataset.tip) {
+        tooltip.innerHTML = html;
+        tooltip.dataset.tip = bar.dataset.tip;
+    }
+    tooltip.style.display = 'block';
+    // 화면 오른쪽·아래 끝에서는 커서 반대편으로
+    const x = e.clientX + 14 + tooltip.offsetWidth > window.innerWidth ? e.clientX - tooltip.offsetWidth - 14 : e.clientX + 14;
+    const y = e.clientY + 14 + tooltip.offsetHeight > window.innerHeight ? e.clientY - tooltip.offsetHeight - 14 : e.clientY + 14;
+    tooltip.style.left = `${Math.max(4, x)}px`;
+    tooltip.style.top = `${Math.max(4, y)}px`;
+}
+
+function hideTimelineTooltip() {
+    const tooltip = document.getElementById('timelineTooltip');
+    if (!tooltip) return;
+    tooltip.style.display = 'none';
+    delete tooltip.dataset.tip;
+}
+
+// 페이지 로드 시 레이어 목록 및 실행 이력 불러오기
+// LLM 상태 확인 함수 (버튼 클릭 시 호출)
+async function checkLLMStatus() {
+    const statusMessage = document.getElementById('llmStatusMessage');
+    statusMessage.textContent = '확인 중...';
+    statusMessage.className = 'status-message show';
+    
+    try {
+        const response = await fetch(`${API_BASE}/llm-status`);
+        const status = await response.json();
+        
+        if (status.allReady) {
+            statusMessage.textContent = `✅ 모든 LLM이 준비되었습니다!`;
+            statusMessage.className = 'status-message show success';
+            
+            // LLM이 준비되었으면 안내 카드 숨기고 일반 UI 표시
+            setTimeout(() => {
+                document.getElementById('llmNoticeCard')?.classList.remove('show');
+                const leftPanel = document.getElementById('leftPanel');
+                const rightPanel = document.getElementById('rightPanel');
+                if (leftPanel) leftPanel.classList.remove('hidden');
+                if (rightPanel) rightPanel.classList.remove('hidden');
+                loadLLMStatus(); // 헤더 상태 업데이트
+            }, 1500);
+        } else {
+            const notReady = [];
+            if (!status.simple.ready) notReady.push(`SIMPLE (${status.simple.provider})`);
+            if (!status.medium.ready) notReady.push(`MEDIUM (${status.medium.provider})`);
+            if (!status.complex.ready) notReady.push(`COMPLEX (${status.complex.provider})`);
+            
+            statusMessage.textContent = `⚠️ 일부 LLM이 준비되지 않았습니다: ${notReady.join(', ')}`;
+            statusMessage.className = 'status-message show error';
+        }
+    } catch (error) {
+        statusMessage.textContent = '❌ LLM 상태를 확인할 수 없습니다. 서버에 연결할 수 없습니다.';
+        statusMessage.className = 'status-message show error';
+    }
+}
+
+// LLM 상태 로드 (헤더용, 자동 갱신)
+async function loadLLMStatus() {
+    try {
         const response = await fetch(`${API_BASE}/llm-status`);
         const status = await response.json();
         
@@ -1886,111 +3482,514 @@ async function loadLLMStatus() {
 // ─────────────────────────────────────────────
 // 파일 수정 승인 패널
 // ─────────────────────────────────────────────
-let currentApprovalId = null;
+// 승인 대기 인박스 (id → ApprovalRequest). 동시 요청이 서로 덮어쓰지 않도록 큐로 관리
+const pendingApprovals = new Map();
+let selectedApprovalId = null;
+let approvalAgeTimer = null;
 
 const APPROVAL_KIND_META = {
-    FILE:      { title: '📝 파일 수정 승인',  confirm: '변경사항을 실제로 적용하시겠습니까?' },
-    EXECUTION: { title: '⚡ 실행 승인',        confirm: '이 작업을 실행하시겠습니까?' },
+    FILE:      { title: '📝 파일 수정 승인',  confirm: '변경사항을 실제로 적용하시겠습니까?', badge: 'FILE' },
+    EXECUTION: { title: '⚡ 실행 승인',        confirm: '이 작업을 실행하시겠습니까?', badge: 'EXECUTION' },
 };
 
+/** WebSocket APPROVAL_REQUIRED 수신 → 인박스에 추가 */
 function showApprovalPanel(data) {
-    currentApprovalId = data.id;
+    pendingApprovals.set(data.id, { ...data, requestedAt: data.requestedAt || Date.now() });
+    if (!selectedApprovalId) selectedApprovalId = data.id;
+    openApprovalInbox();
+}
+
+/** 새로고침 이전부터 대기 중인 승인 요청 복구 */
+async function loadPendingApprovals() {
+    try {
+        const res = await fetch(`${API_BASE}/approval/pending`);
+        const list = await res.json();
+        pendingApprovals.clear();
+        list.forEach(req => pendingApprovals.set(req.id, req));
+        if (!pendingApprovals.has(selectedApprovalId)) selectedApprovalId = list[0]?.id || null;
+        if (pendingApprovals.size) openApprovalInbox();
+        else renderApprovalInbox();
+    } catch (e) {
+        console.error('승인 대기 목록 조회 실패:', e);
+    }
+}
+
+/** 승인·거절·타임아웃(다른 탭 포함)으로 종료된 요청 제거 */
+function removeApproval(id) {
+    if (!pendingApprovals.delete(id)) return;
+    approvalHunkRejected.delete(id);
+    approvalHunkCollapsed.delete(id);
+    approvalEditDrafts.delete(id);
+    if (selectedApprovalId === id) selectedApprovalId = pendingApprovals.keys().next().value || null;
+    renderApprovalInbox();
+    if (!pendingApprovals.size) closeApprovalInbox();
+}
+
+function openApprovalInbox() {
+    renderApprovalInbox();
+    if (!pendingApprovals.size) return;
+    document.getElementById('approvalModal').style.display = 'flex';
+    if (!approvalAgeTimer) approvalAgeTimer = setInterval(renderApprovalAges, 5000);
+}
+
+function closeApprovalInbox() {
+    document.getElementById('approvalModal').style.display = 'none';
+    clearInterval(approvalAgeTimer);
+    approvalAgeTimer = null;
+}
+
+function formatApprovalAge(requestedAt) {
+    const sec = Math.max(0, Math.floor((Date.now() - requestedAt) / 1000));
+    if (sec < 60) return `${sec}초 전`;
+    if (sec < 3600) return `${Math.floor(sec / 60)}분 전`;
+    return `${Math.floor(sec / 3600)}시간 전`;
+}
+
+function renderApprovalAges() {
+    document.querySelectorAll('#approvalQueueList [data-requested-at]').forEach(el => {
+        el.textContent = formatApprovalAge(Number(el.dataset.requestedAt));
+    });
+}
+
+function renderApprovalInbox() {
+    const count = pendingApprovals.size;
+    const inboxBtn = document.getElementById('approvalInboxBtn');
+    inboxBtn.style.display = count ? '' : 'none';
+    document.getElementById('approvalInboxCount').textContent = count;
+    document.getElementById('approvalQueueCount').textContent = count;
+
+    const listEl = document.getElementById('approvalQueueList');
+    const checked = new Set([...listEl.querySelectorAll('input[type="checkbox"]:checked')].map(cb => cb.value));
+    listEl.innerHTML = [...pendingApprovals.values()].map(req => {
+        const meta = APPROVAL_KIND_META[req.kind] || APPROVAL_KIND_META.EXECUTION;
+        const execLink = req.executionId
+            ? `<a class="chat-exec-link" onclick="event.stopPropagation();closeApprovalInbox();jumpToExecution('${escapeHtml(req.executionId)}')">실행 ${escapeHtml(req.executionId.slice(0, 8))}</a>`
+            : '<span>실행 정보 없음</span>';
+        return `
+            <div class="approval-queue-item ${req.id === selectedApprovalId ? 'selected' : ''}" onclick="selectApproval('${escapeHtml(req.id)}')">
+                <input type="checkbox" value="${escapeHtml(req.id)}" ${checked.has(req.id) ? 'checked' : ''} onclick="event.stopPropagation()">
+                <div class="approval-queue-info">
+                    <div><span class="approval-kind-badge kind-${(req.kind || 'EXECUTION').toLowerCase()}">${meta.badge}</span>
+                        <span class="approval-queue-path">${escapeHtml(req.path)}</span></div>
+                    <div class="approval-queue-meta">${execLink} · <span data-requested-at="${req.requestedAt}">${formatApprovalAge(req.requestedAt)}</span></div>
+                </div>
+                <button class="btn-ghost" title="거절" onclick="event.stopPropagation();resolveApproval('${escapeHtml(req.id)}', false)">✕</button>
+                <button class="btn-success" title="승인" onclick="event.stopPropagation();resolveApproval('${escapeHtml(req.id)}', true)">✓</button>
+            </div>`;
+    }).join('');
+    renderApprovalDetail();
+}
+
+function selectApproval(id) {
+    selectedApprovalId = id;
+    renderApprovalInbox();
+}
+
+function renderApprovalDetail() {
+    const data = pendingApprovals.get(selectedApprovalId);
+    const diffEl = document.getElementById('approvalDiff');
+    if (!data) {
+        document.getElementById('approvalPath').textContent = '';
+        diffEl.innerHTML = '';
+        return;
+    }
     document.getElementById('approvalPath').textContent = data.path;
 
     const meta = APPROVAL_KIND_META[data.kind] || APPROVAL_KIND_META.EXECUTION;
     document.getElementById('approvalTitle').textContent = meta.title;
     document.querySelector('#approvalModal .approval-confirm-text').textContent = meta.confirm;
 
-    const diffEl = document.getElementById('approvalDiff');
-    if (data.kind === 'FILE') {
-        diffEl.innerHTML = (data.diff || '').split('\n').map(line => {
-            if (line.startsWith('+')) {
-                return `<span style="background:#d3f9d8; display:block; padding:0 2px;">${escapeHtml(line)}</span>`;
-            } else if (line.startsWith('-')) {
-                return `<span style="background:#ffe3e3; display:block; padding:0 2px;">${escapeHtml(line)}</span>`;
-            } else if (line.startsWith('@')) {
-                return `<span style="color:#868e96; display:block; padding:0 2px;">${escapeHtml(line)}</span>`;
-            } else {
-                return `<span style="display:block; padding:0 2px;">${escapeHtml(line)}</span>`;
-            }
-        }).join('');
+    const hunks = data.kind === 'FILE' ? parseUnifiedDiff(data.diff || '') : [];
+    const editing = approvalEditDrafts.has(data.id);
+    document.getElementById('diffViewToolbar').style.display = hunks.length && !editing ? 'flex' : 'none';
+    document.getElementById('approvalEditBtn').style.display = data.editable && data.newContent != null ? '' : 'none';
+    document.getElementById('approvalEditBtn').textContent = editing ? '↩ 수정 취소' : '✏️ 수정 후 승인';
+    document.getElementById('approvalApproveBtn').textContent = editing ? '✓ 수정본으로 승인' : '✓ 승인';
+    if (editing) {
+        // 새 요청 도착 등으로 다시 그려도 입력 중인 편집기는 유지
+        if (diffEl.querySelector(`textarea[data-approval-id="${data.id}"]`)) return;
+        diffEl.innerHTML = `<textarea class="approval-edit-area" data-approval-id="${escapeHtml(data.id)}" spellcheck="false"
+            oninput="approvalEditDrafts.set(this.dataset.approvalId, this.value)">${escapeHtml(approvalEditDrafts.get(data.id))}</textarea>`;
+    } else if (hunks.length) {
+        diffEl.innerHTML = renderDiffViewer(data, hunks);
     } else {
-        diffEl.innerHTML = `<span style="display:block; padding:4px 2px; color:#495057;">${escapeHtml(data.diff || '')}</span>`;
+        diffEl.innerHTML = `<span style="display:block; padding:4px 2px; color:#495057; white-space:pre-wrap;">${escapeHtml(data.diff || '')}</span>`;
     }
-
-    document.getElementById('approvalModal').style.display = 'flex';
 }
 
-async function handleApproval(approved) {
-    if (!currentApprovalId) return;
+async function resolveApproval(id, approved) {
     const action = approved ? 'approve' : 'reject';
+    // 수정 모드면 편집한 전체 내용을, 아니면 제외한 hunk 를 뺀 부분 패치를 함께 전송 (모두 제외 = 거절)
+    const content = approved ? approvalEditDrafts.get(id) : undefined;
+    const patch = approved && content === undefined ? buildApprovalPatch(id) : null;
+    if (patch === '') return resolveApproval(id, false);
+    const body = content !== undefined ? { content } : patch ? { patch } : null;
     try {
-        await fetch(`${API_BASE}/approval/${currentApprovalId}/${action}`, { method: 'POST' });
+        const res = await fetch(`${API_BASE}/approval/${id}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : ''
+        });
+        const data = await res.json().catch(() => ({}));
+        if (data.error) {
+            // 패치 적용 실패 — 요청은 아직 대기 중이므로 목록에 남겨 다시 고를 수 있게 함
+            alert('승인 실패: ' + data.error);
+            return;
+        }
     } catch (e) {
         console.error('Approval request failed:', e);
     }
-    document.getElementById('approvalModal').style.display = 'none';
-    currentApprovalId = null;
+    // 실패(이미 타임아웃 등)해도 더 이상 응답할 수 없는 요청이므로 목록에서 제거
+    removeApproval(id);
+}
+
+/** 선택된 상세 항목 승인/거절 (모달 하단 버튼) */
+async function handleApproval(approved) {
+    if (!selectedApprovalId) return;
+    await resolveApproval(selectedApprovalId, approved);
+}
+
+/** 체크된 항목 일괄 처리 (체크 없으면 전체) */
+async function resolveCheckedApprovals(approved) {
+    const checked = [...document.querySelectorAll('#approvalQueueList input[type="checkbox"]:checked')].map(cb => cb.value);
+    const ids = checked.length ? checked : [...pendingApprovals.keys()];
+    const label = checked.length ? `선택한 ${ids.length}건` : `전체 ${ids.length}건`;
+    if (!confirm(`${label}을 ${approved ? '승인' : '거절'}할까요?`)) return;
+    await Promise.all(ids.map(id => resolveApproval(id, approved)));
+}
+
+function toggleAllApprovals(checked) {
+    document.querySelectorAll('#approvalQueueList input[type="checkbox"]').forEach(cb => { cb.checked = checked; });
+}
+
+// ─────────────────────────────────────────────
+// FILE 승인 diff 뷰어 (나란히/인라인, hunk 접기, 줄 내 변경 강조, Kotlin 구문 색상, hunk 단위 승인)
+// ─────────────────────────────────────────────
+let diffViewMode = localStorage.getItem('diffViewMode') || 'split';
+const approvalHunkRejected = new Map();   // approvalId → 제외한 hunk 인덱스 Set
+const approvalHunkCollapsed = new Map();  // approvalId → 접은 hunk 인덱스 Set
+const approvalEditDrafts = new Map();     // approvalId → 수정 모드 편집 내용 (있으면 수정 모드)
+
+/** 제안된 새 내용을 직접 고쳐 승인하는 수정 모드 전환 */
+function toggleApprovalEdit() {
+    const data = pendingApprovals.get(selectedApprovalId);
+    if (!data || data.newContent == null) return;
+    if (approvalEditDrafts.has(data.id)) {
+        const draft = approvalEditDrafts.get(data.id);
+        if (draft !== data.newContent && !confirm('수정한 내용을 버릴까요?')) return;
+        approvalEditDrafts.delete(data.id);
+    } else {
+        approvalEditDrafts.set(data.id, data.newContent);
+    }
+    renderApprovalDetail();
+}
+
+function hunkSet(map, id) {
+    if (!map.has(id)) map.set(id, new Set());
+    return map.get(id);
+}
+
+/** unified diff → hunk 목록 ({header, oldStart, oldCount, newStart, lines[{op, text}]}) */
+function parseUnifiedDiff(text) {
+    const hunks = [];
+    let cur = null;
+    text.split('\n').forEach(line => {
+        const m = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (m) {
+            cur = { header: line, oldStart: +m[1], oldCount: m[2] === undefined ? 1 : +m[2], newStart: +m[3], lines: [] };
+            hunks.push(cur);
+        } else if (cur && /^[ +-]/.test(line)) {
+            cur.lines.push({ op: line[0], text: line.slice(1) });
+        }
+    });
+    return hunks;
+}
+
+/** hunk 줄 → 표시 행. 연속된 -/+ 블록은 짝지어 줄 내 변경을 비교 */
+function buildHunkRows(hunk) {
+    const rows = [];
+    let oldNo = hunk.oldCount === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    let newNo = hunk.newStart;
+    let i = 0;
+    while (i < hunk.lines.length) {
+        const line = hunk.lines[i];
+        if (line.op === ' ') {
+            rows.push({ left: { no: oldNo++, text: line.text, op: ' ' }, right: { no: newNo++, text: line.text, op: ' ' } });
+            i++;
+            continue;
+        }
+        const dels = [], adds = [];
+        while (i < hunk.lines.length && hunk.lines[i].op === '-') dels.push({ no: oldNo++, text: hunk.lines[i++].text, op: '-' });
+        while (i < hunk.lines.length && hunk.lines[i].op === '+') adds.push({ no: newNo++, text: hunk.lines[i++].text, op: '+' });
+        for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+            const left = dels[k] || null, right = adds[k] || null;
+            if (left && right) [left.html, right.html] = intraLineDiff(left.text, right.text);
+            rows.push({ left, right });
+        }
+    }
+    return rows;
+}
+
+/** 공통 앞/뒤 문자를 제외한 가운데를 변경 구간으로 강조 */
+function intraLineDiff(a, b, highlight = highlightKotlin) {
+    let p = 0;
+    while (p < a.length && p < b.length && a[p] === b[p]) p++;
+    let s = 0;
+    while (s < a.length - p && s < b.length - p && a[a.length - 1 - s] === b[b.length - 1 - s]) s++;
+    const mark = (t) => {
+        const mid = t.slice(p, t.length - s);
+        return highlight(t.slice(0, p))
+            + (mid ? `<span class="diff-word">${highlight(mid)}</span>` : '')
+            + highlight(t.slice(t.length - s));
+    };
+    return [mark(a), mark(b)];
+}
+
+const KOTLIN_KEYWORDS = new Set(('package import class interface object fun val var if else when for while do return '
+    + 'try catch finally throw in is as null true false this super private public internal protected override '
+    + 'suspend data sealed enum companion open abstract lateinit const inline operator by init typealias').split(' '));
+
+/** 경량 Kotlin 구문 색상 (주석·문자열·어노테이션·숫자·키워드) */
+function highlightKotlin(text) {
+    const token = /(\/\/.*$|\/\*.*?(?:\*\/|$)|"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'|@\w+|\b\d[\d_]*(?:\.\d+)?[fFLuU]?\b|\b[A-Za-z_]\w*\b)/g;
+    let html = '', last = 0, m;
+    while ((m = token.exec(text)) !== null) {
+        html += escapeHtml(text.slice(last, m.index));
+        const t = m[0];
+        let cls = null;
+        if (t.startsWith('//') || t.startsWith('/*')) cls = 'kt-comment';
+        else if (t[0] === '"' || t[0] === "'") cls = 'kt-string';
+        else if (t[0] === '@') cls = 'kt-annotation';
+        else if (/^\d/.test(t)) cls = 'kt-number';
+        else if (KOTLIN_KEYWORDS.has(t)) cls = 'kt-keyword';
+        else if (/^[A-Z]/.test(t)) cls = 'kt-type';
+        html += cls ? `<span class="${cls}">${escapeHtml(t)}</span>` : escapeHtml(t);
+        last = m.index + t.length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+function renderDiffCell(cell) {
+    if (!cell) return '<td class="diff-no"></td><td class="diff-code diff-empty"></td>';
+    const cls = cell.op === '-' ? 'diff-del' : cell.op === '+' ? 'diff-add' : '';
+    return `<td class="diff-no ${cls}">${cell.no}</td><td class="diff-code ${cls}">${cell.html ?? highlightKotlin(cell.text)}</td>`;
+}
+
+function renderDiffViewer(data, hunks) {
+    document.querySelectorAll('#diffViewToolbar [data-mode]').forEach(btn =>
+        btn.classList.toggle('active', btn.dataset.mode === diffViewMode));
+    const rejected = hunkSet(approvalHunkRejected, data.id);
+    const collapsed = hunkSet(approvalHunkCollapsed, data.id);
+    let prevOldEnd = 1;
+    return hunks.map((hunk, idx) => {
+        const gap = hunk.oldStart - prevOldEnd;
+        prevOldEnd = hunk.oldStart + hunk.oldCount;
+        const skipped = idx > 0 && gap > 0 ? `<div class="diff-gap">⋯ ${gap}줄 동일</div>` : '';
+        const adds = hunk.lines.filter(l => l.op === '+').length;
+        const dels = hunk.lines.filter(l => l.op === '-').length;
+        const isRejected = rejected.has(idx);
+        const toggle = data.editable
+            ? `<button class="diff-hunk-toggle ${isRejected ? 'rejected' : ''}" onclick="event.stopPropagation();toggleHunkAccepted('${data.id}', ${idx})">${isRejected ? '✕ 제외됨' : '✓ 적용'}</button>`
+            : '';
+        let body = '';
+        if (!collapsed.has(idx)) {
+            const rows = buildHunkRows(hunk);
+            body = diffViewMode === 'split'
+                ? rows.map(r => `<tr>${renderDiffCell(r.left)}${renderDiffCell(r.right)}</tr>`).join('')
+                : rows.flatMap(r => r.left && r.left.op === ' '
+                    ? [`<tr><td class="diff-no">${r.left.no}</td><td class="diff-no">${r.right.no}</td><td class="diff-code">${highlightKotlin(r.left.text)}</td></tr>`]
+                    : [r.left, r.right].filter(Boolean).map(c => {
+                        const cls = c.op === '-' ? 'diff-del' : 'diff-add';
+                        return `<tr><td class="diff-no ${cls}">${c.op === '-' ? c.no : ''}</td><td class="diff-no ${cls}">${c.op === '+' ? c.no : ''}</td><td class="diff-code ${cls}">${c.html ?? highlightKotlin(c.text)}</td></tr>`;
+                    })).join('');
+            body = `<table class="diff-table diff-${diffViewMode}">${body}</table>`;
+        }
+        return `${skipped}
+            <div class="diff-hunk ${isRejected ? 'rejected' : ''}">
+                <div class="diff-hunk-header" onclick="toggleHunkCollapsed('${data.id}', ${idx})">
+                    <span>${collapsed.has(idx) ? '▸' : '▾'} ${escapeHtml(hunk.header)}</span>
+                    <span class="diff-hunk-stat"><span class="diff-stat-add">+${adds}</span> <span class="diff-stat-del">−${dels}</span></span>
+                    ${toggle}
+                </div>
+                ${body}
+            </div>`;
+    }).join('');
+}
+
+function setDiffViewMode(mode) {
+    diffViewMode = mode;
+    localStorage.setItem('diffViewMode', mode);
+    renderApprovalDetail();
+}
+
+function toggleHunkCollapsed(id, idx) {
+    const set = hunkSet(approvalHunkCollapsed, id);
+    set.has(idx) ? set.delete(idx) : set.add(idx);
+    renderApprovalDetail();
+}
+
+function setAllHunksCollapsed(collapse) {
+    const data = pendingApprovals.get(selectedApprovalId);
+    if (!data) return;
+    const set = hunkSet(approvalHunkCollapsed, data.id);
+    set.clear();
+    if (collapse) parseUnifiedDiff(data.diff || '').forEach((_, idx) => set.add(idx));
+    renderApprovalDetail();
+}
+
+function toggleHunkAccepted(id, idx) {
+    const set = hunkSet(approvalHunkRejected, id);
+    set.has(idx) ? set.delete(idx) : set.add(idx);
+    renderApprovalDetail();
+}
+
+/**
+ * 제외한 hunk 를 뺀 부분 패치 생성
+ * @returns null = 전체 승인(패치 불필요), '' = 모든 hunk 제외, 그 외 = 승인할 hunk 만 담은 unified diff
+ */
+function buildApprovalPatch(id) {
+    const data = pendingApprovals.get(id);
+    const rejected = approvalHunkRejected.get(id);
+    if (!data || !data.editable || !rejected || rejected.size === 0) return null;
+    const hunks = parseUnifiedDiff(data.diff || '');
+    const accepted = hunks.filter((_, idx) => !rejected.has(idx));
+    if (!accepted.length) return '';
+    const header = (data.diff || '').split('\n').filter(l => l.startsWith('--- ') || l.startsWith('+++ ')).slice(0, 2);
+    return [...header, ...accepted.flatMap(h => [h.header, ...h.lines.map(l => l.op + l.text)])].join('\n') + '\n';
 }
 
 // ─────────────────────────────────────────────
 // 사용자 질문 (Clarification) — 채팅 인라인
 // ─────────────────────────────────────────────
-let currentClarificationId = null;
+// 대기 중인 질문 (id → ClarificationRequest). 하나면 채팅 인라인, 여러 개면 인박스로도 표시
+const pendingClarifications = new Map();
 
+/** WebSocket CLARIFICATION_REQUIRED 수신 → 채팅에 질문 말풍선 추가 */
 function showClarificationModal(data) {
-    currentClarificationId = data.id;
-    const chatMessages = document.getElementById('chatMessages');
-    const chatInput = document.getElementById('chatInput');
-
-    // 채팅 입력 비활성화 (답변 중)
-    chatInput.disabled = true;
+    if (pendingClarifications.has(data.id)) return;
+    pendingClarifications.set(data.id, { ...data, requestedAt: data.requestedAt || Date.now() });
+    appendClarificationBubble(data);
+    document.getElementById(`clar-chat-${data.id}-input`)?.focus();
+    refreshClarificationUI();
+}
 
-    const formId = `clarification-form-${data.id}`;
-    const inputId = `clarification-input-${data.id}`;
+/** 대화 기록을 다시 그린 뒤 (세션 전환·초기화) 대기 중인 질문 말풍선 복구 */
+function renderPendingClarificationBubbles() {
+    pendingClarifications.forEach(data => {
+        if (!document.getElementById(`clarification-bubble-${data.id}`)) appendClarificationBubble(data);
+    });
+}
 
+function appendClarificationBubble(data) {
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.querySelector('.chat-placeholder')?.remove();
+    const execLink = data.executionId
+        ? ` <a class="chat-exec-link" onclick="jumpToExecution('${escapeHtml(data.executionId)}')">실행 ${escapeHtml(data.executionId.slice(0, 8))}</a>`
+        : '';
     const html = `
         <div class="msg-ai-question" id="clarification-bubble-${data.id}">
-            <span class="msg-ai-label">❓ AI 질문</span>
+            <span class="msg-ai-label">❓ AI 질문${execLink}</span>
             <p>${escapeHtml(data.question)}</p>
-            <div class="clarification-inline-form" id="${formId}">
-                <textarea id="${inputId}" rows="2"
-                    placeholder="답변 입력 후 Enter (Shift+Enter: 줄바꿈)"></textarea>
-                <button onclick="submitClarification('${data.id}', '${inputId}')" class="btn-success clarification-submit">✓ 제출</button>
-            </div>
+            ${renderClarificationForm(data, 'chat')}
         </div>`;
     chatMessages.insertAdjacentHTML('beforeend', html);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+}
 
-    const textarea = document.getElementById(inputId);
-    textarea?.focus();
-    textarea?.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            submitClarification(data.id, inputId);
-        }
-    });
+/** 새로고침 이전부터 대기 중인 질문 복구 */
+async function loadPendingClarifications() {
+    try {
+        const res = await fetch(`${API_BASE}/clarification/pending`);
+        const list = await res.json();
+        list.forEach(showClarificationModal);
+    } catch (e) {
+        console.error('질문 대기 목록 조회 실패:', e);
+    }
 }
 
-async function submitClarification(id, inputId) {
-    const textarea = document.getElementById(inputId);
-    if (!textarea) return;
-    const answer = textarea.value.trim();
-    if (!answer) return;
+/** 답변 형식별 입력 위젯 (text · choice · yesno · file) */
+function renderClarificationForm(data, scope) {
+    const id = data.id;
+    const inputId = `clar-${scope}-${id}-input`;
+    const textForm = (placeholder) => `
+        <div class="clarification-inline-form">
+            <textarea id="${inputId}" rows="2" placeholder="${placeholder}"
+                onkeydown="if(event.key==='Enter'&&!event.shiftKey){event.preventDefault();submitClarificationText('${id}','${inputId}')}"></textarea>
+            <button onclick="submitClarificationText('${id}', '${inputId}')" class="btn-success clarification-submit">✓ 제출</button>
+        </div>`;
+    let body;
+    switch (data.answerType) {
+        case 'choice':
+            body = `<div class="clarification-choices">
+                    ${data.options.map(opt => `<button class="clarification-choice" data-answer="${escapeHtml(opt)}" onclick="submitClarificationAnswer('${id}', this.dataset.answer)">${escapeHtml(opt)}</button>`).join('')}
+                </div>${textForm('기타 답변 (선택지에 없을 때)')}`;
+            break;
+        case 'yesno':
+            body = `<div class="clarification-choices">
+                    <button class="clarification-choice" onclick="submitClarificationAnswer('${id}', '예')">👍 예</button>
+                    <button class="clarification-choice" onclick="submitClarificationAnswer('${id}', '아니오')">👎 아니오</button>
+                </div>`;
+            break;
+        case 'file':
+            body = `<div class="clarification-inline-form">
+                    <textarea id="${inputId}" rows="1" placeholder="파일 경로 (아래에서 선택)"></textarea>
+                    <button onclick="submitClarificationText('${id}', '${inputId}')" class="btn-success clarification-submit">✓ 선택</button>
+                </div>
+                <div class="clarification-file-tree" id="clar-${scope}-${id}-tree" data-input="${inputId}">
+                    <button class="btn-ghost" onclick="browseClarificationDir(this.parentElement, '.')">📁 파일 찾아보기</button>
+                </div>`;
+            break;
+        default:
+            body = textForm('답변 입력 후 Enter (Shift+Enter: 줄바꿈)');
+    }
+    return `<div class="clarification-form" id="clar-${scope}-${id}-form">${body}</div>`;
+}
 
-    // 폼 제거 후 사용자 답변 버블 표시
-    const bubble = document.getElementById(`clarification-bubble-${id}`);
-    const form = document.getElementById(`clarification-form-${id}`);
-    if (form) form.remove();
+/** file-system 레이어의 listDirectory 로 디렉토리 탐색 (읽기 전용 — 승인 불필요) */
+async function browseClarificationDir(container, path) {
+    container.innerHTML = '<span class="clarification-tree-loading">⏳ 불러오는 중...</span>';
+    try {
+        const res = await fetch(`${API_BASE}/layers/file-system/execute`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ function: 'listDirectory', arguments: { path } })
+        });
+        const data = await res.json();
+        const text = data.result || data.error || '';
+        // 빈 디렉토리는 result 가 "" — 오류가 아님
+        if (data.result == null || text.startsWith('ERROR')) throw new Error(text || '목록 조회 실패');
+        const join = (name) => path === '.' ? name : `${path}/${name}`;
+        const entries = text.split('\n').filter(Boolean).map(line => {
+            const isDir = line.startsWith('[DIR]');
+            return { isDir, name: line.replace(/^\[(DIR|FILE)\]\s*/, '') };
+        }).sort((x, y) => (y.isDir - x.isDir) || x.name.localeCompare(y.name));
+        const parent = path === '.' ? null : (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '.');
+        container.dataset.path = path;
+        container.innerHTML = `
+            <div class="clarification-tree-path">📂 ${escapeHtml(path)}</div>
+            ${parent !== null ? `<div class="clarification-tree-entry" data-path="${escapeHtml(parent)}" onclick="browseClarificationDir(this.parentElement, this.dataset.path)">⬆ ..</div>` : ''}
+            ${entries.map(e => e.isDir
+                ? `<div class="clarification-tree-entry" data-path="${escapeHtml(join(e.name))}" onclick="browseClarificationDir(this.parentElement, this.dataset.path)">📁 ${escapeHtml(e.name)}</div>`
+                : `<div class="clarification-tree-entry" data-path="${escapeHtml(join(e.name))}" onclick="document.getElementById(this.parentElement.dataset.input).value = this.dataset.path">📄 ${escapeHtml(e.name)}</div>`
+            ).join('')}`;
+    } catch (e) {
+        container.innerHTML = `<span class="field-error">${escapeHtml(e.message)}</span>`;
+    }
+}
+
+function submitClarificationText(id, inputId) {
+    const answer = (document.getElementById(inputId)?.value || '').trim();
+    if (!answer) return;
+    submitClarificationAnswer(id, answer);
+}
 
+async function submitClarificationAnswer(id, answer) {
+    if (!pendingClarifications.has(id)) return;
     const chatMessages = document.getElementById('chatMessages');
     chatMessages.insertAdjacentHTML('beforeend',
         `<div class="msg-user">${escapeHtml(answer)}</div>`);
     chatMessages.scrollTop = chatMessages.scrollHeight;
-
-    // 채팅 입력 재활성화
-    document.getElementById('chatInput').disabled = false;
-    currentClarificationId = null;
+    removeClarification(id, true);
 
     try {
         await fetch(`${API_BASE}/clarification/${id}/answer`, {
@@ -2003,6 +4002,55 @@ async function submitClarification(id, inputId) {
     }
 }
 
+/** 답변·타임아웃(다른 탭 포함)으로 종료된 질문의 입력 폼 제거 */
+function removeClarification(id, answeredHere = false) {
+    if (!pendingClarifications.delete(id)) return;
+    const form = document.getElementById(`clar-chat-${id}-form`);
+    if (form) {
+        form.outerHTML = answeredHere ? '' : '<div class="clarification-closed">답변 완료 또는 시간 초과</div>';
+    }
+    refreshClarificationUI();
+}
+
+/** 채팅 입력 잠금 · 헤더 배지 · 인박스 동기화 */
+function refreshClarificationUI() {
+    const count = pendingClarifications.size;
+    // 질문 대기 중에는 일반 채팅 입력 비활성화 (답변 우선)
+    document.getElementById('chatInput').disabled = count > 0;
+    // 하나뿐이어도 인박스로 답할 수 있게 — 채팅 말풍선이 지워져도 진입점 유지
+    document.getElementById('clarificationInboxBtn').style.display = count >= 1 ? '' : 'none';
+    document.getElementById('clarificationInboxCount').textContent = count;
+    const modal = document.getElementById('clarificationInboxModal');
+    if (count > 1 && modal.style.display !== 'flex') openClarificationInbox();
+    else if (count === 0 && modal.style.display === 'flex') closeClarificationInbox();
+    else if (modal.style.display === 'flex') renderClarificationInbox();
+}
+
+function openClarificationInbox() {
+    renderClarificationInbox();
+    document.getElementById('clarificationInboxModal').style.display = 'flex';
+}
+
+function closeClarificationInbox() {
+    document.getElementById('clarificationInboxModal').style.display = 'none';
+}
+
+function renderClarificationInbox() {
+    const listEl = document.getElementById('clarificationInboxList');
+    // 입력 중인 답변 보존
+    const drafts = new Map([...listEl.querySelectorAll('textarea')].map(t => [t.id, t.value]));
+    listEl.innerHTML = [...pendingClarifications.values()].map(q => `
+        <div class="clarification-inbox-item">
+            <div class="approval-queue-meta">
+                ${q.executionId ? `<a class="chat-exec-link" onclick="closeClarificationInbox();jumpToExecution('${escapeHtml(q.executionId)}')">실행 ${escapeHtml(q.executionId.slice(0, 8))}</a> · ` : ''}${formatApprovalAge(q.requestedAt)}
+            </div>
+            <p>${escapeHtml(q.question)}</p>
+            ${renderClarificationForm(q, 'inbox')}
+        </div>
+    `).join('');
+    drafts.forEach((value, id) => { const t = document.getElementById(id); if (t) t.value = value; });
+}
+
 // 초기 로드 시 LLM 상태 확인 후 UI 표시 결정
 (async function init() {
     await loadLLMStatus();
@@ -2011,7 +4059,8 @@ async function submitClarification(id, inputId) {
     const llmNoticeCard = document.getElementById('llmNoticeCard');
     if (!llmNoticeCard?.classList.contains('show')) {
         loadLayers();
-        loadExecutions();
+        renderExecStatusChips();
+        loadExecutions().then(loadChatTranscript); // 실행 이력 캐시 → 대화 기록 결과 복원
         connectWebSocket(); // WebSocket 연결 시작
         initSectionResizers(); // 섹션 리사이저 초기화
     }
@@ -2024,11 +4073,14 @@ setInterval(loadLLMStatus, 10000); // 10초마다 갱신
 // ─────────────────────────────────────────────
 
 let editingJobId = null;
+let lastJobs = [];  // 트리거 편집기의 선행 작업 목록 · 의존 그래프용
 
 async function loadJobs() {
     const res = await fetch('/jobs');
     const jobs = await res.json();
+    lastJobs = jobs;
     renderJobs(jobs);
+    renderJobGraph(jobs);
 }
 
 function renderJobs(jobs) {
@@ -2040,10 +4092,14 @@ function renderJobs(jobs) {
     }
     el.innerHTML = jobs.map(job => {
         const schedType = job.schedule?.type || '?';
-        const schedLabel = { loop: '🔁 루프', interval: '⏱ 반복', daily: '📆 매일', once: '1회' }[schedType] || schedType;
+        const schedLabel = schedType === 'cron'
+            ? `⏰ ${escapeHtml(job.schedule.expression)}${job.schedule.timezone ? ` (${escapeHtml(job.schedule.timezone)})` : ''}`
+            : { loop: '🔁 루프', interval: '⏱ 반복', daily: '📆 매일', once: '1회', event: '⚡ 트리거' }[schedType] || schedType;
         const nextRun = job.nextRunAt ? new Date(job.nextRunAt).toLocaleString('ko-KR') : (schedType === 'loop' ? '실행 중' : '—');
+        const triggerBadges = (job.triggers || []).map(t =>
+            `<span class="job-trigger-badge">${escapeHtml(describeJobTrigger(t))}</span>`).join('');
         const lastRun = job.lastRunAt ? new Date(job.lastRunAt).toLocaleString('ko-KR') : '—';
-        const statusColor = { SUCCESS: '#16a34a', FAILED: '#dc2626', CANCELLED: '#d97706' }[job.lastStatus] || 'var(--text-3)';
+        const statusColor = { SUCCESS: '#16a34a', FAILED: '#dc2626', CANCELLED: '#d97706', SKIPPED: '#6b7280' }[job.lastStatus] || 'var(--text-3)';
         const enabledBadge = job.enabled
             ? '<span style="color:#16a34a;font-size:11px">● 활성</span>'
             : '<span style="color:var(--text-3);font-size:11px">○ 비활성</span>';
@@ -2060,6 +4116,7 @@ function renderJobs(jobs) {
                 ${job.lastStatus ? `<span style="font-size:11px;color:${statusColor}">${job.lastStatus}</span>` : ''}
             </div>
             <div class="job-query">${escapeHtml(job.query.slice(0, 60))}${job.query.length > 60 ? '…' : ''}</div>
+            ${triggerBadges ? `<div class="job-trigger-badges">${triggerBadges}</div>` : ''}
             <div class="job-meta">
                 <span>다음: ${nextRun}</span>
                 <span>최근: ${lastRun}</span>
@@ -2068,15 +4125,134 @@ function renderJobs(jobs) {
                 <button onclick="triggerJob('${job.id}')" class="btn-ghost" style="font-size:11px;padding:2px 8px">▶ 지금 실행</button>
                 <button onclick="openJobForm('${job.id}')" class="btn-ghost" style="font-size:11px;padding:2px 8px">✎ 수정</button>
                 <button onclick="toggleJob('${job.id}', ${!job.enabled})" class="btn-ghost" style="font-size:11px;padding:2px 8px">${job.enabled ? '⏸ 비활성' : '▶ 활성'}</button>
+                <button onclick="toggleJobRuns('${job.id}')" class="btn-ghost" style="font-size:11px;padding:2px 8px">📜 기록</button>
                 <button onclick="deleteJob('${job.id}')" class="btn-danger" style="font-size:11px;padding:2px 8px">🗑</button>
             </div>
+            <div class="job-runs" id="job-runs-${job.id}" style="display:${expandedJobRuns.has(job.id) ? 'block' : 'none'}"></div>
         </div>`;
     }).join('');
+    expandedJobRuns.forEach(id => loadJobRuns(id));
+}
+
+// ── 작업 실행 기록 (GET /jobs/{id}/runs) ──
+
+const JOB_RUN_STRIP_SIZE = 100;
+const JOB_RUN_LIST_SIZE = 20;
+const expandedJobRuns = new Set();    // 기록을 펼친 작업 ID — loadJobs 재렌더 후에도 유지
+const jobRunsFailedOnly = new Set();  // "실패만" 필터가 켜진 작업 ID
+
+function toggleJobRuns(id) {
+    const el = document.getElementById(`job-runs-${id}`);
+    if (!el) return;
+    if (expandedJobRuns.has(id)) {
+        expandedJobRuns.delete(id);
+        el.style.display = 'none';
+    } else {
+        expandedJobRuns.add(id);
+        el.style.display = 'block';
+        loadJobRuns(id);
+    }
+}
+
+async function loadJobRuns(id) {
+    const el = document.getElementById(`job-runs-${id}`);
+    if (!el) return;
+    if (!el.innerHTML) el.innerHTML = '<div class="job-runs-empty">⏳ 불러오는 중...</div>';
+    try {
+        const res = await fetch(`/jobs/${id}/runs?limit=200`);
+        const runs = await res.json();
+        if (!res.ok || runs.error) {
+            el.innerHTML = `<div class="message error">${escapeHtml(runs.error || '기록을 불러오지 못했습니다')}</div>`;
+            return;
+        }
+        el.innerHTML = renderJobRuns(id, runs);
+    } catch (e) {
+        el.innerHTML = `<div class="message error">기록을 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+function toggleJobRunsFailedOnly(id, on) {
+    if (on) jobRunsFailedOnly.add(id);
+    else jobRunsFailedOnly.delete(id);
+    loadJobRuns(id);
+}
+
+/** runs: 최신순 */
+function renderJobRuns(id, runs) {
+    if (runs.length === 0) return '<div class="job-runs-empty">아직 실행 기록이 없습니다</div>';
+
+    const successCount = runs.filter(r => r.status === 'SUCCESS').length;
+    const avgMs = runs.reduce((sum, r) => sum + (r.endedAt - r.startedAt), 0) / runs.length;
+    const stats = `<div class="job-runs-stats">
+        <span>최근 <strong>${runs.length}</strong>회</span>
+        <span>성공률 <strong>${Math.round(successCount / runs.length * 100)}%</strong></span>
+        <span>평균 <strong>${formatSpan(avgMs)}</strong></span>
+        ${runs.length > successCount ? `<span class="job-runs-fail">실패 <strong>${runs.length - successCount}</strong></span>` : ''}
+    </div>`;
+
+    // 상태 스트립: 왼쪽이 오래된 회차
+    const strip = runs.slice(0, JOB_RUN_STRIP_SIZE).reverse().map(r => {
+        const title = `${new Date(r.startedAt).toLocaleString('ko-KR')} · ${r.status} · ${formatSpan(r.endedAt - r.startedAt)}${r.triggeredBy ? ` · ${r.triggeredBy}` : ''}${r.error ? `\n${r.error}` : ''}`;
+        return `<span class="job-run-cell run-${r.status.toLowerCase()}" title="${escapeHtml(title)}"
+                      ${r.executionId ? `onclick="revealExecution('${r.executionId}')"` : ''}></span>`;
+    }).join('');
+
+    const failedOnly = jobRunsFailedOnly.has(id);
+    const listed = (failedOnly ? runs.filter(r => r.status !== 'SUCCESS') : runs).slice(0, JOB_RUN_LIST_SIZE);
+    const rows = listed.map(r => `
+        <div class="job-run-row">
+            <span class="job-run-time">${new Date(r.startedAt).toLocaleString('ko-KR')}</span>
+            <span class="job-run-status run-${r.status.toLowerCase()}">${r.status}</span>
+            <span class="job-run-dur">${formatSpan(r.endedAt - r.startedAt)}</span>
+            ${r.triggeredBy ? `<span class="job-run-by">${escapeHtml(r.triggeredBy)}</span>` : ''}
+            ${r.executionId ? `
+                <button class="btn-ghost job-run-btn" onclick="revealExecution('${r.executionId}')">실행 보기</button>
+                <button class="btn-ghost job-run-btn" onclick="showExecutionTreeById('${r.executionId}')">🌳 트리</button>` : ''}
+            ${r.error ? `<div class="job-run-error">${escapeHtml(r.error)}</div>` : ''}
+        </div>`).join('');
+
+    return `${stats}
+        <div class="job-run-strip">${strip}</div>
+        <label class="job-runs-filter"><input type="checkbox" ${failedOnly ? 'checked' : ''} onchange="toggleJobRunsFailedOnly('${id}', this.checked)"> 실패만</label>
+        ${rows || '<div class="job-runs-empty">해당하는 기록이 없습니다</div>'}`;
 }
 
+/** 실행 이력 목록에서 해당 항목을 펼쳐 보여줌 — 로드된 페이지에 없으면 ID 로 검색 */
+async function revealExecution(execId) {
+    let item = document.querySelector(`.execution-item[data-id="${execId}"]`);
+    if (!item) {
+        // 상태·기간 필터가 이 실행을 가리지 않도록 ID 검색만 남김
+        setExecFilters(execId);
+        await loadExecutions();
+        item = document.querySelector(`.execution-item[data-id="${execId}"]`);
+        if (!item) { alert('실행 이력을 찾을 수 없습니다 (삭제되었을 수 있음)'); return; }
+    }
+    const details = item.querySelector('.execution-details');
+    if (details && !details.classList.contains('expanded')) item.querySelector('.execution-header')?.click();
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    item.classList.add('exec-flash');
+    setTimeout(() => item.classList.remove('exec-flash'), 1500);
+}
+
+async function showExecutionTreeById(execId) {
+    try {
+        const res = await fetch(`${API_BASE}/executions/${encodeURIComponent(execId)}`);
+        const detail = await res.json();
+        if (!res.ok || detail.error) { alert(detail.error || '실행을 찾을 수 없습니다'); return; }
+        if (!detail.execution.executionTree) { alert('이 실행에는 트리가 없습니다'); return; }
+        showTreeVisualization(detail.execution.executionTree);
+    } catch (e) {
+        alert(`트리를 불러오지 못했습니다: ${e.message}`);
+    }
+}
+
+/** ▶ 지금 실행 — 자리표시자가 있으면 이번 실행 값을 먼저 입력받음 */
 async function triggerJob(id) {
-    await fetch(`/jobs/${id}/trigger`, { method: 'POST' });
-    alert('실행 요청 전송됨');
+    const res = await fetch(`/jobs/${id}/params`);
+    const params = await res.json();
+    if (!res.ok || params.error) { alert(params.error || '작업을 찾을 수 없습니다'); return; }
+    if (params.length === 0) { runJobNow(id, {}); return; }
+    openJobRunForm(id, params);
 }
 
 async function toggleJob(id, enabled) {
@@ -2099,6 +4275,7 @@ function openJobForm(id = null) {
     const modal = document.getElementById('jobFormModal');
     const title = document.getElementById('jobFormTitle');
     modal.style.display = 'flex';
+    loadJobFormTreeOptions();
 
     if (id) {
         title.textContent = '📅 작업 수정';
@@ -2113,6 +4290,11 @@ function openJobForm(id = null) {
             const sel = document.getElementById('jobFormScheduleType');
             sel.value = job.schedule.type;
             onScheduleTypeChange(job.schedule);
+            jobFormTriggers = (job.triggers || []).map(t => ({ ...t }));
+            renderJobFormTriggers();
+            document.getElementById('jobFormParams').innerHTML = '';
+            jobFormParamValues = { ...(job.params || {}) };
+            refreshJobFormParams(true);
         });
     } else {
         title.textContent = '📅 새 작업';
@@ -2125,7 +4307,110 @@ function openJobForm(id = null) {
         document.getElementById('jobFormAutoApprove').checked = false;
         document.getElementById('jobFormScheduleType').value = 'loop';
         onScheduleTypeChange();
+        jobFormTriggers = [];
+        renderJobFormTriggers();
+        document.getElementById('jobFormParams').innerHTML = '';
+        jobFormParamValues = {};
+        jobFormTreeParams = [];
+        refreshJobFormParams();
+    }
+}
+
+// ── 작업 파라미터 ({{이름}} 자리표시자) ──
+
+const JOB_PARAM_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const JOB_PARAM_RESERVED = new Set(['parent']);  // 트리 실행 바인딩 — 파라미터 아님 (JobTemplate.RESERVED 와 동일)
+const JOB_RUN_START_TIMEOUT_MS = 15000;
+let jobFormParamValues = {};  // 폼에 입력한 기본값 — 쿼리를 고쳐 칸이 다시 그려져도 유지
+let jobFormTreeParams = [];   // 저장 트리 args 의 자리표시자
+let jobRunFormId = null;
+
+function templateParams(text) {
+    return [...new Set([...(text || '').matchAll(JOB_PARAM_RE)].map(m => m[1]).filter(name => !JOB_PARAM_RESERVED.has(name)))];
+}
+
+/** 작업 폼 기본값 칸 — 쿼리·트리에서 찾은 자리표시자마다 한 줄 */
+async function refreshJobFormParams(reloadTree = false) {
+    const el = document.getElementById('jobFormParams');
+    if (!el) return;
+    el.querySelectorAll('input[data-param]').forEach(input => { jobFormParamValues[input.dataset.param] = input.value; });
+    if (reloadTree) {
+        const treeId = document.getElementById('jobFormTreeId').value.trim();
+        jobFormTreeParams = [];
+        if (treeId) {
+            try {
+                const res = await fetch(`/trees/${encodeURIComponent(treeId)}`);
+                if (res.ok) jobFormTreeParams = templateParams(JSON.stringify((await res.json()).tree));
+            } catch (e) { /* 트리 자리표시자만 생략 */ }
+        }
     }
+    const names = [...new Set([...templateParams(document.getElementById('jobFormQuery').value), ...jobFormTreeParams])];
+    el.innerHTML = names.length === 0 ? '' : `
+        <div class="job-params-title">파라미터 기본값 <span>(비우면 실행할 때 입력)</span></div>
+        ${names.map(name => `<label class="job-param-row"><code>{{${name}}}</code>
+            <input class="layer-search-input" data-param="${name}" value="${escapeHtml(jobFormParamValues[name] || '')}"></label>`).join('')}`;
+}
+
+/** 폼에 보이는 자리표시자 중 값을 입력한 것만 */
+function readJobFormParams() {
+    const params = {};
+    document.querySelectorAll('#jobFormParams input[data-param]').forEach(input => {
+        if (input.value !== '') params[input.dataset.param] = input.value;
+    });
+    return params;
+}
+
+function openJobRunForm(id, params) {
+    jobRunFormId = id;
+    const job = lastJobs.find(j => j.id === id);
+    document.getElementById('jobRunTitle').textContent = `▶ 지금 실행 — ${job ? job.name : id}`;
+    document.getElementById('jobRunParams').innerHTML = params.map(p => `
+        <label class="job-param-row"><code>{{${p.name}}}</code>
+            <input class="layer-search-input" data-param="${p.name}" value="${escapeHtml(p.default ?? '')}"
+                   ${p.default == null ? 'data-required="1" placeholder="필수"' : ''}></label>`).join('');
+    document.getElementById('jobRunModal').style.display = 'flex';
+    document.querySelector('#jobRunParams input')?.focus();
+}
+
+function closeJobRunForm() {
+    document.getElementById('jobRunModal').style.display = 'none';
+    jobRunFormId = null;
+}
+
+async function submitJobRunForm() {
+    const inputs = [...document.querySelectorAll('#jobRunParams input[data-param]')];
+    const empty = inputs.filter(input => input.dataset.required && input.value === '');
+    if (empty.length) { alert(`값을 입력하세요: ${empty.map(i => i.dataset.param).join(', ')}`); return; }
+    const params = Object.fromEntries(inputs.map(input => [input.dataset.param, input.value]));
+    const id = jobRunFormId;
+    if (await runJobNow(id, params)) closeJobRunForm();
+}
+
+/** 트리거 후 진행 목록에 카드를 바로 띄움 — 이후 갱신은 WebSocket 진행 상태가 담당 */
+async function runJobNow(id, params) {
+    const res = await fetch(`/jobs/${id}/trigger`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ params })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) { alert(`실행 실패: ${data.error || res.status}`); return false; }
+
+    const card = getOrCreateProgressCard(data.executionId);
+    if (card) {
+        const job = lastJobs.find(j => j.id === id);
+        card.querySelector('.progress-query').textContent = `📅 ${job ? job.name : '작업'}`;
+        card.querySelector('.progress-message').textContent = '대기 중...';
+        // 실행 전에 끝난 경우 (트리 없음 등) 진행 상태가 오지 않음 → 기록을 보도록 안내하고 정리
+        setTimeout(() => {
+            if (card.isConnected && card.querySelector('.progress-message').textContent === '대기 중...') {
+                card.querySelector('.progress-message').textContent = '시작되지 않음 — 실행 기록 확인';
+                setTimeout(() => card.remove(), 3000);
+                loadJobs();
+            }
+        }, JOB_RUN_START_TIMEOUT_MS);
+    }
+    return true;
 }
 
 function closeJobForm() {
@@ -2153,26 +4438,32 @@ function onScheduleTypeChange(existing = null) {
                 <input id="jobFormHour" type="number" min="0" max="23" value="${h}" class="layer-search-input" style="width:60px" placeholder="시">
                 <input id="jobFormMinute" type="number" min="0" max="59" value="${m}" class="layer-search-input" style="width:60px" placeholder="분">
             </div></label>`;
+    } else if (type === 'cron') {
+        const expr = existing?.expression || '30 2 * * MON-FRI';
+        const tz = existing?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        fields.innerHTML = `<label style="font-size:12px;color:var(--text-2)">cron 표현식 (분 시 일 월 요일)
+            <input id="jobFormCron" value="${escapeHtml(expr)}" class="layer-search-input" style="margin-top:4px;width:100%;font-family:monospace" placeholder="30 2 * * MON-FRI"></label>
+            <div class="cron-presets">${CRON_PRESETS.map(p => `<button type="button" class="btn-ghost" onclick="applyCronPreset('${p.expr}')">${p.label}</button>`).join('')}</div>
+            <label style="font-size:12px;color:var(--text-2);display:block;margin-top:8px">타임존
+            <input id="jobFormTimezone" list="jobFormTimezones" value="${escapeHtml(tz)}" class="layer-search-input" style="margin-top:4px;width:100%" placeholder="Asia/Seoul"></label>
+            <datalist id="jobFormTimezones">${timezoneOptions()}</datalist>`;
+    } else if (type === 'event') {
+        fields.innerHTML = `<div style="font-size:11px;color:var(--text-3)">⚡ 시간 스케줄 없이 아래 트리거가 발생할 때만 실행합니다</div>`;
     } else {
         const ts = existing ? existing.at : (Date.now() + 3600000);
         const local = new Date(ts).toISOString().slice(0, 16);
         fields.innerHTML = `<label style="font-size:12px;color:var(--text-2)">실행 시각
             <input id="jobFormAt" type="datetime-local" value="${local}" class="layer-search-input" style="margin-top:4px;width:100%"></label>`;
     }
+    scheduleJobPreview();
 }
 
 async function saveJob() {
-    const type = document.getElementById('jobFormScheduleType').value;
-    let schedule;
-    if (type === 'loop') {
-        schedule = { type: 'loop', delayMs: parseInt(document.getElementById('jobFormLoopDelay').value) * 1000 };
-    } else if (type === 'interval') {
-        schedule = { type: 'interval', intervalMs: parseInt(document.getElementById('jobFormInterval').value) * 60000 };
-    } else if (type === 'daily') {
-        schedule = { type: 'daily', hour: parseInt(document.getElementById('jobFormHour').value), minute: parseInt(document.getElementById('jobFormMinute').value) };
-    } else {
-        schedule = { type: 'once', at: new Date(document.getElementById('jobFormAt').value).getTime() };
-    }
+    const schedule = readJobFormSchedule();
+    if (!schedule) { alert('스케줄 값을 입력하세요'); return; }
+    const triggerError = validateJobFormTriggers();
+    if (triggerError) { alert(triggerError); return; }
+    if (schedule.type === 'event' && jobFormTriggers.length === 0) { alert('트리거로만 실행하려면 트리거를 하나 이상 추가하세요'); return; }
 
     const body = {
         name: document.getElementById('jobFormName').value,
@@ -2181,19 +4472,538 @@ async function saveJob() {
         schedule,
         enabled: document.getElementById('jobFormEnabled').checked,
         includeMetrics: document.getElementById('jobFormIncludeMetrics').checked,
-        autoApprove: document.getElementById('jobFormAutoApprove').checked
+        autoApprove: document.getElementById('jobFormAutoApprove').checked,
+        triggers: jobFormTriggers,
+        params: readJobFormParams()
     };
 
     const id = editingJobId;
-    if (id) {
-        await fetch(`/jobs/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-    } else {
-        await fetch('/jobs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const res = id
+        ? await fetch(`/jobs/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+        : await fetch('/jobs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        alert(`저장 실패: ${err.error || res.status}`);
+        return;
     }
     closeJobForm();
     loadJobs();
 }
 
+// ── 작업 트리거 · 의존 그래프 ──
+
+const JOB_TRIGGER_METRICS = {
+    completionRate: '완료율',
+    errorStepRate: '에러 스텝 비율',
+    autoNextStepRate: '자동 다음 스텝 비율',
+    avgStepsToFinish: '평균 스텝 수',
+    avgDurationMs: '평균 소요(ms)',
+    failedCount: '실패 수',
+    maxStepsHitCount: '최대 스텝 도달 수'
+};
+const JOB_TRIGGER_OPS = ['<', '<=', '>', '>='];
+const JOB_TRIGGER_OUTCOMES = { SUCCESS: '성공 시', FAILED: '실패 시', ANY: '종료 시' };
+let jobFormTriggers = [];
+let jobGraphCy = null;
+
+function describeJobTrigger(t) {
+    if (t.type === 'afterJob') {
+        const upstream = lastJobs.find(j => j.id === t.jobId)?.name || t.jobId.slice(0, 8);
+        return `⛓ ${upstream} ${JOB_TRIGGER_OUTCOMES[t.on || 'SUCCESS'] || t.on}${t.passResult ? ' · 결과 전달' : ''}`;
+    }
+    if (t.type === 'treeUpdated') return `🌳 ${t.treeId} 갱신 시`;
+    if (t.type === 'metric') return `📊 ${t.metric} ${t.op} ${t.threshold}`;
+    return t.type;
+}
+
+async function loadJobFormTreeOptions() {
+    try {
+        const trees = await (await fetch('/trees')).json();
+        document.getElementById('jobFormTreeOptions').innerHTML =
+            trees.map(t => `<option value="${escapeHtml(t.name)}"></option>`).join('');
+    } catch (e) { /* 자동완성만 없음 */ }
+}
+
+function addJobFormTrigger() {
+    const upstream = lastJobs.find(j => j.id !== editingJobId);
+    jobFormTriggers.push({ type: 'afterJob', jobId: upstream?.id || '', on: 'SUCCESS', passResult: false });
+    renderJobFormTriggers();
+}
+
+function removeJobFormTrigger(i) {
+    jobFormTriggers.splice(i, 1);
+    renderJobFormTriggers();
+}
+
+/** 타입을 바꾸면 그 타입의 기본값으로 교체 */
+function changeJobFormTriggerType(i, type) {
+    jobFormTriggers[i] = {
+        afterJob: { type, jobId: lastJobs.find(j => j.id !== editingJobId)?.id || '', on: 'SUCCESS', passResult: false },
+        treeUpdated: { type, treeId: '' },
+        metric: { type, metric: 'completionRate', op: '<', threshold: 0.7 }
+    }[type];
+    renderJobFormTriggers();
+}
+
+function updateJobFormTrigger(i, field, value) {
+    jobFormTriggers[i][field] = field === 'threshold' ? parseFloat(value) : value;
+}
+
+function renderJobFormTriggers() {
+    const el = document.getElementById('jobFormTriggers');
+    if (!el) return;
+    if (jobFormTriggers.length === 0) {
+        el.innerHTML = '<div class="job-triggers-empty">트리거 없음 — 스케줄대로만 실행</div>';
+        return;
+    }
+    const options = (entries, selected) => entries.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+    el.innerHTML = jobFormTriggers.map((t, i) => {
+        let fields;
+        if (t.type === 'afterJob') {
+            const upstreams = lastJobs.filter(j => j.id !== editingJobId).map(j => [j.id, j.name]);
+            fields = `
+                <select class="layer-search-input" onchange="updateJobFormTrigger(${i}, 'jobId', this.value)">${options(upstreams, t.jobId)}</select>
+                <select class="layer-search-input" onchange="updateJobFormTrigger(${i}, 'on', this.value)">${options(Object.entries(JOB_TRIGGER_OUTCOMES), t.on)}</select>
+                <label class="job-trigger-check"><input type="checkbox" ${t.passResult ? 'checked' : ''} onchange="updateJobFormTrigger(${i}, 'passResult', this.checked)"> 결과 전달</label>`;
+        } else if (t.type === 'treeUpdated') {
+            fields = `<input class="layer-search-input" list="jobFormTreeOptions" value="${escapeHtml(t.treeId)}" placeholder="저장된 트리 이름"
+                             oninput="updateJobFormTrigger(${i}, 'treeId', this.value.trim())">`;
+        } else {
+            fields = `
+                <select class="layer-search-input" onchange="updateJobFormTrigger(${i}, 'metric', this.value)">${options(Object.entries(JOB_TRIGGER_METRICS), t.metric)}</select>
+                <select class="layer-search-input job-trigger-op" onchange="updateJobFormTrigger(${i}, 'op', this.value)">${options(JOB_TRIGGER_OPS.map(o => [o, o]), t.op)}</select>
+                <input class="layer-search-input job-trigger-num" type="number" step="any" value="${t.threshold}" oninput="updateJobFormTrigger(${i}, 'threshold', this.value)">`;
+        }
+        return `<div class="job-trigger-row">
+            <select class="layer-search-input" onchange="changeJobFormTriggerType(${i}, this.value)">
+                ${options([['afterJob', '⛓ 선행 작업'], ['treeUpdated', '🌳 트리 갱신'], ['metric', '📊 메트릭']], t.type)}
+            </select>
+            ${fields}
+            <button type="button" class="btn-ghost" onclick="removeJobFormTrigger(${i})">✕</button>
+        </div>`;
+    }).join('');
+}
+
+/** 저장 전 확인 — 문제가 있으면 메시지, 없으면 null */
+function validateJobFormTriggers() {
+    for (const t of jobFormTriggers) {
+        if (t.type === 'afterJob' && !t.jobId) return '선행 작업을 선택하세요';
+        if (t.type === 'treeUpdated' && !t.treeId) return '트리 이름을 입력하세요';
+        if (t.type === 'metric' && Number.isNaN(t.threshold)) return '메트릭 임계값을 숫자로 입력하세요';
+    }
+    return null;
+}
+
+/** 트리거가 하나라도 있으면 작업 의존 그래프 (선행 작업 → 후속 작업, 트리·메트릭은 점선 소스) */
+function renderJobGraph(jobs) {
+    const el = document.getElementById('jobGraph');
+    if (!el) return;
+    if (jobGraphCy) { jobGraphCy.destroy(); jobGraphCy = null; }
+    if (!jobs.some(j => (j.triggers || []).length)) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'block';
+
+    const jobIds = new Set(jobs.map(j => j.id));
+    const elements = jobs.map(j => ({
+        data: { id: `job:${j.id}`, label: j.name, jobId: j.id },
+        classes: `job ${j.enabled ? '' : 'disabled'} ${j.lastStatus ? `status-${j.lastStatus.toLowerCase()}` : ''}`
+    }));
+    const sources = new Set();
+    jobs.forEach(j => (j.triggers || []).forEach((t, i) => {
+        let source, label, classes;
+        if (t.type === 'afterJob') {
+            if (!jobIds.has(t.jobId)) return;  // 삭제된 선행 작업
+            source = `job:${t.jobId}`;
+            label = `${t.on || 'SUCCESS'}${t.passResult ? ' 📄' : ''}`;
+            classes = `on-${(t.on || 'SUCCESS').toLowerCase()}`;
+        } else {
+            source = t.type === 'treeUpdated' ? `tree:${t.treeId}` : `metric:${t.metric}${t.op}${t.threshold}`;
+            if (!sources.has(source)) {
+                sources.add(source);
+                elements.push({
+                    data: { id: source, label: t.type === 'treeUpdated' ? `🌳 ${t.treeId}` : `📊 ${t.metric} ${t.op} ${t.threshold}` },
+                    classes: 'source'
+                });
+            }
+            label = '';
+            classes = 'event';
+        }
+        elements.push({ data: { id: `edge:${j.id}:${i}`, source, target: `job:${j.id}`, label }, classes });
+    }));
+
+    jobGraphCy = cytoscape({
+        container: el,
+        elements,
+        style: [
+            { selector: 'node', style: {
+                'label': 'data(label)', 'font-size': 10, 'text-valign': 'center', 'text-halign': 'center',
+                'text-wrap': 'ellipsis', 'text-max-width': 110, 'shape': 'round-rectangle',
+                'width': 120, 'height': 28, 'background-color': '#eef2ff', 'border-width': 1, 'border-color': '#6366f1', 'color': '#1e1b4b'
+            } },
+            { selector: 'node.disabled', style: { 'opacity': 0.45 } },
+            { selector: 'node.status-success', style: { 'border-color': '#16a34a', 'border-width': 2 } },
+            { selector: 'node.status-failed', style: { 'border-color': '#dc2626', 'border-width': 2 } },
+            { selector: 'node.source', style: { 'background-color': '#f8fafc', 'border-style': 'dashed', 'border-color': '#94a3b8', 'color': '#475569' } },
+            { selector: 'edge', style: {
+                'curve-style': 'bezier', 'target-arrow-shape': 'triangle', 'width': 1.5,
+                'label': 'data(label)', 'font-size': 9, 'text-background-color': '#fff', 'text-background-opacity': 1,
+                'line-color': '#94a3b8', 'target-arrow-color': '#94a3b8'
+            } },
+            { selector: 'edge.on-success', style: { 'line-color': '#16a34a', 'target-arrow-color': '#16a34a' } },
+            { selector: 'edge.on-failed', style: { 'line-color': '#dc2626', 'target-arrow-color': '#dc2626' } },
+            { selector: 'edge.event', style: { 'line-style': 'dashed' } }
+        ],
+        layout: { name: 'dagre', rankDir: 'LR', nodeSep: 16, rankSep: 50, padding: 10 },
+        autoungrabify: true,
+        autounselectify: true,
+        userZoomingEnabled: false
+    });
+    jobGraphCy.on('tap', 'node.job', evt => openJobForm(evt.target.data('jobId')));
+}
+
+// ── 스케줄 미리보기 · 주간 캘린더 ──
+
+const CRON_PRESETS = [
+    { label: '평일 02:30', expr: '30 2 * * MON-FRI' },
+    { label: '근무시간 15분마다', expr: '*/15 9-18 * * MON-FRI' },
+    { label: '매시 정각', expr: '0 * * * *' },
+    { label: '매주 일요일 03:00', expr: '0 3 * * SUN' }
+];
+let jobPreviewTimer = null;
+let jobCalendarWeekStart = null;
+
+function applyCronPreset(expr) {
+    document.getElementById('jobFormCron').value = expr;
+    scheduleJobPreview();
+}
+
+function timezoneOptions() {
+    const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['Asia/Seoul', 'UTC', 'Asia/Tokyo', 'America/Los_Angeles', 'Europe/London'];
+    return zones.map(z => `<option value="${z}"></option>`).join('');
+}
+
+/** 폼 입력 → JobSchedule JSON. 숫자 칸이 비어 있으면 null */
+function readJobFormSchedule() {
+    const type = document.getElementById('jobFormScheduleType').value;
+    const num = id => { const v = parseInt(document.getElementById(id).value); return Number.isNaN(v) ? null : v; };
+    if (type === 'loop') {
+        const secs = num('jobFormLoopDelay');
+        return secs == null ? null : { type: 'loop', delayMs: secs * 1000 };
+    } else if (type === 'interval') {
+        const mins = num('jobFormInterval');
+        return mins == null ? null : { type: 'interval', intervalMs: mins * 60000 };
+    } else if (type === 'daily') {
+        const hour = num('jobFormHour'), minute = num('jobFormMinute');
+        return hour == null || minute == null ? null : { type: 'daily', hour, minute };
+    } else if (type === 'cron') {
+        return {
+            type: 'cron',
+            expression: document.getElementById('jobFormCron').value.trim(),
+            timezone: document.getElementById('jobFormTimezone').value.trim() || null
+        };
+    } else if (type === 'event') {
+        return { type: 'event' };
+    }
+    const at = new Date(document.getElementById('jobFormAt').value).getTime();
+    return Number.isNaN(at) ? null : { type: 'once', at };
+}
+
+function scheduleJobPreview() {
+    clearTimeout(jobPreviewTimer);
+    jobPreviewTimer = setTimeout(refreshJobPreview, 300);
+}
+
+async function refreshJobPreview() {
+    const el = document.getElementById('jobFormPreview');
+    if (!el) return;
+    const schedule = readJobFormSchedule();
+    if (!schedule) {
+        el.innerHTML = '<span class="job-preview-error">⚠️ 스케줄 값을 입력하세요</span>';
+        return;
+    }
+    if (schedule.type === 'event') {
+        el.innerHTML = '<span class="job-preview-note">⚡ 트리거로만 실행 — 예정 시각 없음</span>';
+        return;
+    }
+    try {
+        const res = await fetch('/jobs/schedule-preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ schedule, count: 5 })
+        });
+        const data = await res.json();
+        if (!res.ok || data.error) {
+            el.innerHTML = `<span class="job-preview-error">⚠️ ${escapeHtml(data.error || '미리보기 실패')}</span>`;
+        } else if (data.continuous) {
+            el.innerHTML = '<span class="job-preview-note">🔁 완료 즉시 다시 실행 — 시각을 미리 알 수 없습니다</span>';
+        } else if (data.runs.length === 0) {
+            el.innerHTML = '<span class="job-preview-note">예정된 실행이 없습니다</span>';
+        } else {
+            el.innerHTML = `<div class="job-preview-title">다음 ${data.runs.length}회 실행</div><ol>${data.runs.map(t =>
+                `<li>${new Date(t).toLocaleString('ko-KR', { weekday: 'short', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                    <span class="job-preview-rel">(${formatSpan(t - Date.now())} 후)</span></li>`).join('')}</ol>`;
+        }
+    } catch (e) {
+        el.innerHTML = `<span class="job-preview-error">⚠️ ${escapeHtml(e.message)}</span>`;
+    }
+}
+
+function startOfWeek(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);  // 월요일 시작
+    return d.getTime();
+}
+
+function addDays(ts, days) {
+    const d = new Date(ts);
+    d.setDate(d.getDate() + days);
+    return d.getTime();
+}
+
+function openJobCalendar() {
+    jobCalendarWeekStart = startOfWeek(Date.now());
+    document.getElementById('jobCalendarModal').style.display = 'flex';
+    loadJobCalendar();
+}
+
+function closeJobCalendar() {
+    document.getElementById('jobCalendarModal').style.display = 'none';
+}
+
+function shiftJobCalendar(weeks) {
+    jobCalendarWeekStart = addDays(jobCalendarWeekStart, weeks * 7);
+    loadJobCalendar();
+}
+
+async function loadJobCalendar() {
+    const body = document.getElementById('jobCalendarBody');
+    const from = jobCalendarWeekStart;
+    const to = addDays(from, 7);
+    const fmt = ts => new Date(ts).toLocaleDateString('ko-KR', { month: 'numeric', day: 'numeric' });
+    document.getElementById('jobCalendarRange').textContent = `${fmt(from)} ~ ${fmt(addDays(to, -1))}`;
+    body.innerHTML = '<div style="padding:20px; color:var(--text-3); text-align:center;">⏳ 불러오는 중...</div>';
+    try {
+        const res = await fetch(`/jobs/calendar?from=${from}&to=${to}`);
+        const entries = await res.json();
+        if (!res.ok || entries.error) {
+            body.innerHTML = `<div class="message error">${escapeHtml(entries.error || '캘린더를 불러오지 못했습니다')}</div>`;
+            return;
+        }
+        body.innerHTML = renderJobCalendar(entries, from);
+    } catch (e) {
+        body.innerHTML = `<div class="message error">캘린더를 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+function jobHue(jobId) {
+    let h = 0;
+    for (const c of jobId) h = (h * 31 + c.charCodeAt(0)) % 360;
+    return h;
+}
+
+/** 요일(열) × 시(행) 격자. 한 칸에 작업이 둘 이상이면 Ollama 를 나눠 쓰는 충돌 후보로 표시 */
+function renderJobCalendar(entries, from) {
+    const cells = new Map();  // "day-hour" → Map(jobId → 횟수)
+    entries.forEach(e => e.runs.forEach(t => {
+        const d = new Date(t);
+        if (startOfWeek(t) !== from) return;
+        const day = (d.getDay() + 6) % 7;
+        const key = `${day}-${d.getHours()}`;
+        if (!cells.has(key)) cells.set(key, new Map());
+        const m = cells.get(key);
+        m.set(e.jobId, (m.get(e.jobId) || 0) + 1);
+    }));
+    const byId = Object.fromEntries(entries.map(e => [e.jobId, e]));
+    const collisions = [...cells.values()].filter(m => m.size > 1).length;
+    const loops = entries.filter(e => e.continuous);
+
+    const legend = entries.filter(e => !e.continuous).map(e => `
+        <span class="cal-legend-item"><span class="cal-dot" style="background:hsl(${jobHue(e.jobId)},65%,55%)"></span>${escapeHtml(e.name)} ${e.runs.length}회</span>`).join('');
+    const summary = `<div class="trace-summary">
+        <span>활성 작업 <strong>${entries.length}</strong></span>
+        ${collisions > 0 ? `<span class="trace-fail-count">⚠️ 겹치는 시간대 <strong>${collisions}</strong></span>` : '<span>겹치는 시간대 없음</span>'}
+    </div>
+    ${loops.length ? `<div class="cal-loop-note">🔁 연속 실행 중: ${loops.map(e => escapeHtml(e.name)).join(', ')} — 다른 작업과 항상 Ollama 를 나눠 씁니다</div>` : ''}
+    <div class="cal-legend">${legend}</div>`;
+
+    const now = Date.now();
+    const dayNames = ['월', '화', '수', '목', '금', '토', '일'];
+    let html = '<div class="cal-grid"><div class="cal-head"></div>';
+    dayNames.forEach((name, i) => {
+        const d = new Date(addDays(from, i));
+        html += `<div class="cal-head${d.toDateString() === new Date().toDateString() ? ' today' : ''}">${name} ${d.getMonth() + 1}/${d.getDate()}</div>`;
+    });
+    for (let hour = 0; hour < 24; hour++) {
+        html += `<div class="cal-hour">${String(hour).padStart(2, '0')}</div>`;
+        for (let day = 0; day < 7; day++) {
+            const slotEnd = addDays(from, day) + (hour + 1) * 3600000;
+            const m = cells.get(`${day}-${hour}`);
+            const chips = m ? [...m.entries()].map(([jobId, n]) => `
+                <span class="cal-chip" style="background:hsl(${jobHue(jobId)},65%,88%);border-color:hsl(${jobHue(jobId)},65%,55%)"
+                      title="${escapeHtml(byId[jobId].name)} ×${n}">${escapeHtml(byId[jobId].name)}${n > 1 ? ` ×${n}` : ''}</span>`).join('') : '';
+            html += `<div class="cal-cell${m && m.size > 1 ? ' collision' : ''}${slotEnd <= now ? ' past' : ''}">${chips}</div>`;
+        }
+    }
+    return summary + html + '</div>';
+}
+
+// ─────────────────────────────────────────────
+// 메트릭 대시보드 (GET /metrics)
+// ─────────────────────────────────────────────
+
+let lastMetrics = null;
+let metricsSort = { key: 'totalCalls', desc: true };
+/** 이미 집계에 반영된 종료 실행 id — 새로 끝난 실행이 있을 때만 재조회 */
+const metricsSeenFinishedIds = new Set();
+
+async function loadMetrics() {
+    const el = document.getElementById('metricsContent');
+    if (!el) return;
+    try {
+        const res = await fetch(`${API_BASE}/metrics`);
+        const data = await res.json();
+        if (data.error) {
+            el.innerHTML = `<div class="message error">${escapeHtml(data.error)}</div>`;
+            return;
+        }
+        lastMetrics = data;
+        renderMetrics(data);
+    } catch (e) {
+        el.innerHTML = `<div class="message error">메트릭을 불러오는 중 오류가 발생했습니다: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+/** updateExecutionsUI에서 호출 — 새로 완료/실패한 실행이 있고 카드가 열려 있으면 갱신 */
+function refreshMetricsOnFinished(executions) {
+    let hasNew = false;
+    executions.forEach(exec => {
+        if ((exec.status === 'COMPLETED' || exec.status === 'FAILED') && !metricsSeenFinishedIds.has(exec.id)) {
+            metricsSeenFinishedIds.add(exec.id);
+            hasNew = true;
+        }
+    });
+    const card = document.getElementById('metricsCard');
+    if (hasNew && card && !card.classList.contains('collapsed')) loadMetrics();
+}
+
+function formatPercent(rate) {
+    return `${((rate || 0) * 100).toFixed(1)}%`;
+}
+
+function formatDurationMs(ms) {
+    if (ms == null) return '—';
+    return ms >= 60000 ? `${(ms / 60000).toFixed(1)}분` : `${(ms / 1000).toFixed(1)}초`;
+}
+
+function renderMetrics(m) {
+    const el = document.getElementById('metricsContent');
+    if (!el) return;
+    if (!m.totalExecutions) {
+        el.innerHTML = '<p style="color:var(--text-3);font-size:13px;padding:8px 0">집계할 완료 실행이 없습니다</p>';
+        return;
+    }
+    const tiles = [
+        { label: '완료율', value: formatPercent(m.completionRate), sub: `${m.completedCount} / ${m.totalExecutions}`, tone: m.completionRate >= 0.7 ? 'good' : 'bad' },
+        { label: '평균 스텝', value: (m.avgStepsToFinish || 0).toFixed(1), sub: '완료 실행 기준' },
+        { label: '최대 스텝 초과', value: m.maxStepsHitCount, sub: '건', tone: m.maxStepsHitCount > 0 ? 'bad' : '' },
+        { label: '자동 스텝', value: formatPercent(m.autoNextStepRate), sub: '전체 스텝 대비' },
+        { label: '에러 스텝', value: formatPercent(m.errorStepRate), sub: '전체 스텝 대비', tone: m.errorStepRate > 0.2 ? 'bad' : '' },
+        { label: '평균 시간', value: formatDurationMs(m.avgDurationMs), sub: `실패 ${m.failedCount}건` }
+    ];
+    el.innerHTML = `
+        <div class="metrics-kpis">
+            ${tiles.map(t => `
+                <div class="metrics-kpi ${t.tone ? 'kpi-' + t.tone : ''}">
+                    <div class="metrics-kpi-label">${t.label}</div>
+                    <div class="metrics-kpi-value">${t.value}</div>
+                    <div class="metrics-kpi-sub">${t.sub}</div>
+                </div>`).join('')}
+        </div>
+        <div class="metrics-section-title">최근 실행 소요 시간</div>
+        ${renderMetricsSparkline(m.recentExecutions || [])}
+        <div class="metrics-section-title">레이어 함수별 성공률</div>
+        <div id="metricsLayerTable">${renderMetricsLayerTable(m.layerStats || {})}</div>
+    `;
+}
+
+/** recentExecutions(최신순) → 시간순 SVG 스파크라인. 점 색상은 상태 */
+function renderMetricsSparkline(recent) {
+    const points = recent.filter(r => r.durationMs != null).slice().reverse();
+    if (points.length < 2) {
+        return '<p style="color:var(--text-3);font-size:12px;margin:4px 0 10px">데이터 부족</p>';
+    }
+    const w = 280, h = 48, pad = 4;
+    const max = Math.max(...points.map(p => p.durationMs)) || 1;
+    const stepX = (w - pad * 2) / (points.length - 1);
+    const coords = points.map((p, i) => ({
+        x: pad + i * stepX,
+        y: h - pad - (p.durationMs / max) * (h - pad * 2),
+        p
+    }));
+    const dotColor = { COMPLETED: 'var(--success)', FAILED: 'var(--danger)' };
+    return `<svg class="metrics-sparkline" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">
+        <polyline points="${coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ')}" />
+        ${coords.map(c => `<circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="2.5" fill="${dotColor[c.p.status] || 'var(--text-3)'}">
+            <title>${escapeHtml(c.p.query)}\n${formatDurationMs(c.p.durationMs)} · ${c.p.steps}스텝 (자동 ${c.p.autoSteps}, 에러 ${c.p.errorSteps})</title>
+        </circle>`).join('')}
+    </svg>`;
+}
+
+function renderMetricsLayerTable(layerStats) {
+    const rows = Object.entries(layerStats).map(([key, s]) => ({ key, ...s }));
+    if (rows.length === 0) {
+        return '<p style="color:var(--text-3);font-size:12px;margin:4px 0">레이어 호출 이력 없음</p>';
+    }
+    const { key: sortKey, desc } = metricsSort;
+    rows.sort((a, b) => {
+        const av = a[sortKey], bv = b[sortKey];
+        const cmp = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+        return desc ? -cmp : cmp;
+    });
+    const cols = [
+        { key: 'key', label: 'layer.function' },
+        { key: 'totalCalls', label: '호출' },
+        { key: 'successCount', label: '성공' },
+        { key: 'failedCount', label: '실패' },
+        { key: 'skippedCount', label: '스킵' },
+        { key: 'successRate', label: '성공률' }
+    ];
+    const arrow = k => k === sortKey ? (desc ? ' ▾' : ' ▴') : '';
+    return `<table class="metrics-table">
+        <thead><tr>${cols.map(c => `<th onclick="sortMetricsTable('${c.key}')">${c.label}${arrow(c.key)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(r => {
+            const errors = r.recentErrors || [];
+            const errIcon = errors.length
+                ? ` <span class="metrics-err" title="${escapeHtml(errors.join('\n\n'))}">⚠️</span>`
+                : '';
+            const rateTone = r.successRate >= 0.9 ? 'good' : r.successRate < 0.5 ? 'bad' : '';
+            return `<tr>
+                <td class="metrics-fn">${escapeHtml(r.key)}${errIcon}</td>
+                <td>${r.totalCalls}</td>
+                <td>${r.successCount}</td>
+                <td>${r.failedCount}</td>
+                <td>${r.skippedCount}</td>
+                <td class="${rateTone ? 'rate-' + rateTone : ''}">
+                    <div class="metrics-rate-bar"><span style="width:${(r.successRate * 100).toFixed(0)}%"></span></div>
+                    ${formatPercent(r.successRate)}
+                </td>
+            </tr>`;
+        }).join('')}</tbody>
+    </table>`;
+}
+
+function sortMetricsTable(key) {
+    metricsSort = metricsSort.key === key
+        ? { key, desc: !metricsSort.desc }
+        : { key, desc: key !== 'key' };
+    const table = document.getElementById('metricsLayerTable');
+    if (table && lastMetrics) table.innerHTML = renderMetricsLayerTable(lastMetrics.layerStats || {});
+}
+
 // ─────────────────────────────────────────────
 // 세션 관리
 // ─────────────────────────────────────────────
@@ -2226,23 +5036,202 @@ async function createSession() {
     const res = await fetch('/sessions', { method: 'POST' });
     const data = await res.json();
     await loadSessions();
+    await loadChatTranscript();
 }
 
 async function activateSession(id) {
     await fetch(`/sessions/${encodeURIComponent(id)}/activate`, { method: 'POST' });
     await loadSessions();
+    await loadChatTranscript();
 }
 
 async function clearSession(id) {
     if (!confirm(`세션 "${id}" 의 작업 이력을 초기화할까요?`)) return;
     await fetch(`/sessions/${encodeURIComponent(id)}/clear`, { method: 'DELETE' });
     await loadSessions();
+    await loadChatTranscript();
 }
 
 async function deleteSession(id) {
     if (!confirm(`세션 "${id}" 를 삭제할까요?`)) return;
     await fetch(`/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
     await loadSessions();
+    await loadChatTranscript();
+}
+
+// ─────────────────────────────────────────────
+// 채팅 대화 기록 (세션 단위)
+// ─────────────────────────────────────────────
+
+/** 사용자 턴 블록을 대화 끝에 추가하고 반환. 결과는 .chat-turn-results 에 채워진다 */
+function appendChatTurn(message, execId) {
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.querySelector('.chat-placeholder')?.remove();
+    const turn = document.createElement('div');
+    turn.className = 'chat-turn';
+    turn.innerHTML = `<div class="msg-user">${escapeHtml(message)}</div><div class="chat-turn-results"></div>`;
+    chatMessages.appendChild(turn);
+    if (execId) linkChatTurn(turn, execId);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return turn;
+}
+
+/** 턴에 실행 ID 연결 + 실행 이력 점프 버튼 */
+function linkChatTurn(turn, execId) {
+    turn.dataset.execId = execId;
+    if (turn.querySelector('.chat-exec-link')) return;
+    turn.querySelector('.msg-user').insertAdjacentHTML('afterend',
+        `<button class="chat-exec-link" title="${escapeHtml(execId)}" onclick="jumpToExecution('${escapeHtml(execId)}')">↗ 실행 보기</button>`);
+}
+
+/** ChatResponse({results, error}) 를 턴 결과 영역에 렌더링 */
+function renderChatTurnResults(turn, { results, error }) {
+    const el = turn.querySelector('.chat-turn-results');
+    if (error) {
+        el.innerHTML = `<div class="msg-error"><strong>오류:</strong> ${escapeHtml(error)}</div>`;
+        return;
+    }
+    const list = results || [];
+    el.innerHTML = list.length > 0
+        ? list.map((res, idx) => {
+            const label = list.length > 1 ? `결과 ${idx + 1}: ` : '';
+            return `<div class="msg-result"><strong>${label}</strong>${escapeHtml(res)}</div>`;
+        }).join('')
+        : `<div class="msg-result">실행 완료 (결과 없음)</div>`;
+}
+
+/** 복원된 턴의 결과를 실행 이력 캐시에서 채움 */
+function fillChatTurnFromHistory(turn) {
+    const exec = turn.dataset.execId ? findExecutionData(turn.dataset.execId) : null;
+    if (!exec) {
+        turn.querySelector('.chat-turn-results').innerHTML =
+            `<div class="chat-turn-missing">결과 이력 없음</div>`;
+        return;
+    }
+    if ((exec.status || '').toLowerCase() === 'failed') {
+        renderChatTurnResults(turn, { error: exec.error || '실행 실패' });
+    } else {
+        renderChatTurnResults(turn, { results: exec.result ? [exec.result] : [] });
+    }
+}
+
+/** 실행 이력 목록에서 해당 실행으로 스크롤 + 펼침 + 잠시 강조 */
+function jumpToExecution(execId) {
+    const item = document.querySelector(`#executionsList .execution-item[data-id="${execId}"]`);
+    if (!item) {
+        alert('실행 이력 목록에 없는 실행입니다 (최근 50건만 표시).');
+        return;
+    }
+    const details = item.querySelector('.execution-details');
+    if (details && !details.classList.contains('expanded')) {
+        item.querySelector('.execution-header')?.click();
+    }
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    item.classList.add('exec-highlight');
+    setTimeout(() => item.classList.remove('exec-highlight'), 1600);
+}
+
+// 진행 중인 채팅 요청 (executionId → 턴 요소). WebSocket ProgressUpdate 를 해당 말풍선에 반영
+const chatStreams = new Map();
+
+/** 채팅 요청용 실행 ID 생성 (비보안 컨텍스트에서는 randomUUID 미지원 → 폴백) */
+function newExecutionId() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/** 턴에 라이브 진행 영역 생성 (단계 목록 + 현재 phase) */
+function startChatStream(turn, execId) {
+    turn.querySelector('.chat-turn-results').insertAdjacentHTML('beforebegin', `
+        <details class="chat-stream" open>
+            <summary>
+                <span class="chat-stream-phase" style="background:${PHASE_COLORS['STARTING']}">STARTING</span>
+                <span class="chat-stream-message">요청 처리 중...</span>
+            </summary>
+            <div class="chat-stream-steps"></div>
+        </details>`);
+    chatStreams.set(execId, turn);
+}
+
+/** ProgressUpdate 수신 시 해당 턴의 phase·메시지·스텝 상세 갱신 */
+function updateChatStream(progress) {
+    const turn = chatStreams.get(progress.executionId);
+    const stream = turn?.querySelector('.chat-stream');
+    if (!stream) return;
+
+    const phaseEl = stream.querySelector('.chat-stream-phase');
+    phaseEl.textContent = progress.phase;
+    phaseEl.style.background = PHASE_COLORS[progress.phase] || PHASE_COLORS['STARTING'];
+    stream.querySelector('.chat-stream-message').textContent = progress.message || '';
+
+    const detail = progress.stepDetail;
+    if (detail) {
+        const steps = stream.querySelector('.chat-stream-steps');
+        let stepEl = steps.querySelector(`[data-step="${detail.step}"]`);
+        if (!stepEl) {
+            stepEl = document.createElement('div');
+            stepEl.className = 'chat-stream-step';
+            stepEl.dataset.step = detail.step;
+            steps.appendChild(stepEl);
+        }
+        stepEl.innerHTML = renderChatStreamStep(detail);
+    }
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/** 스텝 한 줄: #N layer.function(args) + 결과(있으면) */
+function renderChatStreamStep({ step, tree, result }) {
+    const calls = [];
+    const walk = nodes => (nodes || []).forEach(n => { calls.push(n); walk(n.children); });
+    walk(tree?.rootNodes);
+    const callsHtml = calls.map(n => {
+        const args = Object.entries(n.args || {})
+            .map(([k, v]) => `${escapeHtml(k)}=${escapeHtml(String(v).length > 40 ? String(v).slice(0, 40) + '…' : String(v))}`)
+            .join(', ');
+        return `<div class="chat-stream-call"><code>${escapeHtml(n.layerName)}.${escapeHtml(n.function)}</code>` +
+            (args ? `<span class="chat-stream-args">(${args})</span>` : '') + `</div>`;
+    }).join('');
+    const resultHtml = result == null
+        ? `<div class="chat-stream-pending">실행 중...</div>`
+        : `<div class="chat-stream-result${result.startsWith('ERROR') ? ' is-error' : ''}">${escapeHtml(result)}</div>`;
+    return `<span class="chat-stream-no">#${step}</span>${callsHtml}${resultHtml}`;
+}
+
+/** 응답 도착 시 스트림 연결 해제 + 단계 목록 접기 */
+function finishChatStream(execId) {
+    const turn = chatStreams.get(execId);
+    chatStreams.delete(execId);
+    const stream = turn?.querySelector('.chat-stream');
+    if (!stream) return;
+    if (!stream.querySelector('.chat-stream-step')) {
+        stream.remove();
+        return;
+    }
+    stream.open = false;
+}
+
+/** 활성 세션(/sessions/current)의 tasks 로 대화 기록 복원. 세션이 없으면 빈 대화 */
+async function loadChatTranscript() {
+    const chatMessages = document.getElementById('chatMessages');
+    let tasks = [];
+    try {
+        const res = await fetch(`${API_BASE}/sessions/current`);
+        const data = await res.json();
+        if (res.ok && data.session) tasks = JSON.parse(data.session).tasks || [];
+    } catch (e) {
+        console.error('대화 기록 복원 오류:', e);
+    }
+    chatMessages.innerHTML = '';
+    if (tasks.length === 0) {
+        chatMessages.innerHTML = '<p class="chat-placeholder">요청을 입력하고 실행하세요</p>';
+    } else {
+        tasks.forEach(task => fillChatTurnFromHistory(appendChatTurn(task.query, task.executionId)));
+    }
+    renderPendingClarificationBubbles();
 }
 
 // 다른 곳 클릭 시 열려 있는 스와이프 닫기